@@ -0,0 +1,16 @@
+// Lifetimes of the tokens issued by services/authTokens
+module.exports = {
+  // Access tokens are short-lived; clients renew them with a refresh token
+  accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+
+  // A refresh token (and the device session behind it) lapses after this
+  // many days without being used
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
+
+  // Logging in on more devices than this ends the least recently used session
+  maxSessionsPerUser: parseInt(process.env.MAX_SESSIONS_PER_USER) || 10,
+
+  // Links in verification and password reset emails stop working after this
+  emailVerificationHours: parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 24,
+  passwordResetMinutes: parseInt(process.env.PASSWORD_RESET_MINUTES) || 30
+};
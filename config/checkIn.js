@@ -0,0 +1,20 @@
+const derivedSecret = require('./derivedSecret');
+
+// Door rules for staff check-in scanners
+module.exports = {
+  // Signs ticket QR codes; a key derived from the JWT secret when unset
+  qrSecret: process.env.TICKET_QR_SECRET || derivedSecret('ticket-qr'),
+
+  // Signs offline manifests; scanners hold this key, so it is never the QR
+  // secret itself (a key derived from it is used when unset)
+  manifestSecret: process.env.CHECKIN_MANIFEST_SECRET,
+
+  // Most offline check-ins accepted in one sync request
+  maxSyncBatch: parseInt(process.env.CHECKIN_MAX_SYNC_BATCH) || 500,
+
+  // Doors open this many minutes before the showtime
+  opensMinutesBefore: parseInt(process.env.CHECKIN_OPENS_MINUTES) || 45,
+
+  // Late entry is allowed until this many minutes after the showtime
+  closesMinutesAfter: parseInt(process.env.CHECKIN_CLOSES_MINUTES) || 30
+};
@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// A key for one purpose, derived from JWT_SECRET for setups without a
+// dedicated secret. It never signs anything the JWT secret itself signs,
+// and it does not give the JWT secret away if it leaks.
+const derivedSecret = (purpose) => process.env.JWT_SECRET &&
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(purpose).digest('base64url');
+
+module.exports = derivedSecret;
@@ -0,0 +1,23 @@
+// Settings for the PDF e-tickets and receipts rendered by services/ticketDocuments
+module.exports = {
+  // Seller printed on receipts
+  seller: {
+    name: process.env.COMPANY_NAME || 'Cinema Ticketing JSC',
+    taxCode: process.env.COMPANY_TAX_CODE || '',
+    address: process.env.COMPANY_ADDRESS || '',
+    phone: process.env.COMPANY_PHONE || ''
+  },
+
+  // Ticket and combo prices include VAT at this rate
+  vatRate: parseFloat(process.env.VAT_RATE) || 0.1,
+
+  // Showtimes and payment times are printed in the cinemas' local time
+  timeZone: process.env.CINEMA_TIMEZONE || 'Asia/Ho_Chi_Minh',
+
+  // TrueType fonts with Vietnamese glyphs. Without them the built-in
+  // Helvetica is used and diacritics are stripped from printed text.
+  fonts: {
+    regular: process.env.PDF_FONT,
+    bold: process.env.PDF_FONT_BOLD || process.env.PDF_FONT
+  }
+};
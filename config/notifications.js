@@ -0,0 +1,40 @@
+const path = require('path');
+
+// Languages emails can be written in
+const LANGUAGES = ['vi', 'en'];
+
+// Email delivery. `console` prints messages, `file` writes them to
+// EMAIL_FILE_DIR, `memory` keeps them in the process (both handy in tests)
+// and `smtp` sends them for real.
+module.exports = {
+  LANGUAGES,
+  defaultLanguage: LANGUAGES.includes(process.env.EMAIL_DEFAULT_LANGUAGE) ? process.env.EMAIL_DEFAULT_LANGUAGE : 'vi',
+
+  transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console'),
+  from: process.env.EMAIL_FROM || 'Cinema Tickets <no-reply@cinema.local>',
+
+  // Customer-facing site, used for links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+
+  fileDir: process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails'),
+
+  // Failed sends are retried with backoff until this many attempts
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+  pollIntervalMs: parseInt(process.env.EMAIL_POLL_INTERVAL_MS) || 10 * 1000,
+
+  // Showtime reminders go out this many hours before the show
+  reminderHoursBefore: parseFloat(process.env.REMINDER_HOURS_BEFORE) || 3,
+  reminderIntervalMs: parseInt(process.env.REMINDER_INTERVAL_MS) || 5 * 60 * 1000,
+
+  // Holders of a cancelled show have this long to pick an exchange before
+  // their ticket is refunded automatically
+  scheduleChangeResponseHours: parseFloat(process.env.SCHEDULE_CHANGE_RESPONSE_HOURS) || 48
+};
@@ -0,0 +1,62 @@
+// Social login providers. The browser is sent to the provider and comes back
+// to the frontend at `redirectUri`, which posts `code` and `state` to
+// POST /api/v1/users/oauth/callback.
+const apiBaseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+const mockIssuer = `${apiBaseUrl}/api/v1/users/oauth/mock-idp`;
+
+if (process.env.OAUTH_MOCK === 'true' && process.env.NODE_ENV === 'production') {
+  throw new Error('OAUTH_MOCK must not be enabled in production');
+}
+
+module.exports = {
+  redirectUri: process.env.OAUTH_REDIRECT_URI || 'http://localhost:3000/oauth/callback',
+
+  // Minutes a started login may take before its state is forgotten
+  stateTtlMinutes: parseInt(process.env.OAUTH_STATE_TTL_MINUTES) || 10,
+
+  // Outgoing provider calls are aborted after this many milliseconds
+  requestTimeoutMs: parseInt(process.env.OAUTH_TIMEOUT_MS) || 10000,
+
+  // Local identity provider that signs anyone in, for development and tests.
+  // Off unless OAUTH_MOCK=true, which production refuses above
+  mockEnabled: process.env.OAUTH_MOCK === 'true',
+
+  providers: {
+    google: {
+      type: 'oidc',
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenUrl: 'https://oauth2.googleapis.com/token',
+      userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+      issuers: ['https://accounts.google.com', 'accounts.google.com'],
+      scope: 'openid email profile'
+    },
+
+    // Facebook only returns confirmed email addresses
+    facebook: {
+      type: 'oauth2',
+      clientId: process.env.FACEBOOK_APP_ID,
+      clientSecret: process.env.FACEBOOK_APP_SECRET,
+      authorizationUrl: 'https://www.facebook.com/v19.0/dialog/oauth',
+      tokenUrl: 'https://graph.facebook.com/v19.0/oauth/access_token',
+      userInfoUrl: 'https://graph.facebook.com/v19.0/me?fields=id,name,email,picture',
+      emailVerified: true,
+      scope: 'email public_profile'
+    },
+
+    // Asserts whatever email it is given, so its addresses are never trusted
+    // to verify an account or link to an existing one
+    mock: {
+      type: 'oidc',
+      trustEmail: false,
+      clientId: 'mock-client',
+      clientSecret: process.env.MOCK_OAUTH_SECRET || 'mock-oauth-secret',
+      authorizationUrl: `${mockIssuer}/authorize`,
+      tokenUrl: `${mockIssuer}/token`,
+      userInfoUrl: `${mockIssuer}/userinfo`,
+      issuers: [mockIssuer],
+      scope: 'openid email profile'
+    }
+  }
+};
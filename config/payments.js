@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+// Payment gateway settings. Sandbox endpoints are used unless overridden.
+// In `mock` mode every method is routed to the local mock gateway so the
+// whole booking -> payment flow can run without provider credentials.
+const apiBaseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+module.exports = {
+  apiBaseUrl,
+  // Mock mode is opt-in only, with PAYMENT_MODE=mock
+  mode: process.env.PAYMENT_MODE === 'mock' ? 'mock' : 'live',
+
+  // Where the customer lands after paying, and where providers send IPNs
+  returnUrl: process.env.PAYMENT_RETURN_URL || 'http://localhost:3000/payment/result',
+  notifyBaseUrl: `${apiBaseUrl}/api/v1/payments/webhooks`,
+
+  // Minutes a checkout link stays valid at the provider
+  orderTtlMinutes: parseInt(process.env.PAYMENT_ORDER_TTL_MINUTES) || 15,
+
+  // Outgoing provider calls are aborted after this many milliseconds
+  requestTimeoutMs: parseInt(process.env.PAYMENT_TIMEOUT_MS) || 15000,
+
+  // A refund still `processing` after this many minutes was interrupted; the
+  // refund recovery job asks the provider how it ended
+  refundTimeoutMinutes: parseInt(process.env.REFUND_TIMEOUT_MINUTES) || 15,
+  refundRecoveryIntervalMs: parseInt(process.env.REFUND_RECOVERY_INTERVAL_MS) || 5 * 60 * 1000,
+
+  momo: {
+    endpoint: process.env.MOMO_ENDPOINT || 'https://test-payment.momo.vn',
+    partnerCode: process.env.MOMO_PARTNER_CODE,
+    accessKey: process.env.MOMO_ACCESS_KEY,
+    secretKey: process.env.MOMO_SECRET_KEY
+  },
+
+  zalopay: {
+    endpoint: process.env.ZALOPAY_ENDPOINT || 'https://sb-openapi.zalopay.vn',
+    appId: process.env.ZALOPAY_APP_ID,
+    key1: process.env.ZALOPAY_KEY1,
+    key2: process.env.ZALOPAY_KEY2
+  },
+
+  // Hosted card page (OnePay-style `vpc_` parameters)
+  card: {
+    endpoint: process.env.CARD_GATEWAY_ENDPOINT || 'https://mtf.onepay.vn',
+    merchantId: process.env.CARD_MERCHANT_ID,
+    accessCode: process.env.CARD_ACCESS_CODE,
+    hashKey: process.env.CARD_HASH_KEY,
+    queryUser: process.env.CARD_QUERY_USER,
+    queryPassword: process.env.CARD_QUERY_PASSWORD
+  },
+
+  // Signs mock notifications; without MOCK_PAYMENT_SECRET a random key is
+  // used, which lasts as long as the in-memory mock orders do
+  mock: {
+    secretKey: process.env.MOCK_PAYMENT_SECRET || crypto.randomBytes(32).toString('hex')
+  }
+};
@@ -0,0 +1,55 @@
+// What each back-office role may do. Roles are assigned per cinema (or for
+// every cinema) through User.roleAssignments; `admin` accounts may do
+// everything everywhere.
+const PERMISSIONS = [
+  'cinema:write',     // cinema details, ticket types and refund policy
+  'room:write',       // rooms and seat layouts
+  'schedule:write',   // showtimes
+  'ticket:read',      // customers' tickets and e-tickets
+  'ticket:manage',    // customers' seat holds, at the counter
+  'ticket:checkin',   // admit ticket holders at the door
+  'refund:approve',   // refund any ticket, overriding the refund policy
+  'report:read',      // dashboard and reconciliation
+  'movie:write',
+  'combo:write',
+  'promotion:write',
+  'user:manage',      // customer and staff accounts
+  'role:manage'       // assign the roles below
+];
+
+const ROLES = {
+  cinema_manager: {
+    label: 'Cinema manager',
+    permissions: [
+      'cinema:write', 'room:write', 'schedule:write', 'ticket:read', 'ticket:manage',
+      'ticket:checkin', 'refund:approve', 'report:read', 'role:manage'
+    ]
+  },
+  scheduler: {
+    label: 'Scheduler',
+    permissions: ['room:write', 'schedule:write']
+  },
+  box_office: {
+    label: 'Box office',
+    permissions: ['ticket:read', 'ticket:manage', 'ticket:checkin', 'refund:approve']
+  },
+  usher: {
+    label: 'Usher',
+    permissions: ['ticket:checkin']
+  },
+  accountant: {
+    label: 'Accountant',
+    permissions: ['report:read', 'refund:approve']
+  },
+  // Chain-wide content; only meaningful without a cinema
+  content_manager: {
+    label: 'Content manager',
+    permissions: ['movie:write', 'combo:write', 'promotion:write']
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES: Object.keys(ROLES)
+};
@@ -0,0 +1,30 @@
+// Dynamic pricing rules applied on top of Schedule.priceTable.
+// Percentages are of the seat's base price; fixed amounts are in VND.
+module.exports = {
+  // Final seat prices are rounded to the nearest `roundTo` VND
+  roundTo: 1000,
+
+  // Day of the showtime (0 = Sunday)
+  dayOfWeek: [
+    { name: 'weekend', label: 'Weekend', days: [0, 6], percent: 15 }
+  ],
+
+  // Local start time of the showtime, `from` inclusive and `to` exclusive
+  timeOfDay: [
+    { name: 'matinee', label: 'Matinee', from: '09:00', to: '12:00', percent: -20 },
+    { name: 'late-night', label: 'Late night', from: '22:00', to: '24:00', percent: -10 }
+  ],
+
+  // Room.screenType surcharges
+  screenType: {
+    '3d': { label: '3D', fixed: 20000 },
+    imax: { label: 'IMAX', fixed: 50000 },
+    '4dx': { label: '4DX', fixed: 70000 }
+  },
+
+  // Share of seats sold or held when booking; the highest matching tier applies
+  occupancy: [
+    { threshold: 0.9, label: 'High demand', percent: 15 },
+    { threshold: 0.7, label: 'Popular showtime', percent: 10 }
+  ]
+};
@@ -0,0 +1,15 @@
+// Refund policy used when a cinema has not configured its own.
+// Matches the long-standing rule: full refund up to 2 hours before showtime.
+module.exports = {
+  // The first tier whose `minHoursBefore` the request still meets applies;
+  // `percent` is the share of the paid price given back
+  tiers: [
+    { minHoursBefore: 2, percent: 100 }
+  ],
+
+  // Whether food & drink combos can be refunded at all
+  combosRefundable: true,
+
+  // Processing fee kept back from each refund (fixed VND + percent of refund)
+  fee: { fixed: 0, percent: 0 }
+};
@@ -0,0 +1,11 @@
+// Seat types a room layout can use. Couple seats always come in adjacent pairs;
+// companion seats are sold only together with a wheelchair space.
+const SEAT_TYPES = ['standard', 'vip', 'couple', 'wheelchair', 'companion'];
+
+// Room features implied by the seat types present in a layout
+const FEATURES_BY_SEAT_TYPE = {
+  couple: 'sofa',
+  wheelchair: 'wheelchair-access'
+};
+
+module.exports = { SEAT_TYPES, FEATURES_BY_SEAT_TYPE };
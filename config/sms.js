@@ -0,0 +1,28 @@
+const derivedSecret = require('./derivedSecret');
+
+// SMS delivery and the one-time codes sent over it
+if (!process.env.SMS_PROVIDER && process.env.NODE_ENV === 'production') {
+  throw new Error('SMS_PROVIDER must be set in production');
+}
+
+module.exports = {
+  // `console` prints messages to the log, `mock` keeps them in memory for tests.
+  // Defaults to `console` outside production only
+  provider: process.env.SMS_PROVIDER || 'console',
+  sender: process.env.SMS_SENDER || 'CINEMA',
+
+  otp: {
+    // Hashes stored codes; a key derived from the JWT secret when unset
+    secret: process.env.OTP_SECRET || derivedSecret('otp'),
+    length: parseInt(process.env.OTP_LENGTH) || 6,
+    ttlMinutes: parseInt(process.env.OTP_TTL_MINUTES) || 5,
+    // Wrong guesses allowed per code
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+    // Wait between two codes to the same number, and most codes per hour
+    resendSeconds: parseInt(process.env.OTP_RESEND_SECONDS) || 60,
+    maxPerHour: parseInt(process.env.OTP_MAX_PER_HOUR) || 5,
+    // Most codes per hour one account or IP address may have sent, to any numbers
+    maxPerUserPerHour: parseInt(process.env.OTP_MAX_PER_USER_PER_HOUR) || 10,
+    maxPerIpPerHour: parseInt(process.env.OTP_MAX_PER_IP_PER_HOUR) || 20
+  }
+};
@@ -0,0 +1,17 @@
+// Customer categories a seat can be sold under. Each cinema chooses which
+// ones it offers and how they change the seat price; until it does, the
+// defaults below apply. `percent` is taken off (or added to) the seat's base
+// price, `fixed` is a flat VND amount on top of that.
+const TICKET_TYPES = ['adult', 'student', 'child', 'senior', 'member'];
+
+const DEFAULT_TICKET_TYPE = 'adult';
+
+const DEFAULT_TICKET_TYPES = [
+  { code: 'adult', label: 'Adult', percent: 0, fixed: 0, requiresId: false },
+  { code: 'student', label: 'Student', percent: -20, fixed: 0, requiresId: true },
+  { code: 'child', label: 'Child', percent: -30, fixed: 0, requiresId: false },
+  { code: 'senior', label: 'Senior', percent: -30, fixed: 0, requiresId: true },
+  { code: 'member', label: 'Member', percent: -10, fixed: 0, requiresId: true }
+];
+
+module.exports = { TICKET_TYPES, DEFAULT_TICKET_TYPE, DEFAULT_TICKET_TYPES };
@@ -93,6 +93,102 @@ data: cinema
 next(err);
 }
 };
+exports.getTicketTypes = async (req, res, next) => {
+try {
+const cinema = await Cinema.findById(req.params.id);
+if (!cinema) {
+return res.status(404).json({
+success: false,
+message: `Cinema not found with id of ${req.params.id}`
+});
+}
+res.status(200).json({
+success: true,
+data: cinema.getTicketTypes()
+});
+} catch (err) {
+next(err);
+}
+};
+exports.updateTicketTypes = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const cinema = await Cinema.findById(req.params.id);
+if (!cinema) {
+return res.status(404).json({
+success: false,
+message: `Cinema not found with id of ${req.params.id}`
+});
+}
+if (!req.body.ticketTypes.some(type => type.code === 'adult' && type.isActive !== false)) {
+return res.status(400).json({
+success: false,
+message: 'The adult ticket type must stay on sale'
+});
+}
+cinema.ticketTypes = req.body.ticketTypes;
+await cinema.save();
+res.status(200).json({
+success: true,
+data: cinema.getTicketTypes()
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getRefundPolicy = async (req, res, next) => {
+try {
+const cinema = await Cinema.findById(req.params.id);
+if (!cinema) {
+return res.status(404).json({
+success: false,
+message: `Cinema not found with id of ${req.params.id}`
+});
+}
+res.status(200).json({
+success: true,
+data: cinema.getRefundPolicy()
+});
+} catch (err) {
+next(err);
+}
+};
+exports.updateRefundPolicy = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const cinema = await Cinema.findById(req.params.id);
+if (!cinema) {
+return res.status(404).json({
+success: false,
+message: `Cinema not found with id of ${req.params.id}`
+});
+}
+const { tiers, combosRefundable, fee } = req.body;
+if (tiers !== undefined) cinema.refundPolicy.tiers = tiers;
+if (combosRefundable !== undefined) cinema.refundPolicy.combosRefundable = combosRefundable;
+if (fee && fee.fixed !== undefined) cinema.refundPolicy.fee.fixed = fee.fixed;
+if (fee && fee.percent !== undefined) cinema.refundPolicy.fee.percent = fee.percent;
+await cinema.save();
+res.status(200).json({
+success: true,
+data: cinema.getRefundPolicy()
+});
+} catch (err) {
+next(err);
+}
+};
 exports.deleteCinema = async (req, res, next) => {
 try {
 const cinema = await Cinema.findById(req.params.id);
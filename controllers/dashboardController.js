@@ -1,12 +1,53 @@
 const Ticket = require('../models/Ticket');
 const Movie = require('../models/Movie');
 const Payment = require('../models/Payment');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Reconciliation = require('../models/Reconciliation');
+const { importSettlement, parseSettlementDate } = require('../services/reconciliationService');
+const { validationResult } = require('express-validator');
 const { startOfDay, endOfDay, startOfWeek, endOfWeek, startOfMonth, endOfMonth, subDays, format } = require('date-fns');
+const mongoose = require('mongoose');
+// Rooms of the cinema a report is limited to (?cinemaId=), or null for the whole chain
+const scopedRoomIds = async (cinemaId) => {
+if (!cinemaId) return null;
+if (!mongoose.isValidObjectId(cinemaId)) {
+const err = new Error('Please provide a valid cinema ID');
+err.statusCode = 400;
+throw err;
+}
+const rooms = await Room.find({ cinemaId }).select('_id');
+return rooms.map(room => room._id);
+};
+const ticketsInRooms = (roomIds) => (roomIds ? { roomId: { $in: roomIds } } : {});
+const ticketTypeRevenue = (match) => Ticket.aggregate([
+{ $match: match },
+{ $unwind: '$seats' },
+{
+$group: {
+_id: { $ifNull: ['$seats.ticketType', 'adult'] },
+seatCount: { $sum: 1 },
+totalRevenue: { $sum: '$seats.price' },
+averageSeatPrice: { $avg: '$seats.price' }
+}
+},
+{
+$project: {
+_id: 0,
+ticketType: '$_id',
+seatCount: 1,
+totalRevenue: 1,
+averageSeatPrice: { $round: ['$averageSeatPrice', 0] }
+}
+},
+{ $sort: { totalRevenue: -1 } }
+]);
 exports.getRevenueStats = async (req, res, next) => {
 try {
-const { from, to, groupBy = 'day' } = req.query;
+const { from, to, groupBy = 'day', cinemaId } = req.query;
 const endDate = to ? new Date(to) : new Date();
 const startDate = from ? new Date(from) : subDays(endDate, 30);
+const roomIds = await scopedRoomIds(cinemaId);
 const dateQuery = {
 paidAt: { 
 $gte: startOfDay(new Date(startDate)),
@@ -14,6 +55,9 @@ $lte: endOfDay(new Date(endDate))
 },
 status: 'completed'
 };
+if (roomIds) {
+dateQuery.ticketId = { $in: await Ticket.distinct('_id', ticketsInRooms(roomIds)) };
+}
 let groupByQuery = {};
 let dateFormat = '';
 switch (groupBy) {
@@ -94,8 +138,9 @@ count: { $sum: 1 }
 const topMovies = await Ticket.aggregate([
 { 
 $match: { 
-status: 'confirmed',
-confirmedAt: { 
+...ticketsInRooms(roomIds),
+status: { $in: ['paid', 'checked_in'] },
+paidAt: { 
 $gte: startOfDay(new Date(startDate)),
 $lte: endOfDay(new Date(endDate))
 }
@@ -105,7 +150,7 @@ $lte: endOfDay(new Date(endDate))
 $group: {
 _id: '$movieId',
 ticketCount: { $sum: 1 },
-totalRevenue: { $sum: '$totalPrice' }
+totalRevenue: { $sum: '$totalAmount' }
 }
 },
 { $sort: { totalRevenue: -1 } },
@@ -129,6 +174,14 @@ totalRevenue: 1
 }
 }
 ]);
+const revenueByTicketType = await ticketTypeRevenue({
+...ticketsInRooms(roomIds),
+status: { $in: ['paid', 'checked_in'] },
+paidAt: {
+$gte: startOfDay(new Date(startDate)),
+$lte: endOfDay(new Date(endDate))
+}
+});
 const recentTransactions = await Payment.find(dateQuery)
 .populate('userId', 'name email')
 .populate('ticketId', 'movieId scheduleId')
@@ -147,6 +200,7 @@ maxSingleOrder: 0
 },
 revenueByPeriod: formattedData,
 revenueByPaymentMethod,
+revenueByTicketType,
 topMovies,
 recentTransactions: recentTransactions.map(tx => ({
 _id: tx._id,
@@ -162,7 +216,162 @@ ticketId: tx.ticketId?._id
 meta: {
 startDate,
 endDate,
-groupBy
+groupBy,
+cinemaId: cinemaId || null
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.importReconciliation = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+if (typeof req.body !== 'string' || req.body.trim() === '') {
+return res.status(400).json({
+success: false,
+message: 'Send the settlement file as the request body with Content-Type: text/csv'
+});
+}
+const { provider, date, fileName } = req.query;
+const report = await importSettlement({
+provider,
+date: parseSettlementDate(date),
+csv: req.body,
+fileName,
+importedBy: req.user.id
+});
+res.status(201).json({
+success: true,
+data: {
+id: report._id,
+provider: report.provider,
+settlementDate: report.settlementDate,
+summary: report.summary,
+issueCounts: report.issueCounts,
+parseErrors: report.parseErrors,
+issues: report.items.filter(item => item.type !== 'matched')
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getReconciliations = async (req, res, next) => {
+try {
+const { provider, from, to, onlyIssues, cinemaId, page = 1, limit = 20 } = req.query;
+const query = {};
+if (provider) {
+query.provider = provider;
+}
+if (from || to) {
+query.settlementDate = {};
+if (from) query.settlementDate.$gte = parseSettlementDate(from);
+if (to) query.settlementDate.$lte = endOfDay(parseSettlementDate(to));
+}
+if (onlyIssues === 'true') {
+query['summary.issues'] = { $gt: 0 };
+}
+// Totals cover every cinema on the merchant account, so one cinema only sees which reports exist
+const reports = await Reconciliation.find(query)
+.select(cinemaId ? '-items -summary -issueCounts' : '-items')
+.populate('importedBy', 'name email')
+.sort({ settlementDate: -1, provider: 1 })
+.limit(limit * 1)
+.skip((page - 1) * limit);
+const count = await Reconciliation.countDocuments(query);
+res.status(200).json({
+success: true,
+count: reports.length,
+total: count,
+totalPages: Math.ceil(count / limit),
+currentPage: parseInt(page),
+data: reports
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getReconciliation = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const report = await Reconciliation.findById(req.params.id).populate('importedBy', 'name email');
+if (!report) {
+return res.status(404).json({
+success: false,
+message: 'Reconciliation report not found'
+});
+}
+const { type, cinemaId } = req.query;
+const data = report.toJSON();
+let { items } = report;
+if (cinemaId) {
+// Keep the items for this cinema's payments and count their issues again
+const roomIds = await scopedRoomIds(cinemaId);
+const payments = await Payment.find({ _id: { $in: items.map(item => item.paymentId).filter(Boolean) } }).select('ticketId');
+const ticketIds = (await Ticket.distinct('_id', { _id: { $in: payments.map(payment => payment.ticketId) }, roomId: { $in: roomIds } })).map(String);
+const paymentIds = payments.filter(payment => ticketIds.includes(String(payment.ticketId))).map(payment => String(payment._id));
+items = items.filter(item => item.paymentId && paymentIds.includes(String(item.paymentId)));
+delete data.summary;
+data.issueCounts = {};
+items.filter(item => item.type !== 'matched').forEach(item => {
+data.issueCounts[item.type] = (data.issueCounts[item.type] || 0) + 1;
+});
+}
+res.status(200).json({
+success: true,
+data: {
+...data,
+items: type ? items.filter(item => item.type === type) : items
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getTicketTypeRevenue = async (req, res, next) => {
+try {
+const { from, to, cinemaId } = req.query;
+const endDate = to ? new Date(to) : new Date();
+const startDate = from ? new Date(from) : subDays(endDate, 30);
+const matchQuery = {
+...ticketsInRooms(await scopedRoomIds(cinemaId)),
+status: { $in: ['paid', 'checked_in'] },
+paidAt: {
+$gte: startOfDay(new Date(startDate)),
+$lte: endOfDay(new Date(endDate))
+}
+};
+const ticketTypes = await ticketTypeRevenue(matchQuery);
+const totalRevenue = ticketTypes.reduce((sum, type) => sum + type.totalRevenue, 0);
+res.status(200).json({
+success: true,
+data: {
+ticketTypes: ticketTypes.map(type => ({
+...type,
+revenueShare: totalRevenue > 0 ? Math.round(type.totalRevenue / totalRevenue * 10000) / 100 : 0
+})),
+summary: {
+totalRevenue,
+totalSeats: ticketTypes.reduce((sum, type) => sum + type.seatCount, 0)
+}
+},
+meta: {
+startDate,
+endDate,
+cinemaId: cinemaId || null
 }
 });
 } catch (err) {
@@ -171,12 +380,13 @@ next(err);
 };
 exports.getTopMovies = async (req, res, next) => {
 try {
-const { by = 'revenue', limit = 10, from, to } = req.query;
+const { by = 'revenue', limit = 10, from, to, cinemaId } = req.query;
 const endDate = to ? new Date(to) : new Date();
 const startDate = from ? new Date(from) : subDays(endDate, 30);
 const matchQuery = {
-status: 'confirmed',
-confirmedAt: { 
+...ticketsInRooms(await scopedRoomIds(cinemaId)),
+status: { $in: ['paid', 'checked_in'] },
+paidAt: { 
 $gte: startOfDay(new Date(startDate)),
 $lte: endOfDay(new Date(endDate))
 }
@@ -189,7 +399,7 @@ const topMovies = await Ticket.aggregate([
 $group: {
 _id: '$movieId',
 ticketCount: { $sum: 1 },
-totalRevenue: { $sum: '$totalPrice' },
+totalRevenue: { $sum: '$totalAmount' },
 averageRating: { $avg: '$rating' }
 }
 },
@@ -230,8 +440,8 @@ const summary = await Ticket.aggregate([
 $group: {
 _id: null,
 totalTickets: { $sum: 1 },
-totalRevenue: { $sum: '$totalPrice' },
-avgTicketPrice: { $avg: '$totalPrice' },
+totalRevenue: { $sum: '$totalAmount' },
+avgTicketPrice: { $avg: '$totalAmount' },
 uniqueMovies: { $addToSet: '$movieId' }
 }
 },
@@ -260,7 +470,8 @@ meta: {
 sortedBy: by,
 startDate,
 endDate,
-limit: parseInt(limit)
+limit: parseInt(limit),
+cinemaId: cinemaId || null
 }
 });
 } catch (err) {
@@ -269,14 +480,15 @@ next(err);
 };
 exports.getCinemaPerformance = async (req, res, next) => {
 try {
-const { from, to } = req.query;
+const { from, to, cinemaId } = req.query;
 const endDate = to ? new Date(to) : new Date();
 const startDate = from ? new Date(from) : subDays(endDate, 30);
 const cinemaPerformance = await Ticket.aggregate([
 {
 $match: {
-status: 'confirmed',
-confirmedAt: { 
+...ticketsInRooms(await scopedRoomIds(cinemaId)),
+status: { $in: ['paid', 'checked_in'] },
+paidAt: { 
 $gte: startOfDay(new Date(startDate)),
 $lte: endOfDay(new Date(endDate))
 }
@@ -284,8 +496,17 @@ $lte: endOfDay(new Date(endDate))
 },
 {
 $lookup: {
+from: 'rooms',
+localField: 'roomId',
+foreignField: '_id',
+as: 'room'
+}
+},
+{ $unwind: '$room' },
+{
+$lookup: {
 from: 'cinemas',
-localField: 'cinemaId',
+localField: 'room.cinemaId',
 foreignField: '_id',
 as: 'cinema'
 }
@@ -293,12 +514,12 @@ as: 'cinema'
 { $unwind: '$cinema' },
 {
 $group: {
-_id: '$cinemaId',
+_id: '$cinema._id',
 cinemaName: { $first: '$cinema.name' },
 location: { $first: '$cinema.location.formattedAddress' },
-totalRevenue: { $sum: '$totalPrice' },
+totalRevenue: { $sum: '$totalAmount' },
 ticketCount: { $sum: 1 },
-averageTicketPrice: { $avg: '$totalPrice' },
+averageTicketPrice: { $avg: '$totalAmount' },
 uniqueMovies: { $addToSet: '$movieId' }
 }
 },
@@ -338,7 +559,8 @@ summary
 },
 meta: {
 startDate,
-endDate
+endDate,
+cinemaId: cinemaId || null
 }
 });
 } catch (err) {
@@ -347,9 +569,12 @@ next(err);
 };
 exports.getUserActivity = async (req, res, next) => {
 try {
-const { from, to, groupBy = 'day' } = req.query;
+const { from, to, groupBy = 'day', cinemaId } = req.query;
 const endDate = to ? new Date(to) : new Date();
 const startDate = from ? new Date(from) : subDays(endDate, 30);
+const roomIds = await scopedRoomIds(cinemaId);
+// For one cinema, only sign-ups who have bought tickets there
+const userScope = roomIds ? { _id: { $in: await Ticket.distinct('userId', ticketsInRooms(roomIds)) } } : {};
 let groupByQuery = {};
 let dateFormat = '';
 switch (groupBy) {
@@ -388,6 +613,7 @@ day: { $dayOfMonth: '$createdAt' }
 const userActivity = await User.aggregate([
 {
 $match: {
+...userScope,
 createdAt: { 
 $gte: startOfDay(new Date(startDate)),
 $lte: endOfDay(new Date(endDate))
@@ -426,7 +652,8 @@ regularUsers: item.regularUsers
 const engagementStats = await Ticket.aggregate([
 {
 $match: {
-confirmedAt: { 
+...ticketsInRooms(roomIds),
+paidAt: { 
 $gte: startOfDay(new Date(startDate)),
 $lte: endOfDay(new Date(endDate))
 }
@@ -436,8 +663,8 @@ $lte: endOfDay(new Date(endDate))
 $group: {
 _id: '$userId',
 ticketCount: { $sum: 1 },
-totalSpent: { $sum: '$totalPrice' },
-lastPurchase: { $max: '$confirmedAt' }
+totalSpent: { $sum: '$totalAmount' },
+lastPurchase: { $max: '$paidAt' }
 }
 },
 {
@@ -476,8 +703,9 @@ $multiply: [
 const topUsers = await Ticket.aggregate([
 {
 $match: {
-status: 'confirmed',
-confirmedAt: { 
+...ticketsInRooms(roomIds),
+status: { $in: ['paid', 'checked_in'] },
+paidAt: { 
 $gte: startOfDay(new Date(startDate)),
 $lte: endOfDay(new Date(endDate))
 }
@@ -487,8 +715,8 @@ $lte: endOfDay(new Date(endDate))
 $group: {
 _id: '$userId',
 ticketCount: { $sum: 1 },
-totalSpent: { $sum: '$totalPrice' },
-lastPurchase: { $max: '$confirmedAt' }
+totalSpent: { $sum: '$totalAmount' },
+lastPurchase: { $max: '$paidAt' }
 }
 },
 { $sort: { totalSpent: -1 } },
@@ -535,7 +763,8 @@ topUsers
 meta: {
 startDate,
 endDate,
-groupBy
+groupBy,
+cinemaId: cinemaId || null
 }
 });
 } catch (err) {
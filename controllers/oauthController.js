@@ -0,0 +1,160 @@
+const { validationResult } = require('express-validator');
+const {
+  enabledProviders,
+  startAuthorization,
+  completeAuthorization,
+  unlinkIdentity
+} = require('../services/oauth');
+const mockIdp = require('../services/oauth/mockIdp');
+const { issueTokens } = require('../services/authTokens');
+
+// Answer a known OAuth error, or fall back to a 500
+const errorResponse = (res, err) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error(err.message);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @desc    List the social login providers that can be used
+// @route   GET /api/users/oauth/providers
+// @access  Public
+exports.getProviders = (req, res) => {
+  res.json({
+    success: true,
+    data: enabledProviders()
+  });
+};
+
+// @desc    Start a social login
+// @route   POST /api/users/oauth/:provider/authorize
+// @access  Public
+exports.startLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const data = await startAuthorization({ provider: req.params.provider, deviceName: req.body.deviceName });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    errorResponse(res, err);
+  }
+};
+
+// @desc    Start linking another provider to the logged-in user
+// @route   POST /api/users/me/identities/:provider/authorize
+// @access  Private
+exports.startLink = async (req, res, next) => {
+  try {
+    const data = await startAuthorization({ provider: req.params.provider, userId: req.user._id });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (err) {
+    errorResponse(res, err);
+  }
+};
+
+// @desc    Finish a social login or link with the provider's code and state
+// @route   POST /api/users/oauth/callback
+// @access  Public
+exports.callback = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user, mode, created, linked, deviceName } = await completeAuthorization(req.body);
+
+    if (mode === 'link') {
+      return res.json({
+        success: true,
+        linked,
+        data: user.identities
+      });
+    }
+
+    const tokens = await issueTokens(user, req, { deviceName });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      linked,
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone
+      }
+    });
+  } catch (err) {
+    errorResponse(res, err);
+  }
+};
+
+// @desc    Unlink a social login provider
+// @route   DELETE /api/users/me/identities/:provider
+// @access  Private
+exports.unlink = async (req, res, next) => {
+  try {
+    const user = await unlinkIdentity(req.user._id, req.params.provider);
+
+    res.json({
+      success: true,
+      data: user.identities
+    });
+  } catch (err) {
+    errorResponse(res, err);
+  }
+};
+
+// Mock identity provider endpoints (development only)
+
+exports.mockAuthorize = (req, res) => {
+  try {
+    res.redirect(mockIdp.authorize(req.query));
+  } catch (err) {
+    res.status(err.statusCode).json({ error: err.oauthError, error_description: err.message });
+  }
+};
+
+exports.mockToken = (req, res) => {
+  try {
+    res.json(mockIdp.exchangeCode(req.body));
+  } catch (err) {
+    res.status(err.statusCode).json({ error: err.oauthError, error_description: err.message });
+  }
+};
+
+exports.mockUserInfo = (req, res) => {
+  try {
+    res.json(mockIdp.userInfo(req.headers.authorization));
+  } catch (err) {
+    res.status(err.statusCode).json({ error: err.oauthError, error_description: err.message });
+  }
+};
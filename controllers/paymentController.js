@@ -1,115 +1,207 @@
 const Payment = require('../models/Payment');
 const Ticket = require('../models/Ticket');
+const { previewRefund, refundTicket } = require('../services/refundService');
+const { createCheckout, syncPaymentStatus, handleNotification } = require('../services/paymentService');
+const { getGatewayByName } = require('../services/payments');
+const mockGateway = require('../services/payments/mockGateway');
+const { loadPaymentDetails, renderReceiptPdf } = require('../services/ticketDocuments');
+const Room = require('../models/Room');
+const { userCan, cinemaOf, permittedCinemas } = require('../services/permissions');
 const { validationResult } = require('express-validator');
+// The payment's owner, or staff holding ticket:read at its cinema
+const canViewPayment = async (user, payment) =>
+payment.userId._id.toString() === user.id || userCan(user, 'ticket:read', await cinemaOf.ticket(payment.ticketId._id));
 exports.processPayment = async (req, res, next) => {
-const session = await Payment.startSession();
-session.startTransaction();
 try {
-const { ticketId, paymentMethod, paymentDetails } = req.body;
+const { ticketId, paymentMethod } = req.body;
 const userId = req.user.id;
 const errors = validationResult(req);
 if (!errors.isEmpty()) {
-await session.abortTransaction();
-session.endSession();
 return res.status(400).json({ 
 success: false,
 errors: errors.array() 
 });
 }
-const ticket = await Ticket.findById(ticketId).session(session);
+const ticket = await Ticket.findById(ticketId);
 if (!ticket) {
-await session.abortTransaction();
-session.endSession();
 return res.status(404).json({
 success: false,
 message: 'Ticket not found'
 });
 }
-if (ticket.userId.toString() !== userId && req.user.role !== 'admin') {
-await session.abortTransaction();
-session.endSession();
+if (ticket.userId.toString() !== userId && !userCan(req.user, 'ticket:manage', await cinemaOf.schedule(ticket.scheduleId))) {
 return res.status(403).json({
 success: false,
 message: 'Not authorized to pay for this ticket'
 });
 }
 if (ticket.status !== 'pending') {
-await session.abortTransaction();
-session.endSession();
 return res.status(400).json({
 success: false,
 message: `Ticket is ${ticket.status} and cannot be paid for`
 });
 }
-if (ticket.expiresAt < new Date()) {
-await session.abortTransaction();
-session.endSession();
+if (ticket.pendingExpiresAt && ticket.pendingExpiresAt < new Date()) {
 return res.status(400).json({
 success: false,
 message: 'Ticket reservation has expired. Please select your seats again.'
 });
 }
-const paymentAmount = ticket.finalPrice || ticket.totalPrice;
-const paymentId = `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-const payment = new Payment({
-userId: ticket.userId,
-ticketId: ticket._id,
-amount: paymentAmount,
-currency: 'VND',
-paymentMethod,
-paymentDetails: {
-...paymentDetails,
-cardNumber: paymentDetails.cardNumber ? 
-`****-****-****-${paymentDetails.cardNumber.slice(-4)}` : undefined
-},
-status: 'completed',
-paymentId,
-paidAt: new Date()
-});
-ticket.status = 'confirmed';
-ticket.paymentId = payment._id;
-ticket.confirmedAt = new Date();
-await payment.save({ session });
-await ticket.save({ session });
-await session.commitTransaction();
-session.endSession();
+const payment = await createCheckout({
+ticket,
+method: paymentMethod,
+ipAddress: req.ip,
+userAgent: req.get('User-Agent')
+});
 res.status(201).json({
 success: true,
 data: {
 paymentId: payment._id,
+transactionId: payment.transactionId,
 amount: payment.amount,
 currency: payment.currency,
+method: payment.method,
 status: payment.status,
-ticket: {
-id: ticket._id,
-movie: ticket.movieId,
-schedule: ticket.scheduleId,
-seats: ticket.seats.map(s => s.code),
-combos: ticket.combos
+payUrl: payment.checkout.payUrl,
+qrCode: payment.checkout.qrCode,
+deeplink: payment.checkout.deeplink,
+expiresAt: payment.checkout.expiresAt,
+ticketId: ticket._id
+},
+message: 'Complete the payment with your payment provider'
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getPaymentStatus = async (req, res, next) => {
+try {
+let payment = await Payment.findById(req.params.id);
+if (!payment) {
+return res.status(404).json({
+success: false,
+message: 'Payment not found'
+});
+}
+if (!(await canViewPayment(req.user, payment))) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this payment'
+});
+}
+payment = await syncPaymentStatus(payment);
+const ticket = await Ticket.findById(payment.ticketId).select('status paymentStatus');
+res.status(200).json({
+success: true,
+data: {
+paymentId: payment._id,
+transactionId: payment.transactionId,
+status: payment.status,
+paidAt: payment.paidAt,
+responseMessage: payment.paymentDetails.responseMessage,
+ticket: ticket ? { id: ticket._id, status: ticket.status, paymentStatus: ticket.paymentStatus } : null
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.getMockCheckout = async (req, res, next) => {
+try {
+const payment = await Payment.findOne({ transactionId: req.params.orderId, gateway: 'mock' });
+if (!payment) {
+return res.status(404).json({
+success: false,
+message: 'Mock order not found'
+});
 }
+res.status(200).json({
+success: true,
+data: {
+orderId: payment.transactionId,
+amount: payment.amount,
+status: payment.status,
+qrCode: payment.checkout.qrCode,
+completeUrl: `${req.originalUrl}/complete`
 },
-message: 'Payment processed successfully'
+message: 'POST to completeUrl with { "status": "success" } or { "status": "failed" } to settle this order'
+});
+} catch (err) {
+next(err);
+}
+};
+exports.completeMockCheckout = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const payment = await Payment.findOne({ transactionId: req.params.orderId, gateway: 'mock' });
+if (!payment) {
+return res.status(404).json({
+success: false,
+message: 'Mock order not found'
+});
+}
+const ticket = await Ticket.findById(payment.ticketId).select('userId');
+if (!ticket || ticket.userId.toString() !== req.user.id) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to complete this order'
+});
+}
+const notification = mockGateway.completeOrder(payment.transactionId, req.body.status || 'success');
+const { payment: settled } = await handleNotification('mock', notification);
+res.status(200).json({
+success: true,
+data: {
+paymentId: settled._id,
+transactionId: settled.transactionId,
+status: settled.status
+}
 });
 } catch (err) {
-await session.abortTransaction();
-session.endSession();
 next(err);
 }
 };
+exports.handleWebhook = (provider) => async (req, res) => {
+const gateway = getGatewayByName(provider);
+const payload = req.method === 'GET' ? req.query : req.body;
+let outcome;
+try {
+({ outcome } = await handleNotification(provider, payload));
+} catch (err) {
+console.error(`Error handling ${provider} webhook:`, err);
+outcome = 'retry';
+}
+const { status, body } = gateway.acknowledge(outcome);
+if (body === undefined) {
+return res.status(status).end();
+}
+res.status(status).send(body);
+};
 exports.getPaymentHistory = async (req, res, next) => {
 try {
 const { userId, ticketId, status, startDate, endDate, page = 1, limit = 10 } = req.query;
 const query = {};
-if (userId) {
-if (req.user.role === 'admin' || req.user.id === userId) {
-query.userId = userId;
-} else {
+// Staff see payments at the cinemas they hold ticket:read for
+const cinemas = permittedCinemas(req.user, 'ticket:read');
+if (userId && userId !== req.user.id) {
+if (cinemas && cinemas.length === 0) {
 return res.status(403).json({
 success: false,
 message: 'Not authorized to view these payments'
 });
 }
-} else if (req.user.role !== 'admin') {
+query.userId = userId;
+if (cinemas) {
+const rooms = await Room.distinct('_id', { cinemaId: { $in: cinemas } });
+query.$and = [{ ticketId: { $in: await Ticket.distinct('_id', { userId, roomId: { $in: rooms } }) } }];
+}
+} else if (userId || cinemas) {
 query.userId = req.user.id;
 }
 if (ticketId) {
@@ -188,7 +280,7 @@ success: false,
 message: 'Payment not found'
 });
 }
-if (payment.userId._id.toString() !== req.user.id && req.user.role !== 'admin') {
+if (!(await canViewPayment(req.user, payment))) {
 return res.status(403).json({
 success: false,
 message: 'Not authorized to view this payment'
@@ -227,72 +319,144 @@ data: formattedPayment
 next(err);
 }
 };
-exports.processRefund = async (req, res, next) => {
-const session = await Payment.startSession();
-session.startTransaction();
+// Customers refund their own payments; staff need refund:approve at the cinema
+const canApproveRefund = async (payment, user) =>
+userCan(user, 'refund:approve', await cinemaOf.payment(payment._id));
+const canRefund = async (payment, user) =>
+payment.userId.toString() === user.id || canApproveRefund(payment, user);
+exports.getRefundQuote = async (req, res, next) => {
 try {
-const { reason } = req.body;
-const payment = await Payment.findById(req.params.id).session(session);
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { seats, combos, overridePolicy = false } = req.body;
+const payment = await Payment.findById(req.params.id);
 if (!payment) {
-await session.abortTransaction();
-session.endSession();
 return res.status(404).json({
 success: false,
 message: 'Payment not found'
 });
 }
-if (payment.status !== 'completed') {
-await session.abortTransaction();
-session.endSession();
+if (!(await canRefund(payment, req.user))) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to refund this payment'
+});
+}
+const quote = await previewRefund({
+payment,
+seats,
+combos,
+overridePolicy: overridePolicy && await canApproveRefund(payment, req.user)
+});
+res.status(200).json({
+success: true,
+data: quote
+});
+} catch (err) {
+if (err.refundErrors) {
 return res.status(400).json({
 success: false,
-message: `Payment is ${payment.status} and cannot be refunded`
+message: err.message,
+errors: err.refundErrors
 });
 }
-const ticket = await Ticket.findById(payment.ticketId).session(session);
-if (!ticket) {
-await session.abortTransaction();
-session.endSession();
+next(err);
+}
+};
+exports.processRefund = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { seats, combos, reason, overridePolicy = false } = req.body;
+const payment = await Payment.findById(req.params.id);
+if (!payment) {
 return res.status(404).json({
 success: false,
-message: 'Ticket not found'
+message: 'Payment not found'
 });
 }
-const schedule = await Schedule.findById(ticket.scheduleId).session(session);
-const hoursUntilShow = (schedule.startTime - new Date()) / (1000 * 60 * 60);
-if (hoursUntilShow < 2) {
-await session.abortTransaction();
-session.endSession();
-return res.status(400).json({
+if (!(await canRefund(payment, req.user))) {
+return res.status(403).json({
 success: false,
-message: 'Cannot refund ticket within 2 hours of showtime'
-});
-}
-payment.status = 'refunded';
-payment.refundedAt = new Date();
-payment.refundReason = reason || 'Requested by admin';
-payment.refundedBy = req.user.id;
-ticket.status = 'refunded';
-ticket.cancelledAt = new Date();
-ticket.cancelledBy = req.user.id;
-await payment.save({ session });
-await ticket.save({ session });
-await session.commitTransaction();
-session.endSession();
+message: 'Not authorized to refund this payment'
+});
+}
+const { payment: refunded, ticket, quote } = await refundTicket({
+payment,
+seats,
+combos,
+reason: reason || (payment.userId.toString() === req.user.id ? 'Requested by customer' : 'Requested by staff'),
+processedBy: req.user.id,
+overridePolicy: overridePolicy && await canApproveRefund(payment, req.user)
+});
+const refund = refunded.refundDetails[refunded.refundDetails.length - 1];
 res.status(200).json({
 success: true,
 data: {
-paymentId: payment._id,
-amount: payment.amount,
-status: payment.status,
-refundedAt: payment.refundedAt,
-ticketId: ticket._id
+paymentId: refunded._id,
+status: refunded.status,
+refund,
+refundedAmount: refunded.refundedAmount,
+refundableAmount: refunded.refundableAmount,
+quote,
+ticket: {
+id: ticket._id,
+status: ticket.status,
+seats: ticket.seats.map(s => s.code),
+refundedSeats: ticket.refundedSeats.map(s => s.code)
+}
 },
 message: 'Refund processed successfully. The amount will be credited back within 5-7 business days.'
 });
 } catch (err) {
-await session.abortTransaction();
-session.endSession();
+if (err.refundErrors) {
+return res.status(400).json({
+success: false,
+message: err.message,
+errors: err.refundErrors
+});
+}
 next(err);
 }
-};
\ No newline at end of file
+};
+exports.downloadReceipt = async (req, res, next) => {
+try {
+const payment = await loadPaymentDetails(req.params.id);
+if (!payment || !payment.ticketId) {
+return res.status(404).json({
+success: false,
+message: 'Payment not found'
+});
+}
+if (!(await canViewPayment(req.user, payment))) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this receipt'
+});
+}
+if (!['success', 'refunded'].includes(payment.status)) {
+return res.status(400).json({
+success: false,
+message: `Payment is ${payment.status}; receipts are only issued for completed payments`
+});
+}
+const pdf = await renderReceiptPdf(payment);
+res.set({
+'Content-Type': 'application/pdf',
+'Content-Disposition': `attachment; filename="receipt-${payment.transactionId}.pdf"`
+});
+res.status(200).send(pdf);
+} catch (err) {
+next(err);
+}
+};
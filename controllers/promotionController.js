@@ -1,4 +1,5 @@
 const Promotion = require('../models/Promotion');
+const Ticket = require('../models/Ticket');
 const { validationResult } = require('express-validator');
 exports.getPromotions = async (req, res, next) => {
 try {
@@ -145,7 +146,7 @@ if (userId && promotion.usageLimit === 'single') {
 const usedPromo = await Ticket.findOne({
 userId,
 'voucher.code': code,
-status: { $in: ['confirmed', 'pending'] }
+status: { $nin: Ticket.RELEASED_STATUSES }
 });
 if (usedPromo) {
 return res.status(400).json({
@@ -1,5 +1,6 @@
 const Review = require('../models/Review');
 const Movie = require('../models/Movie');
+const Ticket = require('../models/Ticket');
 const { validationResult } = require('express-validator');
 exports.getMovieReviews = async (req, res, next) => {
 try {
@@ -93,7 +94,7 @@ message: 'You have already reviewed this movie'
 const hasWatched = await Ticket.exists({
 userId,
 movieId,
-status: 'confirmed',
+status: { $in: ['paid', 'checked_in'] },
 'scheduleId.startTime': { $lt: new Date() }
 }).session(session);
 if (!hasWatched && req.user.role !== 'admin') {
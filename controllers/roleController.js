@@ -0,0 +1,152 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+const { userCan, checkRoleAssignments } = require('../services/permissions');
+
+const roleError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Answer a known role error, or fall back to a 500
+const errorResponse = (res, err) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({
+      success: false,
+      message: err.message
+    });
+  }
+  if (err.kind === 'ObjectId') {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  console.error(err.message);
+  res.status(500).json({
+    success: false,
+    message: 'Server error'
+  });
+};
+
+// @desc    List the permissions and the roles that bundle them
+// @route   GET /api/users/roles
+// @access  Private (role:manage)
+exports.getRoleCatalog = (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: PERMISSIONS,
+      roles: Object.entries(ROLES).map(([name, role]) => ({ name, ...role }))
+    }
+  });
+};
+
+// @desc    List a user's role assignments at the cinemas the caller manages
+// @route   GET /api/users/:id/roles
+// @access  Private (role:manage)
+exports.getUserRoles = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('name email role roleAssignments')
+      .populate('roleAssignments.cinemaId', 'name');
+
+    const roleAssignments = user ? user.roleAssignments.filter(assignment =>
+      userCan(req.user, 'role:manage', assignment.cinemaId && assignment.cinemaId._id)) : [];
+
+    // Accounts with no role the caller manages are not theirs to look up
+    if (!user || (roleAssignments.length === 0 && !userCan(req.user, 'user:manage'))) {
+      throw roleError('User not found', 404);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        roleAssignments
+      }
+    });
+  } catch (err) {
+    errorResponse(res, err);
+  }
+};
+
+// @desc    Give a user a role at one cinema, or at all of them without cinemaId
+// @route   POST /api/users/:id/roles
+// @access  Private (role:manage at that cinema; user:manage for customers)
+exports.assignRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { role, cinemaId } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw roleError('User not found', 404);
+    }
+    if (user.role === 'admin') {
+      throw roleError('Admins already hold every permission');
+    }
+    if (user.role === 'user' && !userCan(req.user, 'user:manage')) {
+      throw roleError('Not authorized to turn a customer account into staff', 403);
+    }
+
+    await checkRoleAssignments(req.user, [{ role, cinemaId }]);
+
+    const duplicate = user.roleAssignments.some(assignment =>
+      assignment.role === role && String(assignment.cinemaId || '') === String(cinemaId || ''));
+    if (duplicate) {
+      throw roleError('User already has this role', 409);
+    }
+
+    // A customer given a back-office role becomes staff
+    if (user.role === 'user') user.role = 'staff';
+    user.roleAssignments.push({ role, cinemaId, assignedBy: req.user._id });
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      data: user.roleAssignments[user.roleAssignments.length - 1]
+    });
+  } catch (err) {
+    errorResponse(res, err);
+  }
+};
+
+// @desc    Take a role assignment away from a user
+// @route   DELETE /api/users/:id/roles/:assignmentId
+// @access  Private (role:manage at that cinema)
+exports.removeRole = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    const assignment = user && user.roleAssignments.id(req.params.assignmentId);
+
+    if (!assignment) {
+      throw roleError('Role assignment not found', 404);
+    }
+    if (!userCan(req.user, 'role:manage', assignment.cinemaId)) {
+      throw roleError('Not authorized to manage roles at this cinema', 403);
+    }
+
+    assignment.deleteOne();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user.roleAssignments
+    });
+  } catch (err) {
+    errorResponse(res, err);
+  }
+};
@@ -1,4 +1,8 @@
 const Room = require('../models/Room');
+const Cinema = require('../models/Cinema');
+const Schedule = require('../models/Schedule');
+const Ticket = require('../models/Ticket');
+const { buildSeatsFromLayout } = require('../services/seatLayout');
 const { validationResult } = require('express-validator');
 exports.getRooms = async (req, res, next) => {
 try {
@@ -76,7 +80,7 @@ success: false,
 errors: errors.array() 
 });
 }
-const { name, cinemaId, capacity, screenType, seats } = req.body;
+const { name, cinemaId, capacity, screenType, seats, layout } = req.body;
 const cinema = await Cinema.findById(cinemaId);
 if (!cinema) {
 return res.status(404).json({
@@ -84,12 +88,22 @@ success: false,
 message: `Cinema not found with id of ${cinemaId}`
 });
 }
+if (layout) {
+const { errors } = buildSeatsFromLayout(layout);
+if (errors) {
+return res.status(400).json({
+success: false,
+message: 'Invalid seat layout',
+errors
+});
+}
+}
 let room;
 if (seats && Array.isArray(seats)) {
 room = await Room.create({
 name,
 cinemaId,
-capacity,
+capacity: seats.length,
 screenType,
 seats
 });
@@ -98,9 +112,9 @@ room = await Room.create({
 name,
 cinemaId,
 capacity,
-screenType
+screenType,
+layout
 });
-await room.generateSeatMap();
 }
 res.status(201).json({
 success: true,
@@ -126,14 +140,14 @@ success: false,
 message: `Room not found with id of ${req.params.id}`
 });
 }
-if (req.body.capacity && req.body.capacity !== room.capacity) {
-room.capacity = req.body.capacity;
-await room.generateSeatMap();
-}
-room = await Room.findByIdAndUpdate(req.params.id, req.body, {
-new: true,
-runValidators: true
-});
+const { name, cinemaId, screenType, capacity, features, isActive } = req.body;
+if (name) room.name = name;
+if (cinemaId) room.cinemaId = cinemaId;
+if (screenType) room.screenType = screenType;
+if (features) room.features = features;
+if (isActive !== undefined) room.isActive = isActive;
+if (capacity && capacity !== room.capacity) room.capacity = capacity;
+await room.save();
 res.status(200).json({
 success: true,
 data: room
@@ -159,4 +173,97 @@ data: {}
 } catch (err) {
 next(err);
 }
+};
+exports.getRoomLayout = async (req, res, next) => {
+try {
+const room = await Room.findById(req.params.id);
+if (!room) {
+return res.status(404).json({
+success: false,
+message: `Room not found with id of ${req.params.id}`
+});
+}
+res.status(200).json({
+success: true,
+data: {
+layout: room.layout || null,
+capacity: room.capacity,
+seats: room.seats
+}
+});
+} catch (err) {
+next(err);
+}
+};
+exports.updateRoomLayout = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { layout, validateOnly = false } = req.body;
+const room = await Room.findById(req.params.id);
+if (!room) {
+return res.status(404).json({
+success: false,
+message: `Room not found with id of ${req.params.id}`
+});
+}
+const result = buildSeatsFromLayout(layout);
+if (result.errors) {
+return res.status(400).json({
+success: false,
+message: 'Invalid seat layout',
+errors: result.errors
+});
+}
+const newCodes = new Set(result.seats.map(seat => seat.code));
+const removedSeats = room.seats.map(seat => seat.code).filter(code => !newCodes.has(code));
+let conflictingSeats = [];
+if (removedSeats.length > 0) {
+const upcoming = await Schedule.find({
+roomId: room._id,
+status: 'scheduled',
+startTime: { $gt: new Date() }
+}).select('_id');
+const tickets = await Ticket.find({
+scheduleId: { $in: upcoming.map(schedule => schedule._id) },
+status: { $nin: Ticket.RELEASED_STATUSES },
+'seats.code': { $in: removedSeats }
+});
+const sold = new Set();
+tickets.forEach(ticket => ticket.seats.forEach(seat => sold.add(seat.code)));
+conflictingSeats = removedSeats.filter(code => sold.has(code));
+}
+if (validateOnly) {
+return res.status(200).json({
+success: true,
+data: {
+layout: result.value,
+capacity: result.seats.length,
+seats: result.seats,
+removedSeats,
+conflictingSeats
+}
+});
+}
+if (conflictingSeats.length > 0) {
+return res.status(409).json({
+success: false,
+message: 'Seats sold for upcoming showtimes cannot be removed from the layout',
+conflictingSeats
+});
+}
+room.layout = result.value;
+await room.save();
+res.status(200).json({
+success: true,
+data: room
+});
+} catch (err) {
+next(err);
+}
 };
\ No newline at end of file
@@ -0,0 +1,629 @@
+const Schedule = require('../models/Schedule');
+const Movie = require('../models/Movie');
+const Room = require('../models/Room');
+const Ticket = require('../models/Ticket');
+const Cinema = require('../models/Cinema');
+const SeatHold = require('../models/SeatHold');
+const { planShowtimes, commitPlan } = require('../services/scheduleGenerator');
+const { subscribe } = require('../services/seatEvents');
+const { bestSeatBlocks, validateSeatSelection } = require('../services/seatRules');
+const { holdSeats } = require('../services/seatHoldService');
+const { quoteSchedule } = require('../services/pricingEngine');
+const { queueScheduleChange } = require('../services/scheduleChangeService');
+const { DEFAULT_TICKET_TYPES } = require('../config/ticketTypes');
+const { validationResult } = require('express-validator');
+
+// @desc    Get schedules (filter by movie, cinema, room, date)
+// @route   GET /api/v1/schedules
+// @access  Public
+exports.getSchedules = async (req, res, next) => {
+  try {
+    const { movieId, cinemaId, roomId, date, status, page = 1, limit = 20 } = req.query;
+
+    // Build query object
+    const query = {};
+
+    if (movieId) query.movieId = movieId;
+    if (cinemaId) query.cinemaId = cinemaId;
+    if (roomId) query.roomId = roomId;
+    query.status = status || 'scheduled';
+
+    // Restrict to a single day if a date is provided
+    if (date) {
+      const startOfDay = new Date(date);
+      startOfDay.setHours(0, 0, 0, 0);
+
+      const endOfDay = new Date(date);
+      endOfDay.setHours(23, 59, 59, 999);
+
+      query.startTime = { $gte: startOfDay, $lte: endOfDay };
+    }
+
+    const schedules = await Schedule.find(query)
+      .populate('movieId', 'title poster duration')
+      .populate('cinemaId', 'name address')
+      .populate('roomId', 'name screenType capacity')
+      .sort({ startTime: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Schedule.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: schedules.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      data: schedules
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single schedule
+// @route   GET /api/v1/schedules/:id
+// @access  Public
+exports.getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id)
+      .populate('movieId', 'title poster duration')
+      .populate('cinemaId', 'name address')
+      .populate('roomId', 'name screenType capacity features');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Schedule not found with id of ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: schedule
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get current seat prices with their breakdown
+// @route   GET /api/v1/schedules/:id/prices
+// @access  Public
+exports.getSchedulePrices = async (req, res, next) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Schedule not found with id of ${req.params.id}`
+      });
+    }
+
+    const room = await Room.findById(schedule.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    const bookedSeats = await Ticket.getTakenSeats(schedule._id);
+    const heldSeats = await SeatHold.getHeldSeats(schedule._id);
+    const occupancyRate = (bookedSeats.size + heldSeats.size) / room.capacity;
+
+    const cinema = await Cinema.findById(schedule.cinemaId);
+    const ticketTypes = cinema ? cinema.getTicketTypes() : DEFAULT_TICKET_TYPES;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        scheduleId: schedule._id,
+        screenType: room.screenType,
+        occupancyRate: Math.round(occupancyRate * 100) / 100,
+        prices: quoteSchedule({ schedule, room, ticketTypes, occupancyRate })
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Stream live seat map changes for a schedule (Server-Sent Events)
+// @route   GET /api/v1/schedules/:id/seats/stream
+// @access  Public
+exports.streamSeatMap = async (req, res, next) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Schedule not found with id of ${req.params.id}`
+      });
+    }
+
+    const room = await Room.findById(schedule.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Subscribe before reading the snapshot so no change slips in between
+    const unsubscribe = subscribe(schedule._id, event => send(event.type, event));
+
+    // Keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    const seats = await room.getAvailableSeats(schedule._id);
+    send('snapshot', {
+      scheduleId: schedule._id,
+      isFull: schedule.isFull,
+      seats
+    });
+  } catch (err) {
+    if (res.headersSent) {
+      console.error('Error streaming seat map:', err);
+      return res.end();
+    }
+    next(err);
+  }
+};
+
+// @desc    Find (and optionally hold) the best contiguous seats for a party
+// @route   POST /api/v1/schedules/:id/best-seats
+// @access  Private
+exports.getBestSeats = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { partySize, seatType = 'any', accessibleSeating = false, hold = false } = req.body;
+
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Schedule not found with id of ${req.params.id}`
+      });
+    }
+
+    const room = await Room.findById(schedule.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Room not found'
+      });
+    }
+
+    // Seats that are booked or held right now
+    const seatMap = await room.getAvailableSeats(schedule._id);
+    const occupied = new Set(
+      seatMap.filter(seat => ['booked', 'held'].includes(seat.status)).map(seat => seat.code)
+    );
+
+    // Couple and accessible seats are only offered when asked for
+    let types = seatType === 'any' ? ['standard', 'vip'] : [seatType];
+    if (accessibleSeating) types = [...types, 'wheelchair', 'companion'];
+
+    const cinema = await Cinema.findById(schedule.cinemaId);
+    const rules = cinema ? cinema.seatSelection : {};
+    const gapSize = rules.preventOrphanSeats === false ? 0 : (rules.orphanGapSize || 1);
+
+    const blocks = bestSeatBlocks(room, occupied, partySize, { types, gapSize, accessibleSeating });
+
+    if (blocks.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No block of ${partySize} adjacent seats is available`
+      });
+    }
+
+    const [best, ...alternatives] = blocks;
+
+    let seatHold = null;
+    if (hold) {
+      seatHold = await holdSeats({
+        scheduleId: schedule._id,
+        userId: req.user.id,
+        seats: best.seats,
+        accessibleSeating
+      });
+    }
+
+    res.status(seatHold ? 201 : 200).json({
+      success: true,
+      data: {
+        seats: best.seats,
+        seatType: best.type,
+        alternatives,
+        hold: seatHold
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get available time slots for a room on a given day
+// @route   GET /api/v1/schedules/available-slots
+// @access  Private/Staff
+exports.getAvailableSlots = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { roomId, date, movieId } = req.query;
+    let duration = parseInt(req.query.duration);
+
+    // Derive the duration from the movie when one is given
+    if (movieId) {
+      const movie = await Movie.findById(movieId);
+      if (!movie) {
+        return res.status(404).json({
+          success: false,
+          message: `Movie not found with id of ${movieId}`
+        });
+      }
+      duration = movie.duration;
+    }
+
+    if (!duration) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a duration or a movieId'
+      });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: `Room not found with id of ${roomId}`
+      });
+    }
+
+    const slots = await Schedule.getAvailableSlots(room._id, date, duration);
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      data: slots
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create a schedule (endTime is derived from the movie duration)
+// @route   POST /api/v1/schedules
+// @access  Private/Admin
+exports.createSchedule = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { movieId, roomId, startTime, priceTable, notes } = req.body;
+
+    const movie = await Movie.findById(movieId);
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: `Movie not found with id of ${movieId}`
+      });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: `Active room not found with id of ${roomId}`
+      });
+    }
+
+    // Cinema always comes from the room so the two can never disagree
+    const schedule = await Schedule.create({
+      movieId,
+      cinemaId: room.cinemaId,
+      roomId,
+      startTime,
+      priceTable,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: schedule
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Generate showtimes for a cinema over a date range (dry run by default)
+// @route   POST /api/v1/schedules/bulk
+// @access  Private/Admin
+exports.bulkCreateSchedules = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { cinemaId, startDate, endDate, movies, priceTable, dryRun = true } = req.body;
+
+    const cinema = await Cinema.findById(cinemaId);
+    if (!cinema) {
+      return res.status(404).json({
+        success: false,
+        message: `Cinema not found with id of ${cinemaId}`
+      });
+    }
+
+    const plan = await planShowtimes({ cinemaId, startDate, endDate, movies, priceTable });
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        count: plan.schedules.length,
+        data: plan
+      });
+    }
+
+    if (plan.schedules.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No free slots were found for the requested programming',
+        data: plan
+      });
+    }
+
+    // Commit everything or nothing
+    const session = await Schedule.startSession();
+    session.startTransaction();
+
+    let created;
+    try {
+      created = await commitPlan(plan, session);
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      throw err;
+    } finally {
+      session.endSession();
+    }
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      count: created.length,
+      data: {
+        schedules: created,
+        unfilled: plan.unfilled
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a schedule
+// @route   PUT /api/v1/schedules/:id
+// @access  Private/Admin
+exports.updateSchedule = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { movieId, roomId, startTime, priceTable, notes } = req.body;
+
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Schedule not found with id of ${req.params.id}`
+      });
+    }
+
+    if (schedule.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: `Schedule is ${schedule.status} and cannot be modified`
+      });
+    }
+
+    const previousStartTime = schedule.startTime;
+    const previousRoomId = schedule.roomId;
+
+    if (roomId && roomId !== schedule.roomId.toString()) {
+      const room = await Room.findById(roomId);
+      if (!room || !room.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: `Active room not found with id of ${roomId}`
+        });
+      }
+
+      // Seats already sold have to exist in the new room with the same type,
+      // and each ticket's seats must still follow the seat rules there
+      const tickets = await Ticket.find({ scheduleId: schedule._id, status: { $nin: Ticket.RELEASED_STATUSES } })
+        .select('seats');
+      const missingSeats = [];
+      const seatErrors = [];
+      tickets.forEach(ticket => {
+        ticket.seats.forEach(seat => {
+          const target = room.seats.find(candidate => candidate.code === seat.code);
+          if (!target) {
+            missingSeats.push(seat.code);
+          } else if (target.type !== seat.type) {
+            seatErrors.push(`Seat ${seat.code} is ${target.type} in the new room but was sold as ${seat.type}`);
+          }
+        });
+
+        const accessibleSeating = ticket.seats.some(seat => seat.type === 'wheelchair');
+        validateSeatSelection(room, ticket.seats.map(seat => seat.code), { accessibleSeating })
+          .forEach(error => seatErrors.push(`Ticket ${ticket._id}: ${error}`));
+      });
+
+      if (missingSeats.length > 0) {
+        seatErrors.unshift(`Booked seat(s) do not exist in the new room: ${missingSeats.join(', ')}`);
+      }
+      if (seatErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: seatErrors.join('; '),
+          missingSeats,
+          errors: seatErrors
+        });
+      }
+
+      schedule.roomId = room._id;
+      schedule.cinemaId = room.cinemaId;
+    }
+
+    // Update fields (save() re-runs the endTime and overlap hooks)
+    if (movieId) schedule.movieId = movieId;
+    if (startTime) schedule.startTime = startTime;
+    if (priceTable) schedule.priceTable = { ...schedule.priceTable.toObject(), ...priceTable };
+    if (notes !== undefined) schedule.notes = notes;
+
+    await schedule.save();
+
+    // Ticket holders hear about a new time or room and may refund or exchange;
+    // they are notified in the background
+    let holderNotification = null;
+    if (schedule.startTime.getTime() !== previousStartTime.getTime() ||
+        schedule.roomId.toString() !== previousRoomId.toString()) {
+      holderNotification = await queueScheduleChange(schedule, { kind: 'moved', previousStartTime, previousRoomId });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+      holderNotification
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Cancel a schedule
+// @route   PUT /api/v1/schedules/:id/cancel
+// @access  Private/Admin
+exports.cancelSchedule = async (req, res, next) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Schedule not found with id of ${req.params.id}`
+      });
+    }
+
+    if (schedule.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: `Schedule is already ${schedule.status}`
+      });
+    }
+
+    schedule.status = 'cancelled';
+    if (req.body.reason) schedule.notes = req.body.reason;
+
+    await schedule.save();
+
+    const holderNotification = await queueScheduleChange(schedule, { kind: 'cancelled' });
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+      holderNotification,
+      message: 'Schedule cancelled successfully'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Delete a schedule that has no tickets
+// @route   DELETE /api/v1/schedules/:id
+// @access  Private/Admin
+exports.deleteSchedule = async (req, res, next) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `Schedule not found with id of ${req.params.id}`
+      });
+    }
+
+    // Schedules with sold seats must be cancelled instead
+    const ticketCount = await Ticket.countDocuments({
+      scheduleId: schedule._id,
+      status: { $nin: Ticket.RELEASED_STATUSES }
+    });
+
+    if (ticketCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedule has tickets and cannot be deleted. Cancel it instead.'
+      });
+    }
+
+    await schedule.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
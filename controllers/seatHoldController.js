@@ -0,0 +1,135 @@
+const SeatHold = require('../models/SeatHold');
+const { holdSeats, extendHold, releaseHold } = require('../services/seatHoldService');
+const { userCan, cinemaOf } = require('../services/permissions');
+const { validationResult } = require('express-validator');
+
+// Load a hold the current user is allowed to manage
+const findOwnHold = async (req, res) => {
+  const hold = await SeatHold.findById(req.params.id);
+
+  if (!hold) {
+    res.status(404).json({
+      success: false,
+      message: 'Seat hold not found'
+    });
+    return null;
+  }
+
+  if (hold.userId.toString() !== req.user.id &&
+    !userCan(req.user, 'ticket:manage', await cinemaOf.schedule(hold.scheduleId))) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this seat hold'
+    });
+    return null;
+  }
+
+  return hold;
+};
+
+// @desc    Hold seats for a schedule
+// @route   POST /api/v1/seat-holds
+// @access  Private
+exports.createHold = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { scheduleId, seats, minutes, accessibleSeating } = req.body;
+
+    const hold = await holdSeats({
+      scheduleId,
+      userId: req.user.id,
+      seats,
+      minutes,
+      accessibleSeating
+    });
+
+    res.status(201).json({
+      success: true,
+      data: hold
+    });
+  } catch (err) {
+    if (err.takenSeats || err.invalidSeats || err.seatErrors || err.orphanSeats) {
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message,
+        takenSeats: err.takenSeats,
+        invalidSeats: err.invalidSeats,
+        errors: err.seatErrors,
+        orphanSeats: err.orphanSeats,
+        suggestions: err.suggestions
+      });
+    }
+    next(err);
+  }
+};
+
+// @desc    Get a seat hold
+// @route   GET /api/v1/seat-holds/:id
+// @access  Private
+exports.getHold = async (req, res, next) => {
+  try {
+    const hold = await findOwnHold(req, res);
+    if (!hold) return;
+
+    res.status(200).json({
+      success: true,
+      data: hold
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Extend a seat hold
+// @route   PUT /api/v1/seat-holds/:id/extend
+// @access  Private
+exports.extendHold = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const hold = await findOwnHold(req, res);
+    if (!hold) return;
+
+    await extendHold(hold, req.body.minutes || SeatHold.HOLD_MINUTES);
+
+    res.status(200).json({
+      success: true,
+      data: hold
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Release a seat hold
+// @route   DELETE /api/v1/seat-holds/:id
+// @access  Private
+exports.releaseHold = async (req, res, next) => {
+  try {
+    const hold = await findOwnHold(req, res);
+    if (!hold) return;
+
+    await releaseHold(hold);
+
+    res.status(200).json({
+      success: true,
+      data: hold,
+      message: 'Seats released'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
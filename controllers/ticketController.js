@@ -1,14 +1,32 @@
 const Ticket = require('../models/Ticket');
 const Schedule = require('../models/Schedule');
+const Room = require('../models/Room');
+const Cinema = require('../models/Cinema');
+const SeatHold = require('../models/SeatHold');
+const { validateSeatSelection, checkOrphanSeats, orphanSeatMessage } = require('../services/seatRules');
+const { priceSeat, resolveTicketTypes } = require('../services/pricingEngine');
+const { DEFAULT_TICKET_TYPES } = require('../config/ticketTypes');
 const User = require('../models/User');
 const Promotion = require('../models/Promotion');
 const Combo = require('../models/Combo');
+const Payment = require('../models/Payment');
+const { refundTicket, refundSeatChange } = require('../services/refundService');
+const { quoteRefund } = require('../services/refundPolicy');
+const defaultRefundPolicy = require('../config/refundPolicy');
+const { checkInTicket, buildManifest, syncCheckIns } = require('../services/checkInService');
+const { loadTicketDetails, renderTicketPdf } = require('../services/ticketDocuments');
+const { keepTicket, refundChangedTicket, exchangeTicket } = require('../services/scheduleChangeService');
+const { userCan, cinemaOf, permittedCinemas } = require('../services/permissions');
 const { validationResult } = require('express-validator');
+// The ticket's owner, or staff holding `permission` at its cinema
+const canActOnTicket = async (user, ticket, permission) =>
+ticket.userId.toString() === user.id || userCan(user, permission, await cinemaOf.schedule(ticket.scheduleId));
 exports.bookTickets = async (req, res, next) => {
 const session = await Ticket.startSession();
 session.startTransaction();
 try {
-const { scheduleId, seatNumbers, comboItems = [] } = req.body;
+const { scheduleId, holdId, paymentMethod, accessibleSeating = false, ticketTypes = {}, comboItems = [] } = req.body;
+let { seatNumbers } = req.body;
 const userId = req.user.id;
 const errors = validationResult(req);
 if (!errors.isEmpty()) {
@@ -28,29 +46,30 @@ success: false,
 message: 'Schedule not found'
 });
 }
-const unavailableSeats = await Ticket.find({
-scheduleId,
-status: { $in: ['pending', 'confirmed'] },
-'seats.code': { $in: seatNumbers }
-}).session(session);
-if (unavailableSeats.length > 0) {
-const takenSeats = new Set();
-unavailableSeats.forEach(ticket => {
-ticket.seats.forEach(seat => {
-if (seatNumbers.includes(seat.code)) {
-takenSeats.add(seat.code);
-}
-});
+if (holdId) {
+const hold = await SeatHold.findById(holdId).session(session);
+if (!hold || hold.userId.toString() !== userId || hold.scheduleId.toString() !== scheduleId || !hold.isActive) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'Seat hold not found or expired. Please select your seats again.'
 });
+}
+seatNumbers = hold.seats;
+}
+const bookedSeats = await Ticket.getTakenSeats(scheduleId, { session });
+const heldSeats = await SeatHold.getHeldSeats(scheduleId, { excludeUserId: userId, session });
+const takenSeats = seatNumbers.filter(code => bookedSeats.has(code) || heldSeats.has(code));
+if (takenSeats.length > 0) {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
 message: 'Some seats are already taken',
-takenSeats: Array.from(takenSeats)
+takenSeats
 });
 }
-let totalPrice = 0;
 const seats = [];
 const room = await Room.findById(schedule.roomId).session(session);
 if (!room) {
@@ -61,16 +80,64 @@ success: false,
 message: 'Room not found'
 });
 }
+const invalidSeats = seatNumbers.filter(seatCode => !room.seats.some(s => s.code === seatCode));
+if (invalidSeats.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Invalid seat(s): ${invalidSeats.join(', ')}`,
+invalidSeats
+});
+}
+const seatErrors = validateSeatSelection(room, seatNumbers, { accessibleSeating });
+if (seatErrors.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: seatErrors.join('; '),
+errors: seatErrors
+});
+}
+const cinema = await Cinema.findById(schedule.cinemaId).session(session);
+const orphanCheck = checkOrphanSeats(room, new Set([...bookedSeats, ...heldSeats]), seatNumbers, cinema ? cinema.seatSelection : undefined);
+if (orphanCheck) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: orphanSeatMessage(orphanCheck),
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+});
+}
+const { bySeat: seatTicketTypes, unknown: unknownTicketTypes } = resolveTicketTypes(
+cinema ? cinema.getTicketTypes() : DEFAULT_TICKET_TYPES,
+seatNumbers,
+ticketTypes
+);
+if (unknownTicketTypes.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Ticket type not available at this cinema: ${unknownTicketTypes.join(', ')}`,
+unknownTicketTypes
+});
+}
+const occupancyRate = (bookedSeats.size + heldSeats.size) / room.capacity;
 seatNumbers.forEach(seatCode => {
 const seatInfo = room.seats.find(s => s.code === seatCode);
-if (seatInfo) {
+const ticketType = seatTicketTypes.get(seatCode);
+const { price, breakdown } = priceSeat({ schedule, room, seatType: seatInfo.type, ticketType, occupancyRate });
 seats.push({
 code: seatCode,
 type: seatInfo.type,
-price: seatInfo.type === 'vip' ? schedule.vipPrice : schedule.normalPrice
+ticketType: ticketType.code,
+price,
+priceBreakdown: breakdown
 });
-totalPrice += seatInfo.type === 'vip' ? schedule.vipPrice : schedule.normalPrice;
-}
 });
 const combos = [];
 for (const item of comboItems) {
@@ -82,30 +149,33 @@ name: combo.name,
 qty: item.qty,
 price: combo.price
 });
-totalPrice += combo.price * item.qty;
 }
 }
 const ticket = new Ticket({
 userId,
 scheduleId,
-movieId: schedule.movieId,
-cinemaId: schedule.cinemaId,
 roomId: schedule.roomId,
 seats,
 combos,
-totalPrice,
+paymentMethod,
 status: 'pending',
-expiresAt: new Date(Date.now() + 15 * 60 * 1000) 
+pendingExpiresAt: new Date(Date.now() + 15 * 60 * 1000) 
 });
 await ticket.save({ session });
+await SeatHold.updateMany(
+holdId
+? { _id: holdId, status: 'active' }
+: { scheduleId, userId, status: 'active', seats: { $in: seatNumbers } },
+{ status: 'converted', ticketId: ticket._id, releasedAt: new Date() }
+).session(session);
 await session.commitTransaction();
 session.endSession();
 res.status(201).json({
 success: true,
 data: {
 ticketId: ticket._id,
-totalPrice,
-expiresAt: ticket.expiresAt
+totalPrice: ticket.totalAmount,
+expiresAt: ticket.pendingExpiresAt
 }
 });
 } catch (err) {
@@ -118,13 +188,18 @@ exports.getUserTickets = async (req, res, next) => {
 try {
 const { status, page = 1, limit = 10 } = req.query;
 const userId = req.params.userId;
-if (req.user.id !== userId && req.user.role !== 'admin') {
+const query = { userId };
+// Staff see the customer's tickets at the cinemas they work for
+const cinemas = req.user.id === userId ? null : permittedCinemas(req.user, 'ticket:read');
+if (cinemas && cinemas.length === 0) {
 return res.status(403).json({
 success: false,
 message: 'Not authorized to view these tickets'
 });
 }
-const query = { userId };
+if (cinemas) {
+query.roomId = { $in: await Room.distinct('_id', { cinemaId: { $in: cinemas } }) };
+}
 if (status) {
 query.status = status;
 }
@@ -162,7 +237,7 @@ success: false,
 message: 'Ticket not found'
 });
 }
-if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+if (!(await canActOnTicket(req.user, ticket, 'ticket:manage'))) {
 await session.abortTransaction();
 session.endSession();
 return res.status(403).json({
@@ -170,34 +245,56 @@ success: false,
 message: 'Not authorized to cancel this ticket'
 });
 }
-if (ticket.status !== 'confirmed') {
+if (!ticket.canTransitionTo('cancelled')) {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Only confirmed tickets can be cancelled'
+message: `Ticket is ${ticket.status} and cannot be cancelled`
 });
 }
+const wasPaid = ticket.status === 'paid';
+if (wasPaid) {
+// Paid online: cancelling is a whole-ticket refund under the cinema's policy
+const payment = await Payment.findOne({ ticketId: ticket._id, status: 'success' }).session(session);
+if (payment) {
+await session.abortTransaction();
+session.endSession();
+try {
+const result = await refundTicket({ payment, reason: req.body.reason, processedBy: req.user.id });
+return res.status(200).json({
+success: true,
+data: result.ticket,
+refund: result.quote,
+message: 'Ticket cancelled and refunded'
+});
+} catch (err) {
+return next(err);
+}
+}
+// Nothing to refund, but the cinema's refund cutoff still applies
 const schedule = await Schedule.findById(ticket.scheduleId).session(session);
-const hoursUntilShow = (schedule.startTime - new Date()) / (1000 * 60 * 60);
-if (hoursUntilShow < 2) { 
+const cinema = await Cinema.findById(schedule.cinemaId).session(session);
+const quote = quoteRefund({ ticket, schedule, policy: cinema ? cinema.getRefundPolicy() : defaultRefundPolicy });
+if (quote.errors) {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Cannot cancel ticket within 2 hours of showtime'
+message: quote.errors.join('; ')
 });
 }
-ticket.status = 'cancelled';
-ticket.cancelledAt = new Date();
-ticket.cancelledBy = req.user.id;
+}
+ticket.transitionTo('cancelled', { by: req.user.id, reason: req.body.reason, source: 'cancel' });
 await ticket.save({ session });
 await session.commitTransaction();
 session.endSession();
 res.status(200).json({
 success: true,
 data: ticket,
-message: 'Ticket cancelled successfully. Refund will be processed within 5-7 business days.'
+message: wasPaid
+? 'Ticket cancelled successfully. No online payment was recorded for it, so no refund was issued.'
+: 'Ticket cancelled successfully'
 });
 } catch (err) {
 await session.abortTransaction();
@@ -209,7 +306,7 @@ exports.changeSeats = async (req, res, next) => {
 const session = await Ticket.startSession();
 session.startTransaction();
 try {
-const { newSeats } = req.body;
+const { newSeats, accessibleSeating = false, ticketTypes = {} } = req.body;
 const ticket = await Ticket.findById(req.params.id).session(session);
 if (!ticket) {
 await session.abortTransaction();
@@ -219,7 +316,7 @@ success: false,
 message: 'Ticket not found'
 });
 }
-if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+if (!(await canActOnTicket(req.user, ticket, 'ticket:manage'))) {
 await session.abortTransaction();
 session.endSession();
 return res.status(403).json({
@@ -227,12 +324,12 @@ success: false,
 message: 'Not authorized to modify this ticket'
 });
 }
-if (ticket.status !== 'confirmed') {
+if (ticket.status !== 'paid') {
 await session.abortTransaction();
 session.endSession();
 return res.status(400).json({
 success: false,
-message: 'Only confirmed tickets can be modified'
+message: 'Only paid tickets can be modified'
 });
 }
 const schedule = await Schedule.findById(ticket.scheduleId).session(session);
@@ -249,20 +346,19 @@ message: `Invalid seat(s): ${invalidSeats.join(', ')}`,
 invalidSeats
 });
 }
-const existingTickets = await Ticket.find({
-_id: { $ne: ticket._id },
-scheduleId: ticket.scheduleId,
-status: { $in: ['pending', 'confirmed'] },
-'seats.code': { $in: newSeats }
-}).session(session);
-const takenSeats = [];
-existingTickets.forEach(t => {
-t.seats.forEach(seat => {
-if (newSeats.includes(seat.code)) {
-takenSeats.push(seat.code);
-}
-});
+const seatErrors = validateSeatSelection(room, newSeats, { accessibleSeating });
+if (seatErrors.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: seatErrors.join('; '),
+errors: seatErrors
 });
+}
+const bookedSeats = await Ticket.getTakenSeats(ticket.scheduleId, { excludeTicketId: ticket._id, session });
+const heldSeats = await SeatHold.getHeldSeats(ticket.scheduleId, { excludeUserId: ticket.userId, session });
+const takenSeats = newSeats.filter(code => bookedSeats.has(code) || heldSeats.has(code));
 if (takenSeats.length > 0) {
 await session.abortTransaction();
 session.endSession();
@@ -272,20 +368,68 @@ message: 'Some seats are already taken',
 takenSeats
 });
 }
+const cinema = await Cinema.findById(schedule.cinemaId).session(session);
+const orphanCheck = checkOrphanSeats(room, new Set([...bookedSeats, ...heldSeats]), newSeats, cinema ? cinema.seatSelection : undefined);
+if (orphanCheck) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: orphanSeatMessage(orphanCheck),
+orphanSeats: orphanCheck.orphanSeats,
+suggestions: orphanCheck.suggestions
+});
+}
+const addedSeats = newSeats.filter(seatCode => !ticket.seats.some(s => s.code === seatCode));
+const { bySeat: seatTicketTypes, unknown: unknownTicketTypes } = resolveTicketTypes(
+cinema ? cinema.getTicketTypes() : DEFAULT_TICKET_TYPES,
+addedSeats,
+ticketTypes
+);
+if (unknownTicketTypes.length > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: `Ticket type not available at this cinema: ${unknownTicketTypes.join(', ')}`,
+unknownTicketTypes
+});
+}
+const occupancyRate = (bookedSeats.size + heldSeats.size) / room.capacity;
 const updatedSeats = newSeats.map(seatCode => {
+const keptSeat = ticket.seats.find(s => s.code === seatCode);
+if (keptSeat) {
+return keptSeat.toObject();
+}
 const seatInfo = room.seats.find(s => s.code === seatCode);
+const ticketType = seatTicketTypes.get(seatCode);
+const { price, breakdown } = priceSeat({ schedule, room, seatType: seatInfo.type, ticketType, occupancyRate });
 return {
 code: seatCode,
 type: seatInfo.type,
-price: seatInfo.type === 'vip' ? schedule.vipPrice : schedule.normalPrice
+ticketType: ticketType.code,
+price,
+priceBreakdown: breakdown
 };
 });
 const oldPrice = ticket.seats.reduce((sum, seat) => sum + seat.price, 0);
 const newPrice = updatedSeats.reduce((sum, seat) => sum + seat.price, 0);
 const priceDifference = newPrice - oldPrice;
+// A paid ticket has no way to take a top-up, so dearer seats need a new booking
+if (priceDifference > 0) {
+await session.abortTransaction();
+session.endSession();
+return res.status(400).json({
+success: false,
+message: 'The new seats cost more than the current ones. Please cancel and book them as a new ticket.',
+priceDifference
+});
+}
+// Cheaper seats: refund the difference before the seats change, as refundTicket does
+const refund = priceDifference < 0
+? await refundSeatChange({ ticket, amount: -priceDifference, processedBy: req.user._id })
+: { amount: 0 };
 ticket.seats = updatedSeats;
-ticket.totalPrice += priceDifference;
-ticket.updatedAt = new Date();
 await ticket.save({ session });
 await session.commitTransaction();
 session.endSession();
@@ -293,9 +437,8 @@ res.status(200).json({
 success: true,
 data: ticket,
 priceDifference,
-message: 'Seats updated successfully' + 
-(priceDifference > 0 ? ` Additional payment of $${priceDifference} is required.` : 
-priceDifference < 0 ? ` Refund of $${-priceDifference} will be processed.` : '')
+refundedAmount: refund.amount,
+message: 'Seats updated successfully'
 });
 } catch (err) {
 await session.abortTransaction();
@@ -317,7 +460,7 @@ success: false,
 message: 'Ticket not found'
 });
 }
-if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+if (!(await canActOnTicket(req.user, ticket, 'ticket:manage'))) {
 await session.abortTransaction();
 session.endSession();
 return res.status(403).json({
@@ -350,7 +493,7 @@ message: 'Invalid or expired voucher code'
 const voucherUsed = await Ticket.findOne({
 userId: ticket.userId,
 'voucher.code': voucher.code,
-status: { $in: ['confirmed', 'pending'] }
+status: { $nin: Ticket.RELEASED_STATUSES }
 }).session(session);
 if (voucher.usageLimit === 'single' && voucherUsed) {
 await session.abortTransaction();
@@ -428,7 +571,7 @@ success: false,
 message: 'Ticket not found'
 });
 }
-if (ticket.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+if (!(await canActOnTicket(req.user, ticket, 'ticket:manage'))) {
 await session.abortTransaction();
 session.endSession();
 return res.status(403).json({
@@ -489,4 +632,140 @@ await session.abortTransaction();
 session.endSession();
 next(err);
 }
-};
\ No newline at end of file
+};
+exports.checkIn = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { code, cinemaId } = req.body;
+const ticket = await checkInTicket({ code, cinemaId, staffId: req.user.id });
+res.status(200).json({
+success: true,
+data: ticket,
+message: 'Ticket checked in'
+});
+} catch (err) {
+if (err.reason) {
+return res.status(err.statusCode).json({
+success: false,
+reason: err.reason,
+message: err.message,
+data: err.ticket
+});
+}
+next(err);
+}
+};
+exports.getCheckInManifest = async (req, res, next) => {
+try {
+const manifest = await buildManifest(req.params.scheduleId);
+res.status(200).json({
+success: true,
+data: manifest
+});
+} catch (err) {
+next(err);
+}
+};
+exports.syncCheckIns = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const { cinemaId, deviceId, checkIns } = req.body;
+const result = await syncCheckIns({ cinemaId, deviceId, checkIns, staffId: req.user.id });
+res.status(200).json({
+success: true,
+data: result
+});
+} catch (err) {
+next(err);
+}
+};
+exports.downloadTicketPdf = async (req, res, next) => {
+try {
+const ticket = await loadTicketDetails(req.params.id);
+if (!ticket) {
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+const cinema = ticket.scheduleId && ticket.scheduleId.cinemaId;
+if (ticket.userId._id.toString() !== req.user.id && !userCan(req.user, 'ticket:read', cinema && cinema._id)) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to view this ticket'
+});
+}
+if (!['paid', 'checked_in'].includes(ticket.status)) {
+return res.status(400).json({
+success: false,
+message: `Ticket is ${ticket.status}; e-tickets are only issued for paid tickets`
+});
+}
+const pdf = await renderTicketPdf(ticket);
+res.set({
+'Content-Type': 'application/pdf',
+'Content-Disposition': `attachment; filename="ticket-${ticket._id}.pdf"`
+});
+res.status(200).send(pdf);
+} catch (err) {
+next(err);
+}
+};
+exports.respondToScheduleChange = async (req, res, next) => {
+try {
+const errors = validationResult(req);
+if (!errors.isEmpty()) {
+return res.status(400).json({ 
+success: false,
+errors: errors.array() 
+});
+}
+const ticket = await Ticket.findById(req.params.id);
+if (!ticket) {
+return res.status(404).json({
+success: false,
+message: 'Ticket not found'
+});
+}
+if (!(await canActOnTicket(req.user, ticket, 'ticket:manage'))) {
+return res.status(403).json({
+success: false,
+message: 'Not authorized to manage this ticket'
+});
+}
+const { action, scheduleId, seatNumbers, accessibleSeating } = req.body;
+let updated;
+if (action === 'keep') {
+updated = await keepTicket(ticket);
+} else if (action === 'refund') {
+updated = await refundChangedTicket(ticket, { processedBy: req.user.id });
+} else {
+updated = await exchangeTicket(ticket, { scheduleId, seatNumbers, accessibleSeating });
+}
+res.status(200).json({
+success: true,
+data: updated
+});
+} catch (err) {
+if (err.statusCode && err.statusCode < 500) {
+return res.status(err.statusCode).json({
+success: false,
+message: err.message,
+...err.details
+});
+}
+next(err);
+}
+};
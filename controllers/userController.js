@@ -1,7 +1,16 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
+const { queueEmail } = require('../services/notifications');
+const {
+  issueTokens,
+  refreshTokens,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/authTokens');
+const { normalizePhone, issueOtp, verifyOtp } = require('../services/otpService');
+const { checkRoleAssignments } = require('../services/permissions');
 
 // @desc    Register a new user
 // @route   POST /api/users/register
@@ -16,7 +25,7 @@ exports.register = async (req, res, next) => {
       });
     }
 
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, language } = req.body;
 
     // Check if user already exists
     let user = await User.findOne({ email });
@@ -33,38 +42,29 @@ exports.register = async (req, res, next) => {
       name,
       email,
       password,
-      phone
+      phone,
+      language
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Create token
-    const payload = {
+    queueEmail({ template: 'welcome', user, data: { name: user.name, token: verificationToken } });
+
+    // Start a session for this device
+    const tokens = await issueTokens(user, req, { deviceName: req.body.deviceName });
+
+    res.status(201).json({
+      success: true,
+      ...tokens,
       user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' },
-      (err, token) => {
-        if (err) throw err;
-        res.status(201).json({
-          success: true,
-          token,
-          user: {
-            id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            phone: user.phone
-          }
-        });
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone
       }
-    );
+    });
   } catch (err) {
     console.error(err.message);
     res.status(500).json({
@@ -109,34 +109,486 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Create token
-    const payload = {
+    // Start a session for this device
+    const tokens = await issueTokens(user, req, { deviceName: req.body.deviceName });
+
+    res.json({
+      success: true,
+      ...tokens,
       user: {
-        id: user.id,
-        role: user.role
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone
+      }
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Swap a refresh token for new tokens
+// @route   POST /api/users/refresh
+// @access  Public
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const tokens = await refreshTokens(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/users/logout
+// @access  Private
+exports.logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.user._id, req.authSession._id, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Log out of every session
+// @route   POST /api/users/logout-all
+// @access  Private
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: `Logged out of ${result.modifiedCount} session(s)`
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    List the devices the user is logged in on
+// @route   GET /api/users/me/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Confirm an email address with the emailed token
+// @route   POST /api/users/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findByEmailToken('verify', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    queueEmail({ template: 'verify_email', user, data: { name: user.name, token } });
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      queueEmail({ template: 'password_reset', user, data: { name: user.name, token } });
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe for accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Set a new password with the emailed token
+// @route   POST /api/users/reset-password
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findByEmailToken('reset', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is logged out
+    await revokeAllSessions(user._id, 'password_changed');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Answer an OTP error, telling rate-limited clients when to retry
+const otpErrorResponse = (res, err) => {
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  return res.status(err.statusCode).json({
+    success: false,
+    message: err.message,
+    retryAfter: err.retryAfter,
+    attemptsLeft: err.attemptsLeft
+  });
+};
+
+// @desc    Text a login code to a verified phone number
+// @route   POST /api/users/otp/request
+// @access  Public
+exports.requestLoginOtp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ phone: normalizePhone(req.body.phone), phoneVerified: true });
+
+    if (user) {
+      try {
+        await issueOtp({ phone: user.phone, purpose: 'login', user, ip: req.ip });
+      } catch (err) {
+        // A rate limit only ever hits registered numbers, so it would give them away
+        if (err.statusCode !== 429) throw err;
       }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          success: true,
-          token,
-          user: {
-            id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            phone: user.phone
-          }
-        });
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe for accounts
+    res.json({
+      success: true,
+      message: 'If the number belongs to an account, a login code has been sent'
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return otpErrorResponse(res, err);
+    }
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Log in with a texted code
+// @route   POST /api/users/otp/login
+// @access  Public
+exports.loginWithOtp = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const { phone, code, deviceName } = req.body;
+
+    const otpCode = await verifyOtp({ phone, purpose: 'login', code });
+    const user = await User.findById(otpCode.userId);
+
+    if (!user || !user.phoneVerified || user.phone !== otpCode.phone) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const tokens = await issueTokens(user, req, { deviceName });
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone
       }
-    );
+    });
   } catch (err) {
+    if (err.statusCode) {
+      return otpErrorResponse(res, err);
+    }
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Text a code to confirm the user's phone number
+// @route   POST /api/users/me/phone/verify/request
+// @access  Private
+exports.requestPhoneVerification = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const phone = normalizePhone(req.body.phone || req.user.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a phone number first'
+      });
+    }
+
+    if (req.user.phoneVerified && req.user.phone === phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const taken = await User.exists({ phone, phoneVerified: true, _id: { $ne: req.user._id } });
+    if (taken) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is already used by another account'
+      });
+    }
+
+    const { expiresAt } = await issueOtp({ phone, purpose: 'verify_phone', user: req.user, requestedBy: req.user, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: `Verification code sent to ${phone}`,
+      expiresAt
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return otpErrorResponse(res, err);
+    }
+    console.error(err.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Confirm a phone number with the texted code
+// @route   POST /api/users/me/phone/verify
+// @access  Private
+exports.verifyPhone = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false,
+        errors: errors.array() 
+      });
+    }
+
+    const otpCode = await verifyOtp({
+      phone: req.body.phone || req.user.phone,
+      purpose: 'verify_phone',
+      code: req.body.code,
+      userId: req.user._id
+    });
+
+    const user = await User.findById(req.user._id);
+    user.phone = otpCode.phone;
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return otpErrorResponse(res, err);
+    }
+    // Another account verified the number in the meantime
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is already used by another account'
+      });
+    }
     console.error(err.message);
     res.status(500).json({
       success: false,
@@ -177,7 +629,7 @@ exports.getProfile = async (req, res, next) => {
 // @access  Private
 exports.updateProfile = async (req, res, next) => {
   try {
-    const { name, phone } = req.body;
+    const { name, phone, language } = req.body;
     
     let user = await User.findById(req.user.id);
     
@@ -190,7 +642,13 @@ exports.updateProfile = async (req, res, next) => {
 
     // Update fields
     if (name) user.name = name;
-    if (phone) user.phone = phone;
+    if (phone && phone !== user.phone) {
+      // A new number has to be verified again before it can log in
+      user.phone = phone;
+      user.phoneVerified = false;
+      user.phoneVerifiedAt = undefined;
+    }
+    if (language) user.language = language;
 
     await user.save();
 
@@ -245,6 +703,9 @@ exports.changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Log out everywhere else; this device stays logged in
+    await revokeAllSessions(user._id, 'password_changed', { exceptSessionId: req.authSession._id });
+
     res.json({
       success: true,
       message: 'Password updated successfully'
@@ -332,7 +793,15 @@ exports.updateUser = async (req, res, next) => {
     if (name) user.name = name;
     if (email) user.email = email;
     if (role) user.role = role;
-    if (phone) user.phone = phone;
+    if (phone && phone !== user.phone) {
+      // A new number has to be verified again before it can log in
+      user.phone = phone;
+      user.phoneVerified = false;
+      user.phoneVerifiedAt = undefined;
+    }
+
+    // Back-office roles go with the staff account
+    if (user.role === 'user') user.roleAssignments = [];
 
     await user.save();
 
@@ -371,7 +840,8 @@ exports.deleteUser = async (req, res, next) => {
       });
     }
 
-    await user.remove();
+    await user.deleteOne();
+    await revokeAllSessions(user._id, 'account_deleted');
 
     res.json({
       success: true,
@@ -392,9 +862,9 @@ exports.deleteUser = async (req, res, next) => {
   }
 };
 
-// @desc    Create staff user (Admin)
-// @route   POST /api/staff
-// @access  Private/Admin
+// @desc    Create staff user, optionally with roles: [{ role, cinemaId }]
+// @route   POST /api/users/staff
+// @access  Private (role:manage for each role given)
 exports.createStaff = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -405,7 +875,7 @@ exports.createStaff = async (req, res, next) => {
       });
     }
 
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, roles = [] } = req.body;
 
     // Check if user already exists
     let user = await User.findOne({ email });
@@ -417,13 +887,19 @@ exports.createStaff = async (req, res, next) => {
       });
     }
 
+    await checkRoleAssignments(req.user, roles);
+
     // Create staff user
     user = new User({
       name,
       email,
       password,
       phone,
-      role: 'staff'
+      role: 'staff',
+      roleAssignments: roles.map(({ role, cinemaId }) => ({ role, cinemaId, assignedBy: req.user._id })),
+      // The admin vouches for staff addresses
+      emailVerified: true,
+      emailVerifiedAt: new Date()
     });
 
     await user.save();
@@ -435,10 +911,17 @@ exports.createStaff = async (req, res, next) => {
         name: user.name,
         email: user.email,
         role: user.role,
-        phone: user.phone
+        phone: user.phone,
+        roleAssignments: user.roleAssignments
       }
     });
   } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message
+      });
+    }
     console.error(err.message);
     res.status(500).json({
       success: false,
@@ -0,0 +1,26 @@
+const { processQueue } = require('../services/notifications/dispatcher');
+const { queueEvents } = require('../services/notifications');
+const { pollIntervalMs } = require('../config/notifications');
+
+// Send queued emails as they are queued, and poll for retries that come due
+const startNotificationWorker = (intervalMs = pollIntervalMs) => {
+  const run = async () => {
+    try {
+      const sent = await processQueue();
+      if (sent) {
+        console.log(`Notifications: ${sent} email(s) processed`.grey);
+      }
+    } catch (err) {
+      console.error('Error processing notification queue:', err);
+    }
+  };
+
+  queueEvents.on('queued', () => setImmediate(run));
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { startNotificationWorker };
@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { importSettlement, parseSettlementDate } = require('../services/reconciliationService');
+
+const INTERVAL_MS = parseInt(process.env.RECONCILIATION_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Settlement files are dropped in as <provider>-<YYYY-MM-DD>.csv
+const FILE_PATTERN = /^(momo|zalopay|card|mock)-(\d{4}-\d{2}-\d{2})\.csv$/;
+
+// Move a handled file out of the inbox so it is only imported once
+const moveTo = async (inbox, folder, fileName) => {
+  const target = path.join(inbox, folder);
+  await fs.mkdir(target, { recursive: true });
+  await fs.rename(path.join(inbox, fileName), path.join(target, fileName));
+};
+
+// Import every settlement file waiting in the inbox
+const processInbox = async (inbox) => {
+  const entries = await fs.readdir(inbox, { withFileTypes: true });
+  const files = entries.filter(entry => entry.isFile() && FILE_PATTERN.test(entry.name)).map(entry => entry.name);
+
+  for (const fileName of files) {
+    const [, provider, day] = fileName.match(FILE_PATTERN);
+
+    try {
+      const csv = await fs.readFile(path.join(inbox, fileName), 'utf8');
+      const report = await importSettlement({
+        provider,
+        date: parseSettlementDate(day),
+        csv,
+        fileName,
+        source: 'job'
+      });
+
+      await moveTo(inbox, 'processed', fileName);
+      console.log(`Reconciliation: ${fileName} imported, ${report.summary.issues} issue(s)`.grey);
+    } catch (err) {
+      console.error(`Error reconciling ${fileName}:`, err);
+      await moveTo(inbox, 'failed', fileName);
+    }
+  }
+};
+
+// Periodically reconcile provider settlement files dropped into `inbox`
+const startReconciliationJob = (inbox = process.env.SETTLEMENT_INBOX, intervalMs = INTERVAL_MS) => {
+  if (!inbox) return null;
+
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await processInbox(inbox);
+    } catch (err) {
+      console.error('Error reading settlement inbox:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { startReconciliationJob, processInbox };
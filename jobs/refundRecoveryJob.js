@@ -0,0 +1,30 @@
+const { recoverStaleRefunds } = require('../services/refundService');
+const { refundRecoveryIntervalMs } = require('../config/payments');
+
+// Periodically finish refunds that were interrupted halfway
+const startRefundRecoveryJob = (intervalMs = refundRecoveryIntervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+
+    try {
+      const recovered = await recoverStaleRefunds();
+      if (recovered) {
+        console.log(`Refund recovery: ${recovered} interrupted refund(s) resolved`.grey);
+      }
+    } catch (err) {
+      console.error('Error recovering interrupted refunds:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { startRefundRecoveryJob };
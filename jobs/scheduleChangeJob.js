@@ -0,0 +1,26 @@
+const { processScheduleChanges, scheduleChangeEvents } = require('../services/scheduleChangeService');
+const { pollIntervalMs } = require('../config/notifications');
+
+// Fan out showtime changes to ticket holders as they are queued, and poll for
+// retries and changes queued by other instances
+const startScheduleChangeWorker = (intervalMs = pollIntervalMs) => {
+  const run = async () => {
+    try {
+      const processed = await processScheduleChanges();
+      if (processed) {
+        console.log(`Schedule changes: ${processed} change(s) sent to ticket holders`.grey);
+      }
+    } catch (err) {
+      console.error('Error processing schedule changes:', err);
+    }
+  };
+
+  scheduleChangeEvents.on('queued', () => setImmediate(run));
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { startScheduleChangeWorker };
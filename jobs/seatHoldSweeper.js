@@ -0,0 +1,32 @@
+const { sweepExpired } = require('../services/seatHoldService');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.SEAT_HOLD_SWEEP_MS) || 30 * 1000;
+
+// Periodically release lapsed seat holds and unpaid tickets
+const startSeatHoldSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow sweep
+    if (running) return;
+    running = true;
+
+    try {
+      const { expiredHolds, expiredTickets } = await sweepExpired();
+      if (expiredHolds || expiredTickets) {
+        console.log(`Seat sweeper: ${expiredHolds} hold(s), ${expiredTickets} ticket(s) expired`.grey);
+      }
+    } catch (err) {
+      console.error('Error sweeping expired seat holds:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { startSeatHoldSweeper };
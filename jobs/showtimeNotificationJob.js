@@ -0,0 +1,31 @@
+const { sendShowtimeReminders, refundUnansweredCancellations } = require('../services/scheduleChangeService');
+const { reminderIntervalMs } = require('../config/notifications');
+
+// Periodically queue showtime reminders and refund unanswered cancellations
+const startShowtimeNotifier = (intervalMs = reminderIntervalMs) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+
+    try {
+      const reminded = await sendShowtimeReminders();
+      const refunded = await refundUnansweredCancellations();
+      if (reminded || refunded) {
+        console.log(`Showtime notifier: ${reminded} reminder(s) queued, ${refunded} ticket(s) refunded`.grey);
+      }
+    } catch (err) {
+      console.error('Error sending showtime notifications:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { startShowtimeNotifier };
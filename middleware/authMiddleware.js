@@ -1,47 +1,83 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { authenticateAccessToken } = require('../services/authTokens');
+const { userCan, userCanAnywhere, ALL_CINEMAS } = require('../services/permissions');
 
+// Accept a bearer access token whose session is still active
 const protect = async (req, res, next) => {
-  let token;
-
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith('Bearer')
-  ) {
-    try {
-      token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
-      next();
-    } catch (error) {
-      console.error(error);
-      res.status(401);
-      throw new Error('Not authorized, token failed');
-    }
+  const { authorization } = req.headers;
+
+  if (!authorization || !authorization.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no token'
+    });
   }
 
-  if (!token) {
-    res.status(401);
-    throw new Error('Not authorized, no token');
+  try {
+    const { user, session } = await authenticateAccessToken(authorization.split(' ')[1]);
+    req.user = user;
+    req.authSession = session;
+  } catch (error) {
+    if (!error.statusCode) {
+      return next(error);
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
   }
+
+  next();
 };
 
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized as an admin');
+/**
+ * Allow the request when the user holds `permission` for the cinemas behind
+ * `resources` (see services/permissions `resource`). With no resources the
+ * permission must be held chain-wide; a resource that does not exist only
+ * needs the permission somewhere, leaving the 404 to the handler.
+ */
+const can = (permission, ...resources) => async (req, res, next) => {
+  let allowed;
+
+  try {
+    if (resources.length === 0) {
+      allowed = userCan(req.user, permission);
+    } else {
+      const cinemaIds = (await Promise.all(resources.map(resolve => resolve(req))))
+        .filter(cinemaId => cinemaId !== undefined);
+
+      allowed = cinemaIds.length === 0
+        ? userCanAnywhere(req.user, permission)
+        : cinemaIds.every(cinemaId => {
+          if (cinemaId === null) return userCanAnywhere(req.user, permission);
+          if (cinemaId === ALL_CINEMAS) return userCan(req.user, permission);
+          return userCan(req.user, permission, cinemaId);
+        });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!allowed) {
+    return res.status(403).json({
+      success: false,
+      message: `Not authorized (requires ${permission})`
+    });
   }
+
+  next();
 };
 
-const staff = (req, res, next) => {
-  if (req.user && (req.user.role === 'staff' || req.user.role === 'admin')) {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized as staff or admin');
+// Customers must confirm their email address before booking
+const verifiedEmail = (req, res, next) => {
+  if (req.user && (req.user.emailVerified || req.user.role !== 'user')) {
+    return next();
   }
+
+  res.status(403).json({
+    success: false,
+    code: 'email_not_verified',
+    message: 'Please verify your email address before booking'
+  });
 };
 
-module.exports = { protect, admin, staff };
+module.exports = { protect, can, verifiedEmail };
@@ -0,0 +1,21 @@
+const User = require('../models/User');
+
+// Staff accounts from before per-cinema roles passed the old `staff` check,
+// which only guarded check-in. Give each one the usher role at every cinema
+// so they keep exactly that access until a manager assigns a proper role.
+module.exports = {
+  description: 'Give staff accounts without role assignments a chain-wide usher role',
+  up: async () => {
+    const { modifiedCount } = await User.updateMany(
+      {
+        role: 'staff',
+        $or: [
+          { roleAssignments: { $exists: false } },
+          { roleAssignments: { $size: 0 } }
+        ]
+      },
+      { $set: { roleAssignments: [{ role: 'usher', assignedAt: new Date() }] } }
+    );
+    return { staffBackfilled: modifiedCount };
+  }
+};
@@ -0,0 +1,15 @@
+const User = require('../models/User');
+
+// Bookings now need a verified email. Accounts from before verification
+// existed never stored emailVerified (the schema default only applies on
+// read), so mark exactly those as verified rather than lock them out.
+module.exports = {
+  description: 'Mark accounts created before email verification as verified',
+  up: async () => {
+    const { modifiedCount } = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    return { usersVerified: modifiedCount };
+  }
+};
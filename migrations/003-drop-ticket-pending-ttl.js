@@ -0,0 +1,24 @@
+const Ticket = require('../models/Ticket');
+
+// pendingExpiresAt used to be a TTL index, so MongoDB deleted unpaid tickets
+// behind the seat hold sweeper's back. The schema now asks for a plain index,
+// but Mongoose does not replace an existing index with the same key.
+module.exports = {
+  description: 'Drop the TTL index on tickets.pendingExpiresAt',
+  up: async () => {
+    // Let Mongoose's own index build settle (and fail on the conflict) first
+    await Ticket.init().catch(() => {});
+
+    const indexes = await Ticket.collection.indexes();
+    const ttlIndex = indexes.find(index =>
+      index.key.pendingExpiresAt && index.expireAfterSeconds !== undefined);
+
+    if (!ttlIndex) {
+      return { droppedIndex: null };
+    }
+
+    await Ticket.collection.dropIndex(ttlIndex.name);
+    await Ticket.collection.createIndex({ pendingExpiresAt: 1 });
+    return { droppedIndex: ttlIndex.name };
+  }
+};
@@ -0,0 +1,30 @@
+const Ticket = require('../models/Ticket');
+const Schedule = require('../models/Schedule');
+const { signTicketQr } = require('../services/ticketQr');
+
+// Without TICKET_QR_SECRET, QR codes used to be signed with the JWT secret
+// itself and are now signed with a key derived from it. Check-in only takes
+// a ticket's current code, so re-sign the ones that can still be scanned;
+// customers get the new code with their e-ticket.
+module.exports = {
+  description: 'Re-sign QR codes of tickets for shows that have not ended',
+  up: async () => {
+    const schedules = await Schedule.find({ endTime: { $gt: new Date() } }).select('endTime');
+    let resigned = 0;
+
+    for (const schedule of schedules) {
+      const tickets = await Ticket.find({ scheduleId: schedule._id, status: { $in: ['pending', 'paid'] } })
+        .select('qrCode');
+
+      for (const ticket of tickets) {
+        const qrCode = signTicketQr(ticket._id, schedule.endTime);
+        if (ticket.qrCode === qrCode) continue;
+
+        await Ticket.updateOne({ _id: ticket._id }, { $set: { qrCode } });
+        resigned += 1;
+      }
+    }
+
+    return { ticketsResigned: resigned };
+  }
+};
@@ -0,0 +1,37 @@
+// Runs the data migrations in this folder that have not been applied yet.
+// Run once per deploy, before starting the new server: `npm run migrate`
+require('dotenv').config();
+require('colors');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+
+const migrationFiles = () =>
+  fs.readdirSync(__dirname)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+const migrate = async () => {
+  await connectDB();
+  const applied = mongoose.connection.collection('migrations');
+
+  for (const file of migrationFiles()) {
+    const name = path.basename(file, '.js');
+    if (await applied.findOne({ name })) continue;
+
+    const migration = require(path.join(__dirname, file));
+    console.log(`Migrating ${name}: ${migration.description}`.cyan);
+    const result = await migration.up();
+    await applied.insertOne({ name, result, appliedAt: new Date() });
+    console.log(`Migrated ${name}`.green, result || '');
+  }
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async err => {
+    console.error(`Migration failed: ${err.message}`.red.bold);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -1,4 +1,40 @@
 const mongoose = require('mongoose');
+const { TICKET_TYPES, DEFAULT_TICKET_TYPES } = require('../config/ticketTypes');
+const defaultRefundPolicy = require('../config/refundPolicy');
+
+const ticketTypeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    enum: TICKET_TYPES,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Label cannot be more than 50 characters']
+  },
+  // Percentage of the seat's base price, e.g. -20 for 20% off
+  percent: {
+    type: Number,
+    min: -100,
+    max: 100,
+    default: 0
+  },
+  // Flat amount added after the percentage, in VND
+  fixed: {
+    type: Number,
+    default: 0
+  },
+  // Staff must check a student/senior/member card at the door
+  requiresId: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
 
 const cinemaSchema = new mongoose.Schema(
   {
@@ -60,6 +96,56 @@ const cinemaSchema = new mongoose.Schema(
       saturday: { open: String, close: String },
       sunday: { open: String, close: String }
     },
+    seatSelection: {
+      // Reject selections that strand single empty seats in a row
+      preventOrphanSeats: {
+        type: Boolean,
+        default: true
+      },
+      // Largest stranded gap (in seats) that counts as an orphan
+      orphanGapSize: {
+        type: Number,
+        min: 1,
+        max: 3,
+        default: 1
+      }
+    },
+    ticketTypes: {
+      type: [ticketTypeSchema],
+      validate: [
+        types => new Set(types.map(type => type.code)).size === types.length,
+        'Each ticket type can only be configured once'
+      ]
+    },
+    // Unset fields fall back to config/refundPolicy.js
+    refundPolicy: {
+      tiers: [{
+        _id: false,
+        minHoursBefore: {
+          type: Number,
+          required: true,
+          min: 0
+        },
+        percent: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100
+        }
+      }],
+      combosRefundable: Boolean,
+      fee: {
+        fixed: {
+          type: Number,
+          min: 0
+        },
+        percent: {
+          type: Number,
+          min: 0,
+          max: 100
+        }
+      }
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -87,6 +173,32 @@ cinemaSchema.pre('remove', async function(next) {
   next();
 });
 
+// Ticket types on sale at this cinema, falling back to the defaults
+cinemaSchema.methods.getTicketTypes = function() {
+  const configured = this.ticketTypes && this.ticketTypes.length > 0
+    ? this.ticketTypes.map(type => type.toObject())
+    : DEFAULT_TICKET_TYPES;
+
+  return configured
+    .filter(type => type.isActive !== false)
+    .map(type => ({ ...type, label: type.label || DEFAULT_TICKET_TYPES.find(d => d.code === type.code).label }));
+};
+
+// Refund policy in force at this cinema, tiers sorted latest-first
+cinemaSchema.methods.getRefundPolicy = function() {
+  const policy = (this.refundPolicy && this.refundPolicy.toObject()) || {};
+  const tiers = policy.tiers && policy.tiers.length > 0 ? policy.tiers : defaultRefundPolicy.tiers;
+
+  return {
+    tiers: [...tiers].sort((a, b) => b.minHoursBefore - a.minHoursBefore),
+    combosRefundable: policy.combosRefundable ?? defaultRefundPolicy.combosRefundable,
+    fee: {
+      fixed: policy.fee?.fixed ?? defaultRefundPolicy.fee.fixed,
+      percent: policy.fee?.percent ?? defaultRefundPolicy.fee.percent
+    }
+  };
+};
+
 // Reverse populate with virtuals
 cinemaSchema.virtual('rooms', {
   ref: 'Room',
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { LANGUAGES } = require('../config/notifications');
+
+// An outgoing message waiting in (or done with) the delivery queue
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    channel: {
+      type: String,
+      enum: ['email'],
+      default: 'email'
+    },
+    template: {
+      type: String,
+      required: true
+    },
+    language: {
+      type: String,
+      enum: LANGUAGES,
+      required: true
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    // Ids and amounts the template loads its content from at send time
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    // Stops the same event from queueing a second message
+    dedupeKey: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'sent', 'failed'],
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastError: String,
+    sentAt: Date
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
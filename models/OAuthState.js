@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A social login between leaving for the provider and coming back
+const oauthStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    provider: {
+      type: String,
+      required: true
+    },
+    // PKCE verifier and OIDC nonce checked when the provider answers
+    codeVerifier: {
+      type: String,
+      required: true
+    },
+    nonce: String,
+    // Set when a logged-in user is linking another provider
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deviceName: String,
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { timestamps: true }
+);
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A one-time code texted to a phone number; only its hash is stored
+const otpCodeSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String,
+      required: true
+    },
+    purpose: {
+      type: String,
+      enum: ['login', 'verify_phone'],
+      required: true
+    },
+    // Account the code was issued for
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    codeHash: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    consumedAt: Date
+  },
+  { timestamps: true }
+);
+
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+
+// Kept for a day for support, then removed
+otpCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Codes texted in the current hour for one number, account or IP address.
+// Updated in a single atomic step so parallel requests share the quota
+const otpSendLimitSchema = new mongoose.Schema({
+  // `phone:<digits>`, `user:<id>` or `ip:<address>`
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  windowStart: Date,
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date
+});
+
+// Forgotten once the hour they counted is long over
+otpSendLimitSchema.index({ lastSentAt: 1 }, { expireAfterSeconds: 2 * 60 * 60 });
+
+module.exports = mongoose.model('OtpSendLimit', otpSendLimitSchema);
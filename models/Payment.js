@@ -1,4 +1,47 @@
 const mongoose = require('mongoose');
+const { getGatewayByName, newRefundId } = require('../services/payments');
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Processing fee kept back under the cinema's refund policy
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reason: String,
+  // Items covered by a partial refund; empty for whole-ticket refunds
+  seats: [String],
+  combos: [{
+    _id: false,
+    comboId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Combo'
+    },
+    name: String,
+    qty: Number
+  }],
+  // `processing` holds the amount while the gateway is being asked, so two
+  // refunds cannot both pay out; `pending` means the gateway settles later
+  status: {
+    type: String,
+    enum: ['processing', 'pending', 'success'],
+    default: 'success'
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  },
+  referenceId: String
+});
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -19,16 +62,31 @@ const paymentSchema = new mongoose.Schema(
       required: true,
       min: 0 
     },
+    currency: {
+      type: String,
+      default: 'VND'
+    },
     method: { 
       type: String, 
       enum: ['momo', 'zalopay', 'card', 'cash'], 
       required: true 
     },
+    // Gateway adapter that created the order (see services/payments)
+    gateway: {
+      type: String,
+      enum: ['momo', 'zalopay', 'card', 'mock']
+    },
+    // Our order reference at the provider
     transactionId: {
       type: String,
       unique: true,
       sparse: true
     },
+    // The provider's own id for the settled transaction
+    providerTransactionId: {
+      type: String,
+      index: true
+    },
     status: { 
       type: String, 
       enum: ['pending', 'success', 'failed', 'refunded'], 
@@ -41,23 +99,40 @@ const paymentSchema = new mongoose.Schema(
       accountInfo: String,
       transactionTime: Date,
       responseCode: String,
-      responseMessage: String
-    },
-    refundDetails: {
-      amount: Number,
-      reason: String,
-      processedBy: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      processedAt: Date,
-      referenceId: String
+      responseMessage: String,
+      // Last IPN/webhook received from the provider
+      notifiedAt: Date
+    },
+    // What the customer needs to complete the payment at the provider
+    checkout: {
+      payUrl: String,
+      qrCode: String,
+      deeplink: String,
+      expiresAt: Date
+    },
+    paidAt: Date,
+    // Set when the money arrived after the ticket had expired or been
+    // cancelled, or for a total the ticket no longer has; such payments
+    // are refunded automatically
+    unfulfilled: {
+      detectedAt: Date,
+      ticketStatus: String,
+      reason: String
+    },
+    // One record per refund; a payment can be refunded in several parts
+    refundDetails: [refundSchema],
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
     },
     ipAddress: String,
     userAgent: String
   },
   { 
     timestamps: true,
+    // Concurrent IPN deliveries must not both settle the same payment
+    optimisticConcurrency: true,
     toJSON: { virtuals: true },
     toObject: { virtuals: true }
   }
@@ -85,30 +160,40 @@ paymentSchema.virtual('user', {
 
 // Update ticket status when payment status changes
 paymentSchema.pre('save', async function(next) {
-  if (this.isModified('status')) {
+  // Unfulfilled payments never bought the ticket, so neither they nor their
+  // refund may change it
+  if (this.isModified('status') && !this.unfulfilled.detectedAt) {
     const Ticket = mongoose.model('Ticket');
     
     try {
-      const ticket = await Ticket.findById(this.ticketId);
+      const session = this.$session();
+      const ticket = await Ticket.findById(this.ticketId).session(session);
       if (!ticket) {
         throw new Error('Ticket not found');
       }
       
+      // Tickets call a successful payment "completed"
+      const paymentStatus = this.status === 'success' ? 'completed' : this.status;
+
       // Only update if status is different
-      if (ticket.paymentStatus !== this.status) {
-        ticket.paymentStatus = this.status;
+      if (ticket.paymentStatus !== paymentStatus) {
+        ticket.paymentStatus = paymentStatus;
         
         // If payment is successful, update ticket status to paid
-        if (this.status === 'success' && ticket.status === 'pending') {
-          ticket.status = 'paid';
+        if (this.status === 'success') {
+          if (ticket.canTransitionTo('paid')) {
+            ticket.transitionTo('paid', { paymentId: this._id, source: 'payment', at: this.paidAt });
+          } else if (ticket.status !== 'paid') {
+            console.warn(`Payment ${this._id} succeeded for ${ticket.status} ticket ${ticket._id}; refunding it`);
+          }
         }
         
         // If payment is refunded, update ticket status to refunded
-        if (this.status === 'refunded' && ticket.status === 'paid') {
-          ticket.status = 'refunded';
+        if (this.status === 'refunded' && ticket.canTransitionTo('refunded')) {
+          ticket.transitionTo('refunded', { paymentId: this._id, source: 'payment' });
         }
         
-        await ticket.save();
+        await ticket.save({ session });
       }
     } catch (error) {
       console.error('Error updating ticket status:', error);
@@ -171,7 +256,111 @@ getPaymentSummary = async function(startDate, endDate) {
   return result;
 };
 
-// Static method to process a refund
+// Money that has not been refunded yet
+paymentSchema.virtual('refundableAmount').get(function() {
+  return Math.max(0, this.amount - (this.refundedAmount || 0));
+});
+
+const refundError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Claim `refund.amount` before any money moves. The claim only succeeds when
+ * nothing was refunded since this payment was loaded and no other refund is
+ * in flight. The provider reference is fixed here so an interrupted refund
+ * can be looked up later (see refundService.recoverStaleRefunds). Returns
+ * `{ payment, refundId }` with the freshly saved payment; follow up with
+ * `sendRefund` and then `settleRefund` or `releaseRefund`.
+ */
+paymentSchema.methods.reserveRefund = async function(refund) {
+  if (this.status !== 'success') {
+    throw refundError('Only successful payments can be refunded', 400);
+  }
+
+  if (refund.amount <= 0 || refund.amount > this.refundableAmount) {
+    throw refundError(`Refund amount must be between 1 and ${this.refundableAmount}`, 400);
+  }
+
+  const entry = {
+    ...refund,
+    _id: new mongoose.Types.ObjectId(),
+    status: 'processing',
+    referenceId: newRefundId()
+  };
+  const refundedAmount = this.refundedAmount || 0;
+
+  const payment = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: 'success',
+      refundedAmount: refundedAmount === 0 ? { $in: [0, null] } : refundedAmount,
+      'refundDetails.status': { $ne: 'processing' }
+    },
+    { $push: { refundDetails: entry }, $inc: { refundedAmount: refund.amount, __v: 1 } },
+    { new: true }
+  );
+
+  if (!payment) {
+    throw refundError('This payment changed or is being refunded already, please try again', 409);
+  }
+
+  return { payment, refundId: entry._id };
+};
+
+// Send a reserved refund back through the gateway the payment used
+paymentSchema.methods.sendRefund = async function(refundId) {
+  const refund = this.refundDetails.id(refundId);
+
+  // Cash and legacy payments are refunded at the counter
+  if (!this.gateway) {
+    return { status: 'success' };
+  }
+
+  const result = await getGatewayByName(this.gateway).refund({
+    orderId: this.transactionId,
+    providerTransactionId: this.providerTransactionId,
+    amount: refund.amount,
+    reason: refund.reason || '',
+    refundId: refund.referenceId
+  });
+
+  if (result.status === 'failed') {
+    throw refundError(`Refund rejected by ${this.gateway}: ${result.responseMessage}`, 502);
+  }
+
+  return result;
+};
+
+// Record the gateway's answer for a reserved refund; `final` closes the
+// payment as refunded. Resolves to the saved payment
+paymentSchema.methods.settleRefund = function(refundId, result, { final = false } = {}) {
+  const refund = this.refundDetails.id(refundId);
+  refund.status = result.status === 'pending' ? 'pending' : 'success';
+  refund.referenceId = result.refundId || refund.referenceId;
+  refund.processedAt = new Date();
+
+  if (final || this.refundedAmount >= this.amount) {
+    this.status = 'refunded';
+  }
+
+  return this.save();
+};
+
+// Give a reserved amount back when the gateway refused the refund
+paymentSchema.methods.releaseRefund = async function(refundId) {
+  const refund = this.refundDetails.id(refundId);
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, 'refundDetails._id': refundId },
+    { $pull: { refundDetails: { _id: refundId } }, $inc: { refundedAmount: -refund.amount, __v: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to refund everything that is left on a payment
 paymentSchema.statics.processRefund = async function(paymentId, userId, reason = '') {
   const Payment = this;
   const payment = await Payment.findById(paymentId);
@@ -180,27 +369,19 @@ paymentSchema.statics.processRefund = async function(paymentId, userId, reason =
     throw new Error('Payment not found');
   }
   
-  if (payment.status !== 'success') {
-    throw new Error('Only successful payments can be refunded');
+  const amount = payment.refundableAmount;
+  const { payment: reserved, refundId } = await payment.reserveRefund({ amount, reason, processedBy: userId });
+
+  let result;
+  try {
+    result = await reserved.sendRefund(refundId);
+  } catch (err) {
+    await reserved.releaseRefund(refundId);
+    throw err;
   }
   
-  // In a real app, you would integrate with the payment provider's API here
-  // to process the refund
-  
-  // For demo purposes, we'll just update the status
-  payment.status = 'refunded';
-  payment.refundDetails = {
-    amount: payment.amount,
-    reason,
-    processedBy: userId,
-    processedAt: new Date()
-  };
-  
-  await payment.save();
-  
   // The pre-save hook will update the associated ticket status
-  
-  return payment;
+  return reserved.settleRefund(refundId, result, { final: true });
 };
 
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -161,7 +161,7 @@ promotionSchema.methods.canBeUsedByUser = async function(userId) {
   if (this.usageRestrictions.minPreviousOrders > 0) {
     const orderCount = await mongoose.model('Ticket').countDocuments({ 
       userId,
-      status: 'paid'
+      status: { $in: ['paid', 'checked_in'] }
     });
     if (orderCount < this.usageRestrictions.minPreviousOrders) return false;
   }
@@ -171,7 +171,7 @@ promotionSchema.methods.canBeUsedByUser = async function(userId) {
     const usageCount = await mongoose.model('Ticket').countDocuments({ 
       userId,
       'voucher.code': this.code,
-      status: { $ne: 'cancelled' }
+      status: { $nin: mongoose.model('Ticket').RELEASED_STATUSES }
     });
     if (usageCount > 0) return false;
   }
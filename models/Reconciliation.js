@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const ISSUE_TYPES = [
+  'missing_in_provider',
+  'missing_in_system',
+  'duplicate',
+  'amount_mismatch',
+  'status_mismatch',
+  'refund_mismatch'
+];
+
+const itemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['matched', ...ISSUE_TYPES],
+    required: true
+  },
+  transactionId: String,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // What our Payment says vs what the settlement file says
+  expectedAmount: Number,
+  settledAmount: Number,
+  paymentStatus: String,
+  rowNumbers: [Number],
+  note: String
+}, { _id: false });
+
+// One provider settlement file checked against our Payment records
+const reconciliationSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ['momo', 'zalopay', 'card', 'mock'],
+      required: true
+    },
+    settlementDate: {
+      type: Date,
+      required: true
+    },
+    fileName: String,
+    source: {
+      type: String,
+      enum: ['upload', 'job'],
+      default: 'upload'
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    summary: {
+      rows: { type: Number, default: 0 },
+      payments: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      issues: { type: Number, default: 0 },
+      settledTotal: { type: Number, default: 0 },
+      refundedTotal: { type: Number, default: 0 },
+      expectedTotal: { type: Number, default: 0 }
+    },
+    issueCounts: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    items: [itemSchema],
+    // Rows that could not be read and were left out
+    parseErrors: [String]
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Re-importing a provider's file for a day replaces the earlier report
+reconciliationSchema.index({ provider: 1, settlementDate: 1 }, { unique: true });
+
+reconciliationSchema.virtual('isClean').get(function() {
+  return this.summary.issues === 0;
+});
+
+reconciliationSchema.statics.ISSUE_TYPES = ISSUE_TYPES;
+
+module.exports = mongoose.model('Reconciliation', reconciliationSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { SEAT_TYPES, FEATURES_BY_SEAT_TYPE } = require('../config/seatTypes');
+const { buildSeatsFromLayout } = require('../services/seatLayout');
 
 const seatSchema = new mongoose.Schema({
   code: { 
@@ -9,9 +11,15 @@ const seatSchema = new mongoose.Schema({
   },
   type: { 
     type: String, 
-    enum: ['standard', 'vip'], 
+    enum: SEAT_TYPES, 
     default: 'standard' 
   },
+  // Code of the other half of a couple seat
+  pairCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   status: { 
     type: String, 
     enum: ['available', 'maintenance'], 
@@ -40,6 +48,10 @@ const roomSchema = new mongoose.Schema(
       min: 1
     },
     seats: [seatSchema],
+    // Uploaded seat layout document; when set, seats are built from it
+    layout: {
+      type: mongoose.Schema.Types.Mixed
+    },
     screenType: {
       type: String,
       enum: ['standard', '3d', 'imax', '4dx'],
@@ -61,17 +73,44 @@ const roomSchema = new mongoose.Schema(
   }
 );
 
-// Create seat map before saving
-roomSchema.pre('save', function(next) {
-  if (this.isNew || this.isModified('capacity')) {
+// Build the seat map before validation (capacity is derived from it)
+roomSchema.pre('validate', function(next) {
+  if (this.layout && (this.isNew || this.isModified('layout'))) {
+    const { errors, seats } = buildSeatsFromLayout(this.layout);
+    if (errors) {
+      const err = new Error(`Invalid seat layout: ${errors.join('; ')}`);
+      err.statusCode = 400;
+      return next(err);
+    }
+    
+    this.seats = seats;
+    this.capacity = seats.length;
+    
+    // Advertise the features the layout provides
+    const features = new Set(this.features);
+    seats.forEach(seat => {
+      if (FEATURES_BY_SEAT_TYPE[seat.type]) features.add(FEATURES_BY_SEAT_TYPE[seat.type]);
+    });
+    this.features = [...features];
+  } else if (this.layout && this.isModified('capacity')) {
+    // A custom layout decides the capacity; never regenerate over it
+    if (this.capacity !== this.seats.length) {
+      const err = new Error('Capacity comes from the seat layout. Upload a new layout to change it.');
+      err.statusCode = 400;
+      return next(err);
+    }
+  } else if ((this.isNew && this.seats.length === 0) || (!this.isNew && this.isModified('capacity'))) {
     this.seats = this.generateSeatMap();
     this.capacity = this.seats.length;
   }
   next();
 });
 
-// Generate seat map based on capacity
+// Generate seat map based on capacity, keeping the type and status of
+// seats that already exist
 roomSchema.methods.generateSeatMap = function() {
+  const existing = new Map((this.seats || []).map(seat => [seat.code, seat]));
+  
   const rows = Math.ceil(Math.sqrt(this.capacity * 1.5)); // More rows than columns
   const seatsPerRow = Math.ceil(this.capacity / rows);
   const seats = [];
@@ -83,12 +122,14 @@ roomSchema.methods.generateSeatMap = function() {
     const rowLetter = alphabet[row];
     
     for (let col = 1; col <= seatsPerRow && seatNumber < this.capacity; col++) {
+      const code = `${rowLetter}${col}`;
+      const previous = existing.get(code);
       const seatType = (row < 2) ? 'vip' : 'standard';
       
       seats.push({
-        code: `${rowLetter}${col}`,
-        type: seatType,
-        status: 'available',
+        code,
+        type: previous ? previous.type : seatType,
+        status: previous ? previous.status : 'available',
         row: row,
         column: col - 1
       });
@@ -109,25 +150,18 @@ roomSchema.methods.getAvailableSeats = async function(scheduleId) {
     throw new Error('Schedule not found');
   }
   
-  // Get all tickets for this schedule that are not cancelled
-  const tickets = await mongoose.model('Ticket').find({
-    scheduleId: schedule._id,
-    status: { $ne: 'cancelled' }
-  });
+  // Get all booked seat codes and the seats held at checkout
+  const bookedSeats = await mongoose.model('Ticket').getTakenSeats(schedule._id);
+  const heldSeats = await mongoose.model('SeatHold').getHeldSeats(schedule._id);
   
-  // Get all booked seat codes
-  const bookedSeats = new Set();
-  tickets.forEach(ticket => {
-    ticket.seats.forEach(seat => {
-      bookedSeats.add(seat.code);
-    });
+  // Mark seats as available, held or booked
+  return this.seats.map(seat => {
+    let status = seat.status;
+    if (bookedSeats.has(seat.code)) status = 'booked';
+    else if (heldSeats.has(seat.code)) status = 'held';
+    
+    return { ...seat.toObject(), status };
   });
-  
-  // Mark seats as available or booked
-  return this.seats.map(seat => ({
-    ...seat.toObject(),
-    status: bookedSeats.has(seat.code) ? 'booked' : seat.status
-  }));
 };
 
 // Virtual for schedules
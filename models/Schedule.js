@@ -40,6 +40,19 @@ const scheduleSchema = new mongoose.Schema(
         required: true,
         min: 0
       },
+      // Per seat (each half of a couple sofa); unset types sell at the standard price
+      couple: {
+        type: Number,
+        min: 0
+      },
+      wheelchair: {
+        type: Number,
+        min: 0
+      },
+      companion: {
+        type: Number,
+        min: 0
+      },
       earlyBirdDiscount: {
         type: Number,
         min: 0,
@@ -94,11 +107,11 @@ scheduleSchema.virtual('tickets', {
   justOne: false
 });
 
-// Calculate end time based on movie duration before saving
-scheduleSchema.pre('save', async function(next) {
+// Calculate end time based on movie duration before validation (endTime is required)
+scheduleSchema.pre('validate', async function(next) {
   if (this.isNew || this.isModified('startTime') || this.isModified('movieId')) {
     const Movie = mongoose.model('Movie');
-    const movie = await Movie.findById(this.movieId);
+    const movie = await Movie.findById(this.movieId).session(this.$session());
     
     if (!movie) {
       throw new Error('Movie not found');
@@ -125,7 +138,7 @@ scheduleSchema.pre('save', async function(next) {
         { endTime: { $gt: this.startTime, $lte: this.endTime } },
         { startTime: { $lte: this.startTime }, endTime: { $gte: this.endTime } }
       ]
-    });
+    }).session(this.$session());
     
     if (existingSchedule) {
       const err = new Error('This room is already booked for the selected time slot.');
@@ -137,7 +150,7 @@ scheduleSchema.pre('save', async function(next) {
   next();
 });
 
-// Update room's isFull status based on ticket sales
+// Update room's isFull status based on ticket sales and active seat holds
 scheduleSchema.methods.updateOccupancy = async function() {
   const Ticket = mongoose.model('Ticket');
   const Room = mongoose.model('Room');
@@ -145,17 +158,24 @@ scheduleSchema.methods.updateOccupancy = async function() {
   const room = await Room.findById(this.roomId);
   if (!room) return;
   
-  const tickets = await Ticket.find({
-    scheduleId: this._id,
-    status: { $ne: 'cancelled' }
-  });
+  const SeatHold = mongoose.model('SeatHold');
   
-  const totalBookedSeats = tickets.reduce((total, ticket) => total + ticket.seats.length, 0);
-  this.isFull = totalBookedSeats >= room.capacity;
+  // Seats held by customers still at checkout count as occupied
+  const takenSeats = await Ticket.getTakenSeats(this._id);
+  const heldSeats = await SeatHold.getHeldSeats(this._id);
+  heldSeats.forEach(code => takenSeats.add(code));
+  
+  this.isFull = takenSeats.size >= room.capacity;
   
   await this.save();
 };
 
+// Price of one seat of the given type
+scheduleSchema.methods.getSeatPrice = function(seatType) {
+  const price = this.priceTable[seatType];
+  return typeof price === 'number' ? price : this.priceTable.standard;
+};
+
 // Static method to get available time slots for a room
 scheduleSchema.statics.getAvailableSlots = async function(roomId, date, duration) {
   const startOfDay = new Date(date);
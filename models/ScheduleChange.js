@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A showtime change waiting for (or done with) its fan-out to ticket holders
+const scheduleChangeSchema = new mongoose.Schema(
+  {
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Schedule',
+      required: true,
+      index: true
+    },
+    kind: {
+      type: String,
+      enum: ['cancelled', 'moved'],
+      required: true
+    },
+    previousStartTime: Date,
+    previousRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    status: {
+      type: String,
+      enum: ['queued', 'processing', 'done', 'failed'],
+      default: 'queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // Ticket holders emailed once the change was processed
+    notifiedHolders: Number,
+    lastError: String,
+    processedAt: Date
+  },
+  { timestamps: true }
+);
+
+scheduleChangeSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ScheduleChange', scheduleChangeSchema);
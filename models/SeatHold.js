@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const { publishSeatEvent, publishAfterCommit } = require('../services/seatEvents');
+
+const HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MINUTES) || 10;
+const MAX_HOLD_MINUTES = parseInt(process.env.SEAT_HOLD_MAX_MINUTES) || 30;
+
+const seatHoldSchema = new mongoose.Schema(
+  {
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Schedule',
+      required: true,
+      index: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    seats: {
+      type: [{
+        type: String,
+        trim: true,
+        uppercase: true
+      }],
+      validate: [seats => seats.length > 0, 'A hold needs at least one seat']
+    },
+    status: {
+      type: String,
+      enum: ['active', 'released', 'expired', 'converted'],
+      default: 'active',
+      index: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      default: () => new Date(Date.now() + HOLD_MINUTES * 60000),
+      index: true
+    },
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket'
+    },
+    releasedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// A seat can only be held once per schedule at a time
+seatHoldSchema.index(
+  { scheduleId: 1, seats: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'active' }
+  }
+);
+
+// Remember the stored status so the post-save hook can tell what changed
+seatHoldSchema.post('init', function(doc) {
+  doc.$locals.loadedStatus = doc.status;
+});
+
+// Publish held/released seats to live seat streams
+seatHoldSchema.post('save', function(doc) {
+  const previous = doc.$locals.loadedStatus;
+  let type = null;
+
+  if (previous === undefined && doc.status === 'active') {
+    type = 'held';
+  } else if (previous === 'active' && ['released', 'expired'].includes(doc.status)) {
+    type = 'released';
+  }
+
+  doc.$locals.loadedStatus = doc.status;
+
+  if (type) {
+    publishAfterCommit(doc.$session(), () => publishSeatEvent(doc.scheduleId, type, doc.seats));
+  }
+});
+
+// Whether the hold still reserves its seats
+seatHoldSchema.virtual('isActive').get(function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+});
+
+// Push the expiry back, capped at MAX_HOLD_MINUTES from creation
+seatHoldSchema.methods.extend = async function(minutes = HOLD_MINUTES, session = null) {
+  if (!this.isActive) {
+    const err = new Error('Seat hold is no longer active');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const limit = new Date(this.createdAt.getTime() + MAX_HOLD_MINUTES * 60000);
+  const requested = new Date(Date.now() + minutes * 60000);
+
+  if (this.expiresAt >= limit) {
+    const err = new Error(`Seats cannot be held for more than ${MAX_HOLD_MINUTES} minutes`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  this.expiresAt = requested > limit ? limit : requested;
+  await this.save({ session });
+
+  return this;
+};
+
+// Give the seats back
+seatHoldSchema.methods.release = async function(status = 'released', session = null) {
+  if (this.status !== 'active') {
+    const err = new Error(`Seat hold is already ${this.status}`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  this.status = status;
+  this.releasedAt = new Date();
+  await this.save({ session });
+
+  return this;
+};
+
+// Seat codes currently held for a schedule, optionally ignoring one user's holds
+seatHoldSchema.statics.getHeldSeats = async function(scheduleId, { excludeUserId, session = null } = {}) {
+  const query = {
+    scheduleId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  };
+
+  if (excludeUserId) {
+    query.userId = { $ne: excludeUserId };
+  }
+
+  const holds = await this.find(query).session(session);
+
+  const held = new Set();
+  holds.forEach(hold => hold.seats.forEach(code => held.add(code)));
+
+  return held;
+};
+
+// Mark lapsed holds as expired and return the affected holds
+seatHoldSchema.statics.expireStale = async function(scheduleId = null) {
+  const query = {
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  };
+
+  if (scheduleId) {
+    query.scheduleId = scheduleId;
+  }
+
+  const stale = await this.find(query);
+  if (stale.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: stale.map(hold => hold._id) }, status: 'active' },
+    { status: 'expired', releasedAt: new Date() }
+  );
+
+  stale.forEach(hold => publishSeatEvent(hold.scheduleId, 'released', hold.seats));
+
+  return stale;
+};
+
+seatHoldSchema.statics.HOLD_MINUTES = HOLD_MINUTES;
+seatHoldSchema.statics.MAX_HOLD_MINUTES = MAX_HOLD_MINUTES;
+
+module.exports = mongoose.model('SeatHold', seatHoldSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One per logged-in device. The refresh token is stored hashed and replaced
+// on every refresh; access tokens carry the session id so `protect` can
+// reject them as soon as the session is revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    // The token this one replaced; seeing it again means it was stolen
+    previousTokenHash: String,
+    deviceName: {
+      type: String,
+      maxlength: [100, 'Device name cannot be more than 100 characters']
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'token_reuse', 'password_changed', 'session_limit', 'account_deleted']
+    }
+  },
+  { timestamps: true }
+);
+
+// Lapsed sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
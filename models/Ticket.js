@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { publishSeatEvent, publishAfterCommit } = require('../services/seatEvents');
+const { SEAT_TYPES } = require('../config/seatTypes');
+const { TICKET_TYPES, DEFAULT_TICKET_TYPE } = require('../config/ticketTypes');
+const {
+  TICKET_STATUSES,
+  RELEASED_STATUSES,
+  canTransition,
+  transitionTicket
+} = require('../services/ticketLifecycle');
+const { isSignedQr, signTicketQr } = require('../services/ticketQr');
+const { queueEmail } = require('../services/notifications');
 
 const seatSchema = new mongoose.Schema({
   code: { 
@@ -9,13 +20,28 @@ const seatSchema = new mongoose.Schema({
   },
   type: { 
     type: String, 
-    enum: ['standard', 'vip'], 
+    enum: SEAT_TYPES, 
     required: true 
   },
+  ticketType: {
+    type: String,
+    enum: TICKET_TYPES,
+    default: DEFAULT_TICKET_TYPE
+  },
   price: { 
     type: Number, 
     required: true,
     min: 0
+  },
+  // How the pricing engine reached `price`
+  priceBreakdown: {
+    basePrice: Number,
+    adjustments: [{
+      _id: false,
+      rule: String,
+      label: String,
+      amount: Number
+    }]
   }
 });
 
@@ -40,6 +66,66 @@ const comboItemSchema = new mongoose.Schema({
   }
 });
 
+// One entry per status change, written by services/ticketLifecycle
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [null, ...TICKET_STATUSES]
+  },
+  to: {
+    type: String,
+    enum: TICKET_STATUSES,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  // Code path that asked for the change (booking, payment, sweeper, ...)
+  source: String,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }
+}, { _id: false });
+
+// Set on paid tickets when their showtime is cancelled or moved; the holder
+// answers by keeping the ticket, taking a refund or exchanging it
+const scheduleChangeSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['cancelled', 'moved'],
+    required: true
+  },
+  previousStartTime: Date,
+  previousRoomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room'
+  },
+  // The queued change this came from, so a retried fan-out skips the ticket
+  changeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduleChange'
+  },
+  notifiedAt: Date,
+  respondBy: Date,
+  resolution: {
+    type: String,
+    enum: ['pending', 'kept', 'refunded', 'exchanged'],
+    default: 'pending'
+  },
+  resolvedAt: Date,
+  exchangedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule'
+  }
+}, { _id: false });
+
 const ticketSchema = new mongoose.Schema(
   {
     userId: { 
@@ -62,6 +148,9 @@ const ticketSchema = new mongoose.Schema(
     },
     seats: [seatSchema],
     combos: [comboItemSchema],
+    // Items given back through partial refunds; their seats are free again
+    refundedSeats: [seatSchema],
+    refundedCombos: [comboItemSchema],
     voucher: {
       code: String,
       discountValue: {
@@ -96,10 +185,11 @@ const ticketSchema = new mongoose.Schema(
     },
     status: { 
       type: String, 
-      enum: ['pending', 'paid', 'cancelled', 'refunded'], 
+      enum: TICKET_STATUSES, 
       default: 'pending',
       index: true 
     },
+    statusHistory: [statusChangeSchema],
     paymentStatus: {
       type: String,
       enum: ['pending', 'completed', 'failed', 'refunded'],
@@ -110,6 +200,7 @@ const ticketSchema = new mongoose.Schema(
       unique: true,
       sparse: true
     },
+    paidAt: Date,
     checkInTime: Date,
     notes: {
       type: String,
@@ -124,10 +215,14 @@ const ticketSchema = new mongoose.Schema(
       ref: 'User'
     },
     cancelledAt: Date,
+    refundedAt: Date,
+    expiredAt: Date,
+    scheduleChange: scheduleChangeSchema,
+    reminderSentAt: Date,
     pendingExpiresAt: { 
       type: Date, 
       default: () => new Date(Date.now() + 10*60*1000), // 10 minutes
-      index: { expireAfterSeconds: 0 } 
+      index: true // Expired by jobs/seatHoldSweeper so occupancy stays in sync
     }
   },
   { 
@@ -143,7 +238,7 @@ ticketSchema.index(
   { 
     unique: true, 
     partialFilterExpression: { 
-      status: { $ne: 'cancelled' } 
+      status: { $in: ['pending', 'paid', 'checked_in'] } 
     },
     message: 'One or more seats are already booked for this show.'
   }
@@ -181,8 +276,8 @@ ticketSchema.virtual('room', {
   justOne: true
 });
 
-// Calculate ticket totals before saving
-ticketSchema.pre('save', async function(next) {
+// Calculate ticket totals before validation (subtotal and totalAmount are required)
+ticketSchema.pre('validate', async function(next) {
   if (this.isNew || this.isModified('seats') || this.isModified('combos') || this.isModified('voucher')) {
     // Calculate subtotal from seats and combos
     const seatTotal = this.seats.reduce((sum, seat) => sum + seat.price, 0);
@@ -209,13 +304,31 @@ ticketSchema.pre('save', async function(next) {
   next();
 });
 
-// Generate QR code before saving a new ticket
-ticketSchema.pre('save', async function(next) {
+// Status only changes through transitionTo so every move is checked and audited
+ticketSchema.pre('validate', function(next) {
   if (this.isNew) {
-    // In a real app, you would generate a unique QR code here
-    // For example: this.qrCode = `TICKET-${this._id}-${Date.now()}`;
-    // For now, we'll use a simple string
-    this.qrCode = `TICKET-${this._id}`;
+    if (this.status !== 'pending') {
+      this.invalidate('status', 'New tickets must start as pending');
+    } else if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: 'pending', by: this.userId, source: 'booking' });
+    }
+  } else if (this.isModified('status') && this.$locals.transitionedTo !== this.status) {
+    this.invalidate('status', `Ticket status cannot be set to ${this.status} directly`);
+  }
+  
+  next();
+});
+
+// Issue a signed QR code valid until the show ends; unsigned codes from
+// older tickets are replaced the next time the ticket is saved
+ticketSchema.pre('save', async function(next) {
+  if (!isSignedQr(this.qrCode) && !RELEASED_STATUSES.includes(this.status)) {
+    const Schedule = mongoose.model('Schedule');
+    const schedule = await Schedule.findById(this.scheduleId).session(this.$session());
+    
+    if (schedule) {
+      this.qrCode = signTicketQr(this._id, schedule.endTime);
+    }
   }
   next();
 });
@@ -235,6 +348,52 @@ ticketSchema.post('save', async function(doc) {
   }
 });
 
+// Remember the stored status and seats so changes can be published
+ticketSchema.post('init', function(doc) {
+  doc.$locals.loadedStatus = doc.status;
+  doc.$locals.loadedSeats = doc.seats.map(seat => seat.code);
+});
+
+// Email the customer when a booking is confirmed or cancelled
+const STATUS_EMAILS = {
+  paid: 'booking_confirmed',
+  cancelled: 'ticket_cancelled'
+};
+
+ticketSchema.post('save', function(doc) {
+  const template = STATUS_EMAILS[doc.status];
+  if (!template || doc.$locals.loadedStatus === doc.status) return;
+  
+  publishAfterCommit(doc.$session(), () => {
+    queueEmail({ template, user: doc.userId, data: { ticketId: doc._id }, dedupeKey: `${template}:${doc._id}` });
+  });
+});
+
+// Publish seat map changes to live seat streams
+ticketSchema.post('save', function(doc) {
+  const seats = doc.seats.map(seat => seat.code);
+  const previousSeats = doc.$locals.loadedSeats || [];
+  const wasReleased = RELEASED_STATUSES.includes(doc.$locals.loadedStatus);
+  const isReleased = RELEASED_STATUSES.includes(doc.status);
+  const events = [];
+  
+  if (doc.$locals.loadedStatus === undefined) {
+    if (!isReleased) events.push(['booked', seats]);
+  } else if (!wasReleased && isReleased) {
+    events.push(['released', previousSeats]);
+  } else if (!isReleased) {
+    events.push(['released', previousSeats.filter(code => !seats.includes(code))]);
+    events.push(['booked', seats.filter(code => !previousSeats.includes(code))]);
+  }
+  
+  doc.$locals.loadedStatus = doc.status;
+  doc.$locals.loadedSeats = seats;
+  
+  publishAfterCommit(doc.$session(), () => {
+    events.forEach(([type, codes]) => publishSeatEvent(doc.scheduleId, type, codes));
+  });
+});
+
 // Update schedule occupancy after removing
 ticketSchema.post('remove', async function(doc) {
   try {
@@ -249,27 +408,54 @@ ticketSchema.post('remove', async function(doc) {
   }
 });
 
+// Move the ticket through its lifecycle (see services/ticketLifecycle)
+ticketSchema.methods.transitionTo = function(status, context = {}) {
+  return transitionTicket(this, status, context);
+};
+
+ticketSchema.methods.canTransitionTo = function(status) {
+  return canTransition(this.status, status);
+};
+
 // Method to cancel a ticket
-ticketSchema.methods.cancel = async function(userId, reason = '') {
-  if (this.status === 'cancelled') {
-    throw new Error('Ticket is already cancelled');
-  }
+ticketSchema.methods.cancel = async function(userId, reason = '', options = {}) {
+  this.transitionTo('cancelled', { by: userId, reason, source: 'cancel' });
   
-  // In a real app, you might want to add more validation here
-  // For example, check if the show has already started
+  await this.save(options);
   
-  this.status = 'cancelled';
-  this.cancellationReason = reason;
-  this.cancelledBy = userId;
-  this.cancelledAt = new Date();
-  
-  await this.save();
+  return this;
+};
+
+// Method to admit a paid ticket at the door
+ticketSchema.methods.checkIn = async function(staffId, { at, source = 'check-in', ...options } = {}) {
+  this.transitionTo('checked_in', { by: staffId, source, at });
   
-  // In a real app, you would also process a refund here if needed
+  await this.save(options);
   
   return this;
 };
 
+// Static method to get seat codes already sold or awaiting payment for a schedule
+ticketSchema.statics.getTakenSeats = async function(scheduleId, { excludeTicketId, session = null } = {}) {
+  const query = {
+    scheduleId,
+    status: { $nin: RELEASED_STATUSES }
+  };
+  
+  if (excludeTicketId) {
+    query._id = { $ne: excludeTicketId };
+  }
+  
+  const tickets = await this.find(query).session(session);
+  
+  const taken = new Set();
+  tickets.forEach(ticket => {
+    ticket.seats.forEach(seat => taken.add(seat.code));
+  });
+  
+  return taken;
+};
+
 // Static method to get booking summary for a user
 ticketSchema.statics.getUserBookingSummary = async function(userId) {
   const Ticket = this;
@@ -286,7 +472,7 @@ ticketSchema.statics.getUserBookingSummary = async function(userId) {
     
     Ticket.find({ 
       userId,
-      status: 'paid',
+      status: { $in: ['paid', 'checked_in'] },
       'schedule.startTime': { $lt: new Date() }
     })
     .sort('-schedule.startTime')
@@ -295,7 +481,7 @@ ticketSchema.statics.getUserBookingSummary = async function(userId) {
     
     Ticket.find({ 
       userId,
-      status: 'cancelled'
+      status: { $in: RELEASED_STATUSES }
     })
     .sort('-updatedAt')
     .populate('scheduleId', 'startTime movieId')
@@ -315,4 +501,6 @@ ticketSchema.statics.getUserBookingSummary = async function(userId) {
   };
 };
 
+ticketSchema.statics.RELEASED_STATUSES = RELEASED_STATUSES;
+
 module.exports = mongoose.model('Ticket', ticketSchema);
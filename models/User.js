@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { accessTokenExpiresIn, emailVerificationHours, passwordResetMinutes } = require('../config/auth');
+const { LANGUAGES, defaultLanguage } = require('../config/notifications');
+const { ROLE_NAMES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema(
   {
@@ -11,9 +16,12 @@ const userSchema = new mongoose.Schema(
       index: true,
       match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please add a valid email']
     },
+    // Accounts that log in through a provider or a verified phone may have no password
     password: { 
       type: String, 
-      required: true,
+      required: function() {
+        return this.identities.length === 0 && !this.phoneVerified;
+      },
       minlength: 6,
       select: false 
     },
@@ -23,6 +31,27 @@ const userSchema = new mongoose.Schema(
       default: 'user',
       index: true 
     },
+    // Back-office roles (see config/permissions), each for one cinema or,
+    // without a cinemaId, for all of them
+    roleAssignments: [{
+      role: {
+        type: String,
+        enum: ROLE_NAMES,
+        required: true
+      },
+      cinemaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cinema'
+      },
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      assignedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     avatar: { 
       type: String,
       default: 'default.jpg'
@@ -30,32 +59,128 @@ const userSchema = new mongoose.Schema(
     phone: {
       type: String,
       match: [/^[0-9]{10,15}$/, 'Please add a valid phone number']
+    },
+    // Language for emails and other messages
+    language: {
+      type: String,
+      enum: LANGUAGES,
+      default: defaultLanguage
+    },
+    // Set once the number confirmed a texted code; only verified numbers can log in
+    phoneVerified: {
+      type: Boolean,
+      default: false
+    },
+    phoneVerifiedAt: Date,
+    // Social login accounts linked to this user, one per provider
+    identities: [{
+      _id: false,
+      provider: {
+        type: String,
+        required: true
+      },
+      // The provider's stable user id
+      subject: {
+        type: String,
+        required: true
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now
+      },
+      lastLoginAt: Date
+    }],
+    // Unverified customers can browse but not book
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: Date,
+    // One-time tokens from emailed links, stored hashed
+    emailVerificationToken: {
+      type: String,
+      select: false,
+      index: { sparse: true }
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+      index: { sparse: true }
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false
     }
   },
   { timestamps: true }
 );
 
+// An external account belongs to one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// A number can log in to one account only
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phoneVerified: true } });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token for one of the user's sessions
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+    { expiresIn: accessTokenExpiresIn }
   );
 };
 
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Start email verification; returns the token to put in the emailed link
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + emailVerificationHours * 60 * 60 * 1000);
+  return token;
+};
+
+// Start a password reset; returns the token to put in the emailed link
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + passwordResetMinutes * 60 * 1000);
+  return token;
+};
+
+// The user an emailed token belongs to, if it has not expired
+userSchema.statics.findByEmailToken = function(kind, token) {
+  const [field, expires] = kind === 'reset'
+    ? ['passwordResetToken', 'passwordResetExpires']
+    : ['emailVerificationToken', 'emailVerificationExpires'];
+
+  return this.findOne({
+    [field]: hashToken(String(token)),
+    [expires]: { $gt: new Date() }
+  });
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,21 +1,30 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, can } = require('../middleware/authMiddleware');
+const { resource } = require('../services/permissions');
+const { TICKET_TYPES } = require('../config/ticketTypes');
 const {
 getCinemas,
 getCinema,
 createCinema,
 updateCinema,
+getTicketTypes,
+updateTicketTypes,
+getRefundPolicy,
+updateRefundPolicy,
 deleteCinema
 } = require('../controllers/cinemaController');
 const router = express.Router();
+const cinemaParam = resource('cinema', req => req.params.id);
 router.get('/', getCinemas);
 router.get('/:id', getCinema);
+router.get('/:id/ticket-types', getTicketTypes);
+router.get('/:id/refund-policy', getRefundPolicy);
 router.post(
 '/',
 [
 protect,
-admin,
+can('cinema:write'),
 [
 check('name', 'Please add a name').not().isEmpty(),
 check('address', 'Please add an address').not().isEmpty(),
@@ -29,13 +38,48 @@ router.put(
 '/:id',
 [
 protect,
-admin,
+can('cinema:write', cinemaParam),
 [
 check('name', 'Please add a name').optional().not().isEmpty(),
-check('address', 'Please add an address').optional().not().isEmpty()
+check('address', 'Please add an address').optional().not().isEmpty(),
+check('seatSelection.preventOrphanSeats', 'preventOrphanSeats must be a boolean').optional().isBoolean().toBoolean(),
+check('seatSelection.orphanGapSize', 'orphanGapSize must be between 1 and 3').optional().isInt({ min: 1, max: 3 }).toInt()
 ]
 ],
 updateCinema
 );
-router.delete('/:id', [protect, admin], deleteCinema);
+router.put(
+'/:id/ticket-types',
+[
+protect,
+can('cinema:write', cinemaParam),
+[
+check('ticketTypes', 'At least one ticket type is required').isArray({ min: 1 }),
+check('ticketTypes.*.code', 'Please provide a valid ticket type').isIn(TICKET_TYPES),
+check('ticketTypes.*.label', 'Label cannot be more than 50 characters').optional().isLength({ max: 50 }),
+check('ticketTypes.*.percent', 'percent must be between -100 and 100').optional().isFloat({ min: -100, max: 100 }).toFloat(),
+check('ticketTypes.*.fixed', 'fixed must be a number').optional().isNumeric().toFloat(),
+check('ticketTypes.*.requiresId', 'requiresId must be a boolean').optional().isBoolean().toBoolean(),
+check('ticketTypes.*.isActive', 'isActive must be a boolean').optional().isBoolean().toBoolean()
+]
+],
+updateTicketTypes
+);
+router.put(
+'/:id/refund-policy',
+[
+protect,
+can('cinema:write', cinemaParam),
+[
+check('tiers', 'tiers must be a list of { minHoursBefore, percent }').optional().isArray(),
+check('tiers.*.minHoursBefore', 'minHoursBefore must be 0 or more hours').isFloat({ min: 0 }).toFloat(),
+check('tiers.*.percent', 'percent must be between 0 and 100').isFloat({ min: 0, max: 100 }).toFloat(),
+check('combosRefundable', 'combosRefundable must be a boolean').optional().isBoolean().toBoolean(),
+check('fee.fixed', 'Fixed fee must be 0 or more').optional().isFloat({ min: 0 }).toFloat(),
+check('fee.percent', 'Fee percent must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }).toFloat()
+]
+],
+updateRefundPolicy
+);
+router.delete('/:id', [protect, can('cinema:write')], deleteCinema);
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, can } = require('../middleware/authMiddleware');
 const {
 getCombos,
 getComboById,
@@ -13,7 +13,7 @@ const router = express.Router();
 router.get('/', getCombos);
 router.get('/available', getAvailableCombos);
 router.get('/:id', getComboById);
-router.use(protect, admin);
+router.use(protect, can('combo:write'));
 router.post(
 '/',
 [
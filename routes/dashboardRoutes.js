@@ -1,16 +1,46 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const Reconciliation = require('../models/Reconciliation');
+const { protect, can } = require('../middleware/authMiddleware');
+const { cinemaScope } = require('../services/permissions');
 const {
 getRevenueStats,
+getTicketTypeRevenue,
+importReconciliation,
+getReconciliations,
+getReconciliation,
 getTopMovies,
 getCinemaPerformance,
 getUserActivity
 } = require('../controllers/dashboardController');
 const router = express.Router();
-router.use(protect, admin);
-router.get('/revenue', getRevenueStats);
-router.get('/top-movies', getTopMovies);
-router.get('/cinema-performance', getCinemaPerformance);
-router.get('/user-activity', getUserActivity);
+// Reports cover the cinema in ?cinemaId=, or the whole chain without it
+const reportAccess = can('report:read', cinemaScope(req => req.query.cinemaId));
+router.use(protect);
+router.get('/revenue', reportAccess, getRevenueStats);
+router.get('/revenue/ticket-types', reportAccess, getTicketTypeRevenue);
+// A settlement file covers every cinema on the merchant account
+router.post(
+'/reconciliations',
+[
+can('report:read'),
+express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+check('provider', 'Provider must be momo, zalopay, card or mock').isIn(['momo', 'zalopay', 'card', 'mock']),
+check('date', 'Please provide the settlement date (YYYY-MM-DD)').isISO8601(),
+check('fileName').optional().isString().isLength({ max: 200 })
+],
+importReconciliation
+);
+router.get('/reconciliations', reportAccess, getReconciliations);
+router.get(
+'/reconciliations/:id',
+[
+reportAccess,
+check('type', 'Unknown reconciliation item type').optional().isIn(['matched', ...Reconciliation.ISSUE_TYPES])
+],
+getReconciliation
+);
+router.get('/top-movies', reportAccess, getTopMovies);
+router.get('/cinema-performance', reportAccess, getCinemaPerformance);
+router.get('/user-activity', reportAccess, getUserActivity);
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, can } = require('../middleware/authMiddleware');
 const {
   getMovies,
   getMovieById,
@@ -45,7 +45,7 @@ router.get('/:id', getMovieById);
 router.post(
   '/',
   protect,
-  admin,
+  can('movie:write'),
   [
     check('title', 'Title is required').not().isEmpty(),
     check('duration', 'Duration is required and must be a number').isNumeric(),
@@ -62,7 +62,7 @@ router.post(
 router.put(
   '/:id',
   protect,
-  admin,
+  can('movie:write'),
   [
     check('title', 'Title is required').not().isEmpty(),
     check('duration', 'Duration must be a number').optional().isNumeric(),
@@ -74,6 +74,6 @@ router.put(
 // @route   DELETE /api/movies/:id
 // @desc    Delete a movie (Admin)
 // @access  Private/Admin
-router.delete('/:id', protect, admin, deleteMovie);
+router.delete('/:id', protect, can('movie:write'), deleteMovie);
 
 module.exports = router;
@@ -1,11 +1,18 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect } = require('../middleware/authMiddleware');
+const paymentConfig = require('../config/payments');
 const {
 processPayment,
+getPaymentStatus,
+handleWebhook,
+getMockCheckout,
+completeMockCheckout,
 getPaymentHistory,
 getPaymentById,
-processRefund
+getRefundQuote,
+processRefund,
+downloadReceipt
 } = require('../controllers/paymentController');
 const router = express.Router();
 router.post(
@@ -14,23 +21,48 @@ router.post(
 protect,
 [
 check('ticketId', 'Ticket ID is required').not().isEmpty(),
-check('paymentMethod', 'Payment method is required').isIn(['momo', 'vnpay', 'zalopay', 'credit_card', 'cash']),
-check('paymentDetails', 'Payment details are required').isObject(),
+check('paymentMethod', 'Payment method must be momo, zalopay or card').isIn(['momo', 'zalopay', 'card']),
 check('loyaltyPointsAmount', 'Loyalty points amount must be a positive number').optional().isFloat({ min: 0 })
 ]
 ],
 processPayment
 );
+router.post('/webhooks/momo', handleWebhook('momo'));
+router.post('/webhooks/zalopay', handleWebhook('zalopay'));
+router.get('/webhooks/card', handleWebhook('card'));
+router.post('/webhooks/card', handleWebhook('card'));
+if (paymentConfig.mode === 'mock') {
+router.post('/webhooks/mock', handleWebhook('mock'));
+router.get('/mock/:orderId', getMockCheckout);
+router.post(
+'/mock/:orderId/complete',
+[
+protect,
+check('status', 'Status must be success or failed').optional().isIn(['success', 'failed'])
+],
+completeMockCheckout
+);
+}
 router.get('/users/:userId/payments', protect, getPaymentHistory);
+router.get('/:id/status', protect, getPaymentStatus);
+router.get('/:id/receipt', protect, downloadReceipt);
 router.get('/:id', protect, getPaymentById);
+const refundValidators = [
+check('seats', 'seats must be a list of seat codes').optional().isArray({ min: 1 }),
+check('seats.*', 'Please provide valid seat codes').optional().isString().trim().toUpperCase(),
+check('combos', 'combos must be a list of { comboId, qty }').optional().isArray({ min: 1 }),
+check('combos.*.comboId', 'Please provide a valid combo ID').optional().isMongoId(),
+check('combos.*.qty', 'Combo quantity must be at least 1').optional().isInt({ min: 1 }).toInt(),
+check('overridePolicy', 'overridePolicy must be a boolean').optional().isBoolean().toBoolean()
+];
+router.post('/:id/refund-quote', [protect, refundValidators], getRefundQuote);
 router.post(
 '/:id/refund',
 [
 protect,
-admin,
 [
-check('refundAmount', 'Refund amount must be a positive number').optional().isFloat({ min: 0 }),
-check('reason', 'Refund reason is required').optional().isString()
+...refundValidators,
+check('reason', 'Refund reason must be text').optional().isString().isLength({ max: 500 })
 ]
 ],
 processRefund
@@ -1,6 +1,6 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, can } = require('../middleware/authMiddleware');
 const {
 getPromotions,
 getPromotionById,
@@ -13,7 +13,7 @@ const router = express.Router();
 router.get('/', getPromotions);
 router.get('/:id', getPromotionById);
 router.get('/validate/:code', validatePromotion);
-router.use(protect, admin);
+router.use(protect, can('promotion:write'));
 router.post(
 '/',
 [
@@ -1,26 +1,30 @@
 const express = require('express');
-const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { check, body } = require('express-validator');
+const { protect, can } = require('../middleware/authMiddleware');
+const { resource } = require('../services/permissions');
 const {
 getRooms,
 getRoomWithSeats,
 createRoom,
 updateRoom,
-deleteRoom
+deleteRoom,
+getRoomLayout,
+updateRoomLayout
 } = require('../controllers/roomController');
-const Cinema = require('../models/Cinema');
 const router = express.Router();
+const roomParam = resource('room', req => req.params.id);
 router.get('/', getRooms);
 router.get('/:roomId/seats', getRoomWithSeats);
 router.post(
 '/',
 [
 protect,
-admin,
+can('room:write', resource('cinema', req => req.body.cinemaId)),
 [
 check('name', 'Please add a name').not().isEmpty(),
 check('cinemaId', 'Please provide a valid cinema ID').isMongoId(),
-check('capacity', 'Please add a valid capacity').isInt({ min: 1 }),
+check('capacity', 'Please add a valid capacity').if(body('layout').not().exists()).isInt({ min: 1 }),
+check('layout', 'Layout must be an object').optional().isObject(),
 check('screenType', 'Please provide a valid screen type').isIn(['standard', '3d', 'imax', '4dx'])
 ]
 ],
@@ -30,7 +34,7 @@ router.put(
 '/:id',
 [
 protect,
-admin,
+can('room:write', roomParam, resource('cinema', req => req.body.cinemaId)),
 [
 check('name', 'Please add a name').optional().not().isEmpty(),
 check('cinemaId', 'Please provide a valid cinema ID').optional().isMongoId(),
@@ -40,5 +44,18 @@ check('screenType', 'Please provide a valid screen type').optional().isIn(['stan
 ],
 updateRoom
 );
-router.delete('/:id', [protect, admin], deleteRoom);
+router.delete('/:id', [protect, can('room:write', roomParam)], deleteRoom);
+router.get('/:id/layout', getRoomLayout);
+router.put(
+'/:id/layout',
+[
+protect,
+can('room:write', roomParam),
+[
+check('layout', 'Layout must be an object').isObject(),
+check('validateOnly', 'validateOnly must be a boolean').optional().isBoolean().toBoolean()
+]
+],
+updateRoomLayout
+);
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,143 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, can, verifiedEmail } = require('../middleware/authMiddleware');
+const { resource } = require('../services/permissions');
+const {
+  getSchedules,
+  getSchedule,
+  getSchedulePrices,
+  streamSeatMap,
+  getBestSeats,
+  getAvailableSlots,
+  createSchedule,
+  bulkCreateSchedules,
+  updateSchedule,
+  cancelSchedule,
+  deleteSchedule
+} = require('../controllers/scheduleController');
+
+const router = express.Router();
+
+const scheduleParam = resource('schedule', req => req.params.id);
+
+// @route   GET /api/v1/schedules
+// @desc    Get schedules by movie, cinema, room or date
+// @access  Public
+router.get('/', getSchedules);
+
+// @route   GET /api/v1/schedules/available-slots
+// @desc    Get free time slots for a room on a given day
+// @access  Private/Staff
+router.get(
+  '/available-slots',
+  protect,
+  can('schedule:write', resource('room', req => req.query.roomId)),
+  [
+    check('roomId', 'Please provide a valid room ID').isMongoId(),
+    check('date', 'Please provide a valid date').isISO8601(),
+    check('movieId', 'Please provide a valid movie ID').optional().isMongoId(),
+    check('duration', 'Duration must be a positive number of minutes').optional().isInt({ min: 1 })
+  ],
+  getAvailableSlots
+);
+
+// @route   GET /api/v1/schedules/:id
+// @desc    Get single schedule
+// @access  Public
+router.get('/:id', getSchedule);
+
+// @route   GET /api/v1/schedules/:id/prices
+// @desc    Current seat prices with breakdown
+// @access  Public
+router.get('/:id/prices', getSchedulePrices);
+
+// @route   GET /api/v1/schedules/:id/seats/stream
+// @desc    Live seat map (snapshot, then held/booked/released events)
+// @access  Public
+router.get('/:id/seats/stream', streamSeatMap);
+
+// @route   POST /api/v1/schedules/:id/best-seats
+// @desc    Suggest the best adjacent seats for a party, optionally holding them
+// @access  Private (verified email to hold)
+router.post(
+  '/:id/best-seats',
+  protect,
+  [
+    check('partySize', 'Party size must be between 1 and 10').isInt({ min: 1, max: 10 }).toInt(),
+    check('seatType', 'Please provide a valid seat type').optional().isIn(['any', 'standard', 'vip', 'couple']),
+    check('accessibleSeating', 'accessibleSeating must be a boolean').optional().isBoolean().toBoolean(),
+    check('hold', 'hold must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  // Suggestions are open to everyone; holding them counts as booking
+  (req, res, next) => (req.body.hold ? verifiedEmail(req, res, next) : next()),
+  getBestSeats
+);
+
+// @route   POST /api/v1/schedules
+// @desc    Create a schedule (Admin)
+// @access  Private/Admin
+router.post(
+  '/',
+  protect,
+  can('schedule:write', resource('room', req => req.body.roomId)),
+  [
+    check('movieId', 'Please provide a valid movie ID').isMongoId(),
+    check('roomId', 'Please provide a valid room ID').isMongoId(),
+    check('startTime', 'Please provide a valid start time').isISO8601(),
+    check('priceTable.standard', 'Standard price is required').isFloat({ min: 0 }),
+    check('priceTable.vip', 'VIP price is required').isFloat({ min: 0 }),
+    check(['priceTable.couple', 'priceTable.wheelchair', 'priceTable.companion'], 'Seat prices must be positive numbers').optional().isFloat({ min: 0 })
+  ],
+  createSchedule
+);
+
+// @route   POST /api/v1/schedules/bulk
+// @desc    Generate a range of showtimes, previewed unless dryRun is false (Admin)
+// @access  Private/Admin
+router.post(
+  '/bulk',
+  protect,
+  can('schedule:write', resource('cinema', req => req.body.cinemaId)),
+  [
+    check('cinemaId', 'Please provide a valid cinema ID').isMongoId(),
+    check('startDate', 'Please provide a valid start date').isISO8601(),
+    check('endDate', 'Please provide a valid end date').isISO8601(),
+    check('movies', 'At least one movie is required').isArray({ min: 1 }),
+    check('movies.*.movieId', 'Please provide a valid movie ID').isMongoId(),
+    check('movies.*.showsPerDay', 'Shows per day must be between 1 and 20').isInt({ min: 1, max: 20 }).toInt(),
+    check('movies.*.roomIds', 'Room preferences must be a list of room IDs').optional().isArray(),
+    check('movies.*.roomIds.*', 'Please provide a valid room ID').optional().isMongoId(),
+    check('dryRun', 'dryRun must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  bulkCreateSchedules
+);
+
+// @route   PUT /api/v1/schedules/:id
+// @desc    Update a schedule (Admin)
+// @access  Private/Admin
+router.put(
+  '/:id',
+  protect,
+  can('schedule:write', scheduleParam, resource('room', req => req.body.roomId)),
+  [
+    check('movieId', 'Please provide a valid movie ID').optional().isMongoId(),
+    check('roomId', 'Please provide a valid room ID').optional().isMongoId(),
+    check('startTime', 'Please provide a valid start time').optional().isISO8601(),
+    check('priceTable.standard', 'Standard price must be a positive number').optional().isFloat({ min: 0 }),
+    check('priceTable.vip', 'VIP price must be a positive number').optional().isFloat({ min: 0 }),
+    check(['priceTable.couple', 'priceTable.wheelchair', 'priceTable.companion'], 'Seat prices must be positive numbers').optional().isFloat({ min: 0 })
+  ],
+  updateSchedule
+);
+
+// @route   PUT /api/v1/schedules/:id/cancel
+// @desc    Cancel a schedule (Admin)
+// @access  Private/Admin
+router.put('/:id/cancel', protect, can('schedule:write', scheduleParam), cancelSchedule);
+
+// @route   DELETE /api/v1/schedules/:id
+// @desc    Delete a schedule without tickets (Admin)
+// @access  Private/Admin
+router.delete('/:id', protect, can('schedule:write', scheduleParam), deleteSchedule);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const { check } = require('express-validator');
+const { protect, verifiedEmail } = require('../middleware/authMiddleware');
+const {
+  createHold,
+  getHold,
+  extendHold,
+  releaseHold
+} = require('../controllers/seatHoldController');
+
+const router = express.Router();
+
+// @route   POST /api/v1/seat-holds
+// @desc    Hold seats for a schedule
+// @access  Private
+router.post(
+  '/',
+  protect,
+  verifiedEmail,
+  [
+    check('scheduleId', 'Please provide a valid schedule ID').isMongoId(),
+    check('seats', 'At least one seat is required').isArray({ min: 1 }),
+    check('minutes', 'Minutes must be a positive number').optional().isInt({ min: 1 }).toInt(),
+    check('accessibleSeating', 'accessibleSeating must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  createHold
+);
+
+// @route   GET /api/v1/seat-holds/:id
+// @desc    Get a seat hold
+// @access  Private
+router.get('/:id', protect, getHold);
+
+// @route   PUT /api/v1/seat-holds/:id/extend
+// @desc    Extend a seat hold
+// @access  Private
+router.put(
+  '/:id/extend',
+  protect,
+  [
+    check('minutes', 'Minutes must be a positive number').optional().isInt({ min: 1 }).toInt()
+  ],
+  extendHold
+);
+
+// @route   DELETE /api/v1/seat-holds/:id
+// @desc    Release a seat hold
+// @access  Private
+router.delete('/:id', protect, releaseHold);
+
+module.exports = router;
@@ -1,34 +1,94 @@
 const express = require('express');
-const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { check, body } = require('express-validator');
+const { protect, can, verifiedEmail } = require('../middleware/authMiddleware');
+const { resource } = require('../services/permissions');
+const { TICKET_TYPES } = require('../config/ticketTypes');
+const { maxSyncBatch } = require('../config/checkIn');
 const {
 bookTickets,
 getUserTickets,
 cancelTicket,
 changeSeats,
 applyVoucher,
-addCombo
+addCombo,
+checkIn,
+getCheckInManifest,
+syncCheckIns,
+downloadTicketPdf,
+respondToScheduleChange
 } = require('../controllers/ticketController');
 const router = express.Router();
+const cinemaBody = resource('cinema', req => req.body.cinemaId);
 router.post(
 '/book',
 [
 protect,
+verifiedEmail,
 [
 check('scheduleId', 'Schedule ID is required').not().isEmpty(),
-check('seatNumbers', 'At least one seat is required').isArray({ min: 1 })
+check('holdId', 'Please provide a valid seat hold ID').optional().isMongoId(),
+check('seatNumbers', 'At least one seat is required').if(body('holdId').not().exists()).isArray({ min: 1 }),
+check('paymentMethod', 'Please provide a valid payment method').isIn(['momo', 'zalopay', 'card']),
+check('accessibleSeating', 'accessibleSeating must be a boolean').optional().isBoolean().toBoolean(),
+check('ticketTypes', 'ticketTypes must map seat codes to ticket types').optional().isObject(),
+check('ticketTypes.*', 'Please provide a valid ticket type').optional().isIn(TICKET_TYPES)
 ]
 ],
 bookTickets
 );
+router.post(
+'/check-in',
+[
+protect,
+can('ticket:checkin', cinemaBody),
+[
+check('code', 'QR code is required').isString().notEmpty(),
+check('cinemaId', 'Please provide a valid cinema ID').isMongoId()
+]
+],
+checkIn
+);
+router.get('/check-in/manifest/:scheduleId', protect, can('ticket:checkin', resource('schedule', req => req.params.scheduleId)), getCheckInManifest);
+router.post(
+'/check-in/sync',
+[
+protect,
+can('ticket:checkin', cinemaBody),
+[
+check('cinemaId', 'Please provide a valid cinema ID').isMongoId(),
+check('deviceId', 'Device ID cannot be more than 100 characters').optional().isString().isLength({ max: 100 }),
+check('checkIns', `Between 1 and ${maxSyncBatch} check-ins are required`).isArray({ min: 1, max: maxSyncBatch }),
+check('checkIns.*.ticketId', 'Please provide a valid ticket ID').isMongoId(),
+check('checkIns.*.scannedAt', 'Please provide when the ticket was scanned').isISO8601()
+]
+],
+syncCheckIns
+);
 router.get('/users/:userId/tickets', protect, getUserTickets);
+router.get('/:id/pdf', protect, downloadTicketPdf);
 router.put('/:id/cancel', protect, cancelTicket);
+router.post(
+'/:id/schedule-change',
+[
+protect,
+[
+check('action', 'Action must be keep, refund or exchange').isIn(['keep', 'refund', 'exchange']),
+check('scheduleId', 'Please provide a valid schedule ID').if(body('action').equals('exchange')).isMongoId(),
+check('seatNumbers', 'At least one seat is required').if(body('action').equals('exchange')).isArray({ min: 1 }),
+check('accessibleSeating', 'accessibleSeating must be a boolean').optional().isBoolean().toBoolean()
+]
+],
+respondToScheduleChange
+);
 router.put(
 '/:id/change-seats',
 [
 protect,
 [
-check('newSeats', 'At least one seat is required').isArray({ min: 1 })
+check('newSeats', 'At least one seat is required').isArray({ min: 1 }),
+check('accessibleSeating', 'accessibleSeating must be a boolean').optional().isBoolean().toBoolean(),
+check('ticketTypes', 'ticketTypes must map seat codes to ticket types').optional().isObject(),
+check('ticketTypes.*', 'Please provide a valid ticket type').optional().isIn(TICKET_TYPES)
 ]
 ],
 changeSeats
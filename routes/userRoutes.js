@@ -1,9 +1,24 @@
 const express = require('express');
 const { check } = require('express-validator');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { protect, can } = require('../middleware/authMiddleware');
+const { anyCinema } = require('../services/permissions');
+const { LANGUAGES } = require('../config/notifications');
+const { ROLE_NAMES } = require('../config/permissions');
 const {
   register,
   login,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  requestLoginOtp,
+  loginWithOtp,
+  requestPhoneVerification,
+  verifyPhone,
   getProfile,
   updateProfile,
   changePassword,
@@ -13,6 +28,23 @@ const {
   deleteUser,
   createStaff
 } = require('../controllers/userController');
+const {
+  getProviders,
+  startLogin,
+  startLink,
+  callback,
+  unlink,
+  mockAuthorize,
+  mockToken,
+  mockUserInfo
+} = require('../controllers/oauthController');
+const {
+  getRoleCatalog,
+  getUserRoles,
+  assignRole,
+  removeRole
+} = require('../controllers/roleController');
+const { mockEnabled } = require('../config/oauth');
 
 const router = express.Router();
 
@@ -61,6 +93,40 @@ const router = express.Router();
  *         avatar:
  *           type: string
  *           description: URL to the user's avatar image
+ *         identities:
+ *           type: array
+ *           description: Linked social login providers
+ *           items:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [google, facebook, mock]
+ *               email:
+ *                 type: string
+ *               linkedAt:
+ *                 type: string
+ *                 format: date-time
+ *         phoneVerified:
+ *           type: boolean
+ *           description: Whether the phone number confirmed a texted code; required for OTP login
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the email address was confirmed; required to book
+ *         roleAssignments:
+ *           type: array
+ *           description: Back-office roles, each for one cinema or (without cinemaId) for all of them
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [cinema_manager, scheduler, box_office, usher, accountant, content_manager]
+ *               cinemaId:
+ *                 type: string
+ *               assignedAt:
+ *                 type: string
+ *                 format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -99,7 +165,13 @@ const router = express.Router();
  *       properties:
  *         token:
  *           type: string
- *           description: JWT token for authentication
+ *           description: Short-lived JWT access token
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /api/v1/users/refresh
+ *         refreshTokenExpiresAt:
+ *           type: string
+ *           format: date-time
  *         user:
  *           $ref: '#/components/schemas/User'
  * 
@@ -148,6 +220,14 @@ const router = express.Router();
  *               phone:
  *                 type: string
  *                 example: "+1234567890"
+ *               language:
+ *                 type: string
+ *                 enum: [vi, en]
+ *                 description: Language for emails (defaults to vi)
+ *               deviceName:
+ *                 type: string
+ *                 example: John's phone
+ *                 description: Label for this login in the session list
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -161,7 +241,13 @@ const router = express.Router();
  *                   example: true
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/v1/users/refresh
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
@@ -183,7 +269,9 @@ router.post(
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
-    check('phone', 'Please enter a valid phone number').optional().isMobilePhone()
+    check('phone', 'Please enter a valid phone number').optional().isMobilePhone(),
+    check('language', `Language must be one of ${LANGUAGES.join(', ')}`).optional().isIn(LANGUAGES),
+    check('deviceName', 'Device name cannot be more than 100 characters').optional().isString().isLength({ max: 100 })
   ],
   register
 );
@@ -195,16 +283,176 @@ router.post(
   '/login',
   [
     check('email', 'Please include a valid email').isEmail(),
-    check('password', 'Password is required').exists()
+    check('password', 'Password is required').exists(),
+    check('deviceName', 'Device name cannot be more than 100 characters').optional().isString().isLength({ max: 100 })
   ],
   login
 );
 
+// @route   POST /api/users/otp/request
+// @desc    Text a login code to a verified phone number
+// @access  Public
+router.post(
+  '/otp/request',
+  [
+    check('phone', 'Please enter a valid phone number').isMobilePhone()
+  ],
+  requestLoginOtp
+);
+
+// @route   POST /api/users/otp/login
+// @desc    Log in with a texted code
+// @access  Public
+router.post(
+  '/otp/login',
+  [
+    check('phone', 'Please enter a valid phone number').isMobilePhone(),
+    check('code', 'Please enter the code you received').isNumeric().isLength({ min: 4, max: 10 }),
+    check('deviceName', 'Device name cannot be more than 100 characters').optional().isString().isLength({ max: 100 })
+  ],
+  loginWithOtp
+);
+
+// @route   GET /api/users/oauth/providers
+// @desc    List the social login providers that can be used
+// @access  Public
+router.get('/oauth/providers', getProviders);
+
+// @route   POST /api/users/oauth/:provider/authorize
+// @desc    Start a social login; returns the provider URL to open
+// @access  Public
+router.post(
+  '/oauth/:provider/authorize',
+  [
+    check('deviceName', 'Device name cannot be more than 100 characters').optional().isString().isLength({ max: 100 })
+  ],
+  startLogin
+);
+
+// @route   POST /api/users/oauth/callback
+// @desc    Finish a social login or link with the provider's code and state
+// @access  Public
+router.post(
+  '/oauth/callback',
+  [
+    check('code', 'Authorization code is required').isString().notEmpty(),
+    check('state', 'State is required').isString().notEmpty()
+  ],
+  callback
+);
+
+// Local identity provider standing in for Google and Facebook
+if (mockEnabled) {
+  router.get('/oauth/mock-idp/authorize', mockAuthorize);
+  router.post('/oauth/mock-idp/token', mockToken);
+  router.get('/oauth/mock-idp/userinfo', mockUserInfo);
+}
+
+// @route   POST /api/users/refresh
+// @desc    Swap a refresh token for a new access token and refresh token
+// @access  Public
+router.post(
+  '/refresh',
+  [
+    check('refreshToken', 'Refresh token is required').isString().notEmpty()
+  ],
+  refreshToken
+);
+
+// @route   POST /api/users/logout
+// @desc    Log out of the current session
+// @access  Private
+router.post('/logout', protect, logout);
+
+// @route   POST /api/users/logout-all
+// @desc    Log out of every session on every device
+// @access  Private
+router.post('/logout-all', protect, logoutAll);
+
+// @route   POST /api/users/verify-email
+// @desc    Confirm an email address with the emailed token
+// @access  Public
+router.post(
+  '/verify-email',
+  [
+    check('token', 'Verification token is required').isString().notEmpty()
+  ],
+  verifyEmail
+);
+
+// @route   POST /api/users/verify-email/resend
+// @desc    Send a new verification email
+// @access  Private
+router.post('/verify-email/resend', protect, resendVerification);
+
+// @route   POST /api/users/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  [
+    check('email', 'Please include a valid email').isEmail()
+  ],
+  forgotPassword
+);
+
+// @route   POST /api/users/reset-password
+// @desc    Set a new password with the emailed token
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    check('token', 'Reset token is required').isString().notEmpty(),
+    check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+  ],
+  resetPassword
+);
+
 // @route   GET /api/users/me
 // @desc    Get user profile
 // @access  Private
 router.get('/me', protect, getProfile);
 
+// @route   POST /api/users/me/phone/verify/request
+// @desc    Text a code to confirm the user's phone number
+// @access  Private
+router.post(
+  '/me/phone/verify/request',
+  protect,
+  [
+    check('phone', 'Please enter a valid phone number').optional().isMobilePhone()
+  ],
+  requestPhoneVerification
+);
+
+// @route   POST /api/users/me/phone/verify
+// @desc    Confirm a phone number with the texted code
+// @access  Private
+router.post(
+  '/me/phone/verify',
+  protect,
+  [
+    check('phone', 'Please enter a valid phone number').optional().isMobilePhone(),
+    check('code', 'Please enter the code you received').isNumeric().isLength({ min: 4, max: 10 })
+  ],
+  verifyPhone
+);
+
+// @route   POST /api/users/me/identities/:provider/authorize
+// @desc    Start linking another social login provider
+// @access  Private
+router.post('/me/identities/:provider/authorize', protect, startLink);
+
+// @route   DELETE /api/users/me/identities/:provider
+// @desc    Unlink a social login provider
+// @access  Private
+router.delete('/me/identities/:provider', protect, unlink);
+
+// @route   GET /api/users/me/sessions
+// @desc    List the devices the user is logged in on
+// @access  Private
+router.get('/me/sessions', protect, getSessions);
+
 // @route   PUT /api/users/me
 // @desc    Update user profile
 // @access  Private
@@ -213,7 +461,8 @@ router.put(
   protect,
   [
     check('name', 'Name is required').not().isEmpty(),
-    check('phone', 'Please enter a valid phone number').optional().isMobilePhone()
+    check('phone', 'Please enter a valid phone number').optional().isMobilePhone(),
+    check('language', `Language must be one of ${LANGUAGES.join(', ')}`).optional().isIn(LANGUAGES)
   ],
   updateProfile
 );
@@ -231,23 +480,28 @@ router.put(
   changePassword
 );
 
+// @route   GET /api/users/roles
+// @desc    List permissions and roles
+// @access  Private (role:manage)
+router.get('/roles', protect, can('role:manage', anyCinema), getRoleCatalog);
+
 // @route   GET /api/users
 // @desc    Get all users (Admin)
-// @access  Private/Admin
-router.get('/', protect, admin, getUsers);
+// @access  Private (user:manage)
+router.get('/', protect, can('user:manage'), getUsers);
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID (Admin)
-// @access  Private/Admin
-router.get('/:id', protect, admin, getUserById);
+// @access  Private (user:manage)
+router.get('/:id', protect, can('user:manage'), getUserById);
 
 // @route   PUT /api/users/:id
 // @desc    Update user (Admin)
-// @access  Private/Admin
+// @access  Private (user:manage)
 router.put(
   '/:id',
   protect,
-  admin,
+  can('user:manage'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
@@ -259,21 +513,48 @@ router.put(
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user (Admin)
-// @access  Private/Admin
-router.delete('/:id', protect, admin, deleteUser);
+// @access  Private (user:manage)
+router.delete('/:id', protect, can('user:manage'), deleteUser);
 
-// @route   POST /api/staff
-// @desc    Create staff user (Admin)
-// @access  Private/Admin
+// @route   GET /api/users/:id/roles
+// @desc    List a user's role assignments at the cinemas the caller manages
+// @access  Private (role:manage)
+router.get('/:id/roles', protect, can('role:manage', anyCinema), getUserRoles);
+
+// @route   POST /api/users/:id/roles
+// @desc    Assign a role at one cinema, or at every cinema without cinemaId
+// @access  Private (role:manage at that cinema; user:manage for customers)
+router.post(
+  '/:id/roles',
+  protect,
+  can('role:manage', anyCinema),
+  [
+    check('role', 'Please include a valid role').isIn(ROLE_NAMES),
+    check('cinemaId', 'Please include a valid cinema').optional().isMongoId()
+  ],
+  assignRole
+);
+
+// @route   DELETE /api/users/:id/roles/:assignmentId
+// @desc    Remove a role assignment
+// @access  Private (role:manage at that cinema)
+router.delete('/:id/roles/:assignmentId', protect, can('role:manage', anyCinema), removeRole);
+
+// @route   POST /api/users/staff
+// @desc    Create staff user, optionally with roles: [{ role, cinemaId }]
+// @access  Private (role:manage for each role given)
 router.post(
   '/staff',
   protect,
-  admin,
+  can('role:manage', anyCinema),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
-    check('phone', 'Please enter a valid phone number').optional().isMobilePhone()
+    check('phone', 'Please enter a valid phone number').optional().isMobilePhone(),
+    check('roles', 'Roles must be a list').optional().isArray(),
+    check('roles.*.role', 'Please include a valid role').isIn(ROLE_NAMES),
+    check('roles.*.cinemaId', 'Please include a valid cinema').optional().isMongoId()
   ],
   createStaff
 );
@@ -12,6 +12,12 @@ const path = require('path');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const connectDB = require('./config/db');
+const { startSeatHoldSweeper } = require('./jobs/seatHoldSweeper');
+const { startReconciliationJob } = require('./jobs/reconciliationJob');
+const { startNotificationWorker } = require('./jobs/notificationJob');
+const { startShowtimeNotifier } = require('./jobs/showtimeNotificationJob');
+const { startScheduleChangeWorker } = require('./jobs/scheduleChangeJob');
+const { startRefundRecoveryJob } = require('./jobs/refundRecoveryJob');
 const { notFound, errorHandler } = require('./middleware/errorMiddleware');
 
 // Load environment variables
@@ -39,7 +45,9 @@ app.use(cors());
 const limiter = rateLimit({
   max: 100, // 100 requests per windowMs
   windowMs: 60 * 60 * 1000, // 1 hour
-  message: 'Too many requests from this IP, please try again in an hour!'
+  message: 'Too many requests from this IP, please try again in an hour!',
+  // Payment providers deliver every IPN from a handful of addresses
+  skip: req => req.path.startsWith('/v1/payments/webhooks/')
 });
 app.use('/api', limiter);
 
@@ -80,17 +88,18 @@ app.use((req, res, next) => {
 // API Routes
 app.use('/api/v1/users', require('./routes/userRoutes'));
 app.use('/api/v1/movies', require('./routes/movieRoutes'));
+app.use('/api/v1/cinemas', require('./routes/cinemaRoutes'));
+app.use('/api/v1/rooms', require('./routes/roomRoutes'));
+app.use('/api/v1/schedules', require('./routes/scheduleRoutes'));
+app.use('/api/v1/tickets', require('./routes/ticketRoutes'));
+app.use('/api/v1/seat-holds', require('./routes/seatHoldRoutes'));
+app.use('/api/v1/payments', require('./routes/paymentRoutes'));
+app.use('/api/v1/dashboard', require('./routes/dashboardRoutes'));
 
 // Other routes will be added as they are implemented
-// app.use('/api/v1/cinemas', require('./routes/cinemaRoutes'));
-// app.use('/api/v1/rooms', require('./routes/roomRoutes'));
-// app.use('/api/v1/schedules', require('./routes/scheduleRoutes'));
-// app.use('/api/v1/tickets', require('./routes/ticketRoutes'));
-// app.use('/api/v1/payments', require('./routes/paymentRoutes'));
 // app.use('/api/v1/promotions', require('./routes/promotionRoutes'));
 // app.use('/api/v1/combos', require('./routes/comboRoutes'));
 // app.use('/api/v1/reviews', require('./routes/reviewRoutes'));
-// app.use('/api/v1/dashboard', require('./routes/dashboardRoutes'));
 
 // Health check endpoint
 app.get('/api/v1/health', (req, res) => {
@@ -122,6 +131,24 @@ const server = app.listen(PORT, () => {
   console.log(`  API Documentation: http://localhost:${PORT}/api/v1/docs`.cyan);
 });
 
+// Release expired seat holds and unpaid tickets in the background
+startSeatHoldSweeper();
+
+// Import provider settlement files dropped into SETTLEMENT_INBOX, if set
+startReconciliationJob();
+
+// Send queued emails
+startNotificationWorker();
+
+// Remind ticket holders before their show and refund unanswered cancellations
+startShowtimeNotifier();
+
+// Tell ticket holders about moved and cancelled showtimes
+startScheduleChangeWorker();
+
+// Resolve refunds interrupted between the gateway call and recording it
+startRefundRecoveryJob();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.log('UNHANDLED REJECTION! Shutting down...');
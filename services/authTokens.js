@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { refreshTokenDays, maxSessionsPerUser } = require('../config/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const authError = (message, statusCode = 401) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh token: <session id>.<random secret>; only the secret's hash is stored
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+    throw authError('Invalid refresh token');
+  }
+  return { sessionId, secret };
+};
+
+const tokenResponse = (user, session, secret) => ({
+  token: user.getSignedJwtToken(session._id),
+  refreshToken: `${session._id}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+// Device details from the request, to show the user where they are logged in
+const deviceInfo = (req, deviceName) => ({
+  deviceName,
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+const revokeSessions = (filter, reason) => Session.updateMany(
+  { ...filter, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+/**
+ * Start a session for a user who just logged in and return
+ * `{ token, refreshToken, refreshTokenExpiresAt }`.
+ */
+const issueTokens = async (user, req, { deviceName } = {}) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + refreshTokenDays * DAY_MS),
+    ...deviceInfo(req, deviceName)
+  });
+
+  // Keep the newest sessions and end the least recently used ones
+  const stale = await Session.find({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .skip(maxSessionsPerUser)
+    .select('_id');
+  if (stale.length > 0) {
+    await revokeSessions({ _id: { $in: stale.map(entry => entry._id) } }, 'session_limit');
+  }
+
+  return tokenResponse(user, session, secret);
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token. A token
+ * that was already swapped ends the session, since only a copy of it could
+ * still be in use.
+ */
+const refreshTokens = async (refreshToken, req) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const tokenHash = hashToken(secret);
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw authError('Session has expired, please log in again');
+  }
+
+  if (session.previousTokenHash === tokenHash) {
+    await revokeSessions({ _id: session._id }, 'token_reuse');
+    throw authError('Refresh token was already used; the session has been ended');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    throw authError('User no longer exists');
+  }
+
+  const nextSecret = newSecret();
+  // Only one of two concurrent refreshes with the same token can win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextSecret),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshTokenDays * DAY_MS),
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw authError('Invalid refresh token');
+  }
+
+  return tokenResponse(user, rotated, nextSecret);
+};
+
+/**
+ * Resolve a bearer token to `{ user, session }`. Tokens of revoked or lapsed
+ * sessions and tokens issued before sessions existed are rejected.
+ */
+const authenticateAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw authError(err.name === 'TokenExpiredError' ? 'Access token has expired' : 'Not authorized, token failed');
+  }
+
+  if (!decoded.sid) {
+    throw authError('Not authorized, please log in again');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || String(session.userId) !== String(decoded.id)) {
+    throw authError('Session has been revoked, please log in again');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw authError('User no longer exists');
+  }
+
+  return { user, session };
+};
+
+// End one of the user's sessions
+const revokeSession = (userId, sessionId, reason = 'logout') =>
+  revokeSessions({ _id: sessionId, userId }, reason);
+
+// End every session of a user, optionally keeping the current one
+const revokeAllSessions = (userId, reason = 'logout_all', { exceptSessionId } = {}) =>
+  revokeSessions(exceptSessionId ? { userId, _id: { $ne: exceptSessionId } } : { userId }, reason);
+
+const listSessions = (userId) => Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+  .select('deviceName userAgent ip lastUsedAt createdAt expiresAt')
+  .sort({ lastUsedAt: -1 });
+
+module.exports = {
+  issueTokens,
+  refreshTokens,
+  authenticateAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,215 @@
+const Ticket = require('../models/Ticket');
+const Schedule = require('../models/Schedule');
+const Room = require('../models/Room');
+const { opensMinutesBefore, closesMinutesAfter } = require('../config/checkIn');
+const { verifyTicketQr, hashTicketQr, signManifest } = require('./ticketQr');
+
+const checkInError = (message, reason, statusCode = 400, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.reason = reason;
+  Object.assign(err, extra);
+  return err;
+};
+
+// When the doors are open for a showtime
+const checkInWindow = (schedule) => ({
+  opensAt: new Date(schedule.startTime.getTime() - opensMinutesBefore * 60 * 1000),
+  closesAt: new Date(schedule.startTime.getTime() + closesMinutesAfter * 60 * 1000)
+});
+
+const ticketItems = (ticket) => ({
+  seats: ticket.seats.map(({ code, type, ticketType }) => ({ code, type, ticketType })),
+  combos: ticket.combos.map(({ name, qty }) => ({ name, qty }))
+});
+
+// What the usher needs to seat the customer
+const admissionDetails = (ticket, schedule, room) => ({
+  ticketId: ticket._id,
+  customer: ticket.userId && ticket.userId.name,
+  movie: schedule.movieId && schedule.movieId.title,
+  startTime: schedule.startTime,
+  room: room && room.name,
+  ...ticketItems(ticket),
+  checkInTime: ticket.checkInTime
+});
+
+/**
+ * Admit the ticket behind a scanned QR code at `cinemaId`. Rejections throw
+ * with a `reason` (wrong_cinema, too_early, too_late, already_checked_in,
+ * not_admissible, ...) so the scanner can tell the usher what is wrong.
+ */
+const checkInTicket = async ({ code, cinemaId, staffId, now = new Date() }) => {
+  const { ticketId } = verifyTicketQr(code, now);
+
+  const ticket = await Ticket.findById(ticketId).populate('userId', 'name');
+  // Only the ticket's current code is accepted
+  if (!ticket || ticket.qrCode !== code.trim()) {
+    throw checkInError('Ticket not found', 'unknown_ticket', 404);
+  }
+
+  const schedule = await Schedule.findById(ticket.scheduleId).populate('movieId', 'title');
+  if (!schedule) {
+    throw checkInError('Schedule not found', 'unknown_ticket', 404);
+  }
+
+  const room = await Room.findById(ticket.roomId).select('name');
+
+  if (String(schedule.cinemaId) !== String(cinemaId)) {
+    throw checkInError('This ticket is for another cinema', 'wrong_cinema', 403);
+  }
+
+  if (ticket.status === 'checked_in') {
+    throw checkInError(`Ticket was already checked in at ${ticket.checkInTime.toISOString()}`, 'already_checked_in', 409, {
+      ticket: admissionDetails(ticket, schedule, room)
+    });
+  }
+
+  if (ticket.status !== 'paid') {
+    throw checkInError(`Ticket is ${ticket.status}`, 'not_admissible', 409);
+  }
+
+  if (schedule.status === 'cancelled') {
+    throw checkInError('This show has been cancelled', 'show_cancelled', 409);
+  }
+
+  const { opensAt, closesAt } = checkInWindow(schedule);
+  if (now < opensAt) {
+    throw checkInError(`Check-in opens at ${opensAt.toISOString()}`, 'too_early');
+  }
+  if (now > closesAt) {
+    throw checkInError('Check-in for this show has closed', 'too_late');
+  }
+
+  // If the same code is scanned twice at once only one save matches
+  ticket.$where = { status: 'paid' };
+
+  try {
+    await ticket.checkIn(staffId, { at: now });
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError') {
+      throw checkInError('Ticket was already checked in', 'already_checked_in', 409);
+    }
+    throw err;
+  }
+
+  return admissionDetails(ticket, schedule, room);
+};
+
+/**
+ * Everything a scanner needs to admit a show's ticket holders while offline.
+ * The manifest is serialised once and signed; scanners check `signature`
+ * against the exact `manifest` string before trusting it.
+ */
+const buildManifest = async (scheduleId) => {
+  const schedule = await Schedule.findById(scheduleId).populate('movieId', 'title');
+  if (!schedule) {
+    throw checkInError('Schedule not found', 'unknown_schedule', 404);
+  }
+
+  const room = await Room.findById(schedule.roomId).select('name');
+  const tickets = await Ticket.find({
+    scheduleId: schedule._id,
+    status: { $in: ['paid', 'checked_in'] }
+  }).populate('userId', 'name');
+
+  const { opensAt, closesAt } = checkInWindow(schedule);
+
+  const manifest = JSON.stringify({
+    version: 1,
+    scheduleId: schedule._id,
+    cinemaId: schedule.cinemaId,
+    movie: schedule.movieId && schedule.movieId.title,
+    room: room && room.name,
+    startTime: schedule.startTime,
+    opensAt,
+    closesAt,
+    generatedAt: new Date(),
+    tickets: tickets.map(ticket => ({
+      ticketId: ticket._id,
+      qrHash: ticket.qrCode ? hashTicketQr(ticket.qrCode) : null,
+      customer: ticket.userId && ticket.userId.name,
+      ...ticketItems(ticket),
+      checkInTime: ticket.checkInTime || null
+    }))
+  });
+
+  return { manifest, signature: signManifest(manifest), algorithm: 'HMAC-SHA256' };
+};
+
+// Apply one offline scan; a save that lost a race is retried once
+const applyOfflineCheckIn = async ({ ticketId, scannedAt, cinemaId, deviceId, staffId }, retry = true) => {
+  // Scanner clocks drift; never record a check-in in the future
+  const at = new Date(Math.min(new Date(scannedAt).getTime(), Date.now()));
+
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket) {
+    return { outcome: 'rejected', reason: 'unknown_ticket' };
+  }
+
+  const schedule = await Schedule.findById(ticket.scheduleId).select('cinemaId');
+  if (!schedule || String(schedule.cinemaId) !== String(cinemaId)) {
+    return { outcome: 'rejected', reason: 'wrong_cinema' };
+  }
+
+  try {
+    if (ticket.status === 'checked_in') {
+      if (ticket.checkInTime <= at) {
+        return { outcome: 'duplicate', checkInTime: ticket.checkInTime };
+      }
+
+      // The offline scan came first: the earliest scan is the check-in time
+      const storedTime = ticket.checkInTime;
+      ticket.checkInTime = at;
+      ticket.$where = { checkInTime: storedTime };
+      await ticket.save();
+
+      return { outcome: 'backdated', checkInTime: at, replacedCheckInTime: storedTime };
+    }
+
+    if (ticket.status !== 'paid') {
+      return { outcome: 'rejected', reason: 'not_admissible', status: ticket.status };
+    }
+
+    ticket.$where = { status: 'paid' };
+    await ticket.checkIn(staffId, { at, source: deviceId ? `offline-sync:${deviceId}` : 'offline-sync' });
+
+    return { outcome: 'checked_in', checkInTime: at };
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError' && retry) {
+      return applyOfflineCheckIn({ ticketId, scannedAt, cinemaId, deviceId, staffId }, false);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Apply check-ins a scanner recorded while offline, in scan order. The
+ * earliest scan of a ticket wins: a stored checkInTime is moved back when an
+ * offline scan predates it, and later scans come back as duplicates for the
+ * gate team to look into. The door window is not re-checked here, since the
+ * scanner enforced it from the manifest when the customer walked in.
+ */
+const syncCheckIns = async ({ cinemaId, deviceId, checkIns, staffId }) => {
+  const entries = [...checkIns].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+  const results = [];
+
+  for (const { ticketId, scannedAt } of entries) {
+    const result = await applyOfflineCheckIn({ ticketId, scannedAt, cinemaId, deviceId, staffId });
+    results.push({ ticketId, scannedAt, ...result });
+  }
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+    return counts;
+  }, {});
+
+  return { results, summary };
+};
+
+module.exports = {
+  checkInWindow,
+  checkInTicket,
+  buildManifest,
+  syncCheckIns
+};
@@ -0,0 +1,117 @@
+const Notification = require('../../models/Notification');
+const templates = require('./templates');
+const { getTransport } = require('./transports');
+const config = require('../../config/notifications');
+
+// Messages left in `sending` this long were interrupted and are sent again
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Templates are written as plain text; blank lines become paragraphs
+const toHtml = (text) => text
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// Build the message for a queued notification from its template
+const renderNotification = async (notification) => {
+  const template = templates[notification.template];
+  if (!template) {
+    throw new Error(`Unknown email template "${notification.template}"`);
+  }
+
+  const ctx = await template.load(notification.data || {});
+  const { subject, text } = template[notification.language](ctx);
+
+  return {
+    from: config.from,
+    to: notification.to,
+    subject,
+    text,
+    html: toHtml(text),
+    attachments: template.attachments ? await template.attachments(ctx) : []
+  };
+};
+
+// 1, 4, 16, 64... minutes between attempts
+const retryDelayMs = (attempts) => Math.pow(4, attempts - 1) * 60 * 1000;
+
+const deliver = async (notification) => {
+  try {
+    const message = await renderNotification(notification);
+    await getTransport().send(message);
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+  } catch (err) {
+    console.error(`Error sending ${notification.template} email ${notification._id}:`, err.message);
+
+    notification.lastError = err.message;
+    if (notification.attempts >= config.maxAttempts) {
+      notification.status = 'failed';
+    } else {
+      notification.status = 'queued';
+      notification.nextAttemptAt = new Date(Date.now() + retryDelayMs(notification.attempts));
+    }
+  }
+
+  // Emailed tokens are not kept once the queue is done with the message
+  const template = templates[notification.template];
+  if (template && template.sensitive && notification.status !== 'queued') {
+    const data = { ...notification.data };
+    template.sensitive.forEach(key => delete data[key]);
+    notification.data = data;
+  }
+
+  await notification.save();
+};
+
+// Claim one due message so concurrent workers never send the same one
+const claimNext = () => Notification.findOneAndUpdate(
+  { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+  { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+let running = false;
+
+/**
+ * Send up to `limit` due messages. Returns how many were processed; calls
+ * made while a run is in progress return 0 and leave it to that run.
+ */
+const processQueue = async ({ limit = 50 } = {}) => {
+  if (running) return 0;
+  running = true;
+
+  let processed = 0;
+
+  try {
+    await Notification.updateMany(
+      { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+      { $set: { status: 'queued' } }
+    );
+
+    while (processed < limit) {
+      const notification = await claimNext();
+      if (!notification) break;
+
+      await deliver(notification);
+      processed++;
+    }
+  } finally {
+    running = false;
+  }
+
+  return processed;
+};
+
+module.exports = {
+  renderNotification,
+  processQueue
+};
@@ -0,0 +1,48 @@
+const { EventEmitter } = require('events');
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const { defaultLanguage } = require('../../config/notifications');
+
+// Emits 'queued' so the worker can send straight away instead of on its next poll
+const queueEvents = new EventEmitter();
+
+/**
+ * Queue an email for a user; jobs/notificationJob sends it. `user` is a User
+ * document or id, and a `dedupeKey` already used makes the call a no-op.
+ *
+ * Never throws: a message that cannot be queued is logged and skipped so the
+ * request that triggered it still succeeds.
+ */
+const queueEmail = async ({ template, user, data = {}, dedupeKey }) => {
+  try {
+    const recipient = user && user.email ? user : await User.findById(user).select('email language');
+    if (!recipient || !recipient.email) {
+      console.warn(`Not sending ${template} email: no address for user ${user && (user._id || user)}`);
+      return null;
+    }
+
+    const notification = await Notification.create({
+      userId: recipient._id,
+      template,
+      language: recipient.language || defaultLanguage,
+      to: recipient.email,
+      data,
+      dedupeKey
+    });
+
+    queueEvents.emit('queued', notification);
+
+    return notification;
+  } catch (err) {
+    // Already queued for this event
+    if (err.code === 11000) return null;
+
+    console.error(`Error queueing ${template} email:`, err);
+    return null;
+  }
+};
+
+module.exports = {
+  queueEvents,
+  queueEmail
+};
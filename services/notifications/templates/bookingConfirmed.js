@@ -0,0 +1,38 @@
+const { loadTicketContext, showDetails, money } = require('./helpers');
+const { renderTicketPdf } = require('../../ticketDocuments');
+
+// data: { ticketId }
+module.exports = {
+  load: (data) => loadTicketContext(data.ticketId),
+
+  // The e-ticket goes along so it can be shown at the door offline
+  attachments: async (ctx) => [{
+    filename: `ticket-${ctx.ticket._id}.pdf`,
+    content: await renderTicketPdf(ctx.ticket),
+    contentType: 'application/pdf'
+  }],
+
+  vi: (ctx) => ({
+    subject: `Xác nhận đặt vé: ${ctx.movie}`,
+    text: [
+      `Xin chào ${ctx.name},`,
+      'Thanh toán thành công, vé của bạn đã được xác nhận.',
+      showDetails(ctx, 'vi'),
+      ctx.combos && `Combo: ${ctx.combos}`,
+      `Tổng tiền: ${money(ctx.total, 'vi')}`,
+      `Vé điện tử được đính kèm. Vui lòng xuất trình mã QR tại cửa soát vé. Xem vé: ${ctx.ticketUrl}`
+    ].filter(Boolean).join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: `Booking confirmed: ${ctx.movie}`,
+    text: [
+      `Hi ${ctx.name},`,
+      'Your payment went through and your booking is confirmed.',
+      showDetails(ctx, 'en'),
+      ctx.combos && `Combos: ${ctx.combos}`,
+      `Total: ${money(ctx.total, 'en')}`,
+      `Your e-ticket is attached. Show the QR code at the entrance. View it online: ${ctx.ticketUrl}`
+    ].filter(Boolean).join('\n\n')
+  })
+};
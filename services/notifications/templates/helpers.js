@@ -0,0 +1,61 @@
+const { timeZone } = require('../../../config/documents');
+const { appUrl } = require('../../../config/notifications');
+const { loadTicketDetails } = require('../../ticketDocuments');
+
+const LOCALES = { vi: 'vi-VN', en: 'en-GB' };
+
+const money = (amount, language) =>
+  new Intl.NumberFormat(LOCALES[language], { style: 'currency', currency: 'VND' }).format(amount);
+
+const dateTime = (date, language) =>
+  new Intl.DateTimeFormat(LOCALES[language], { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(new Date(date));
+
+// Show details shared by the ticket emails
+const loadTicketContext = async (ticketId) => {
+  const ticket = await loadTicketDetails(ticketId);
+  if (!ticket) {
+    throw new Error(`Ticket ${ticketId} not found`);
+  }
+
+  const schedule = ticket.scheduleId;
+  const cinema = schedule.cinemaId || {};
+
+  return {
+    ticket,
+    name: ticket.userId ? ticket.userId.name : '',
+    movie: schedule.movieId ? schedule.movieId.title : '',
+    cinema: cinema.name || '',
+    address: cinema.address || '',
+    room: ticket.roomId ? ticket.roomId.name : '',
+    startTime: schedule.startTime,
+    seats: ticket.seats.map(seat => seat.code).join(', '),
+    combos: ticket.combos.map(combo => `${combo.name} x ${combo.qty}`).join(', '),
+    total: ticket.totalAmount,
+    ticketUrl: `${appUrl}/tickets/${ticket._id}`
+  };
+};
+
+// The show block most ticket emails include
+const showDetails = (ctx, language) => (language === 'vi'
+  ? [
+    `Phim: ${ctx.movie}`,
+    `Rạp: ${ctx.cinema}${ctx.address ? ` - ${ctx.address}` : ''}`,
+    `Phòng: ${ctx.room}`,
+    `Suất chiếu: ${dateTime(ctx.startTime, language)}`,
+    `Ghế: ${ctx.seats}`
+  ]
+  : [
+    `Movie: ${ctx.movie}`,
+    `Cinema: ${ctx.cinema}${ctx.address ? ` - ${ctx.address}` : ''}`,
+    `Room: ${ctx.room}`,
+    `Showtime: ${dateTime(ctx.startTime, language)}`,
+    `Seats: ${ctx.seats}`
+  ]).join('\n');
+
+module.exports = {
+  appUrl,
+  money,
+  dateTime,
+  loadTicketContext,
+  showDetails
+};
@@ -0,0 +1,19 @@
+/**
+ * Email templates by name. Each template has:
+ *
+ *   load(data)         -> context built at send time from the queued data
+ *   vi(ctx), en(ctx)   -> { subject, text }
+ *   attachments(ctx)   -> optional [{ filename, content, contentType }]
+ *   sensitive          -> optional data keys (tokens) dropped once sent
+ */
+module.exports = {
+  welcome: require('./welcome'),
+  verify_email: require('./verifyEmail'),
+  password_reset: require('./passwordReset'),
+  booking_confirmed: require('./bookingConfirmed'),
+  payment_failed: require('./paymentFailed'),
+  ticket_cancelled: require('./ticketCancelled'),
+  refund_processed: require('./refundProcessed'),
+  showtime_reminder: require('./showtimeReminder'),
+  schedule_changed: require('./scheduleChanged')
+};
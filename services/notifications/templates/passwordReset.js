@@ -0,0 +1,32 @@
+const { appUrl } = require('./helpers');
+const { passwordResetMinutes } = require('../../../config/auth');
+
+// data: { name, token }
+module.exports = {
+  load: async (data) => ({
+    ...data,
+    resetUrl: `${appUrl}/reset-password?token=${data.token}`
+  }),
+
+  sensitive: ['token'],
+
+  vi: (ctx) => ({
+    subject: 'Đặt lại mật khẩu',
+    text: [
+      `Xin chào ${ctx.name},`,
+      `Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn. Liên kết sau có hiệu lực trong ${passwordResetMinutes} phút:`,
+      ctx.resetUrl,
+      'Nếu bạn không yêu cầu, hãy bỏ qua email này; mật khẩu của bạn sẽ không thay đổi.'
+    ].join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: 'Reset your password',
+    text: [
+      `Hi ${ctx.name},`,
+      `We received a request to reset your password. This link works for ${passwordResetMinutes} minutes:`,
+      ctx.resetUrl,
+      'If you did not ask for this, ignore this email and your password will stay the same.'
+    ].join('\n\n')
+  })
+};
@@ -0,0 +1,45 @@
+const Payment = require('../../../models/Payment');
+const { loadTicketContext, showDetails, money, dateTime } = require('./helpers');
+
+// data: { paymentId }
+module.exports = {
+  load: async (data) => {
+    const payment = await Payment.findById(data.paymentId);
+    if (!payment) {
+      throw new Error(`Payment ${data.paymentId} not found`);
+    }
+
+    const ctx = await loadTicketContext(payment.ticketId);
+    return {
+      ...ctx,
+      amount: payment.amount,
+      reason: payment.paymentDetails && payment.paymentDetails.responseMessage,
+      // Seats stay reserved until the pending ticket expires
+      retryUntil: ctx.ticket.status === 'pending' ? ctx.ticket.pendingExpiresAt : null
+    };
+  },
+
+  vi: (ctx) => ({
+    subject: `Thanh toán chưa thành công: ${ctx.movie}`,
+    text: [
+      `Xin chào ${ctx.name},`,
+      `Thanh toán ${money(ctx.amount, 'vi')} cho đơn đặt vé của bạn chưa thành công${ctx.reason ? ` (${ctx.reason})` : ''}.`,
+      showDetails(ctx, 'vi'),
+      ctx.retryUntil
+        ? `Ghế được giữ đến ${dateTime(ctx.retryUntil, 'vi')}. Bạn có thể thanh toán lại tại ${ctx.ticketUrl}`
+        : 'Ghế đã được trả lại. Bạn có thể đặt vé mới bất cứ lúc nào.'
+    ].join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: `Payment failed: ${ctx.movie}`,
+    text: [
+      `Hi ${ctx.name},`,
+      `Your payment of ${money(ctx.amount, 'en')} did not go through${ctx.reason ? ` (${ctx.reason})` : ''}.`,
+      showDetails(ctx, 'en'),
+      ctx.retryUntil
+        ? `Your seats are held until ${dateTime(ctx.retryUntil, 'en')}. You can try again at ${ctx.ticketUrl}`
+        : 'Your seats have been released. You are welcome to book again at any time.'
+    ].join('\n\n')
+  })
+};
@@ -0,0 +1,35 @@
+const { loadTicketContext, showDetails, money } = require('./helpers');
+
+// data: { ticketId, amount, seats, wholeTicket }
+module.exports = {
+  load: async (data) => ({
+    ...await loadTicketContext(data.ticketId),
+    amount: data.amount,
+    refundedSeats: (data.seats || []).join(', '),
+    wholeTicket: data.wholeTicket
+  }),
+
+  vi: (ctx) => ({
+    subject: `Hoàn tiền ${money(ctx.amount, 'vi')}: ${ctx.movie}`,
+    text: [
+      `Xin chào ${ctx.name},`,
+      ctx.wholeTicket
+        ? `Vé của bạn đã được hủy và hoàn ${money(ctx.amount, 'vi')}.`
+        : `Chúng tôi đã hoàn ${money(ctx.amount, 'vi')}${ctx.refundedSeats ? ` cho ghế ${ctx.refundedSeats}` : ''}.`,
+      showDetails(ctx, 'vi'),
+      'Tiền sẽ về tài khoản của bạn trong vòng 5-7 ngày làm việc, tùy phương thức thanh toán.'
+    ].join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: `Refund of ${money(ctx.amount, 'en')}: ${ctx.movie}`,
+    text: [
+      `Hi ${ctx.name},`,
+      ctx.wholeTicket
+        ? `Your ticket has been cancelled and ${money(ctx.amount, 'en')} refunded.`
+        : `We have refunded ${money(ctx.amount, 'en')}${ctx.refundedSeats ? ` for seats ${ctx.refundedSeats}` : ''}.`,
+      showDetails(ctx, 'en'),
+      'The money should reach your account within 5-7 business days, depending on how you paid.'
+    ].join('\n\n')
+  })
+};
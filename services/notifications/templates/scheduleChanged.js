@@ -0,0 +1,46 @@
+const { loadTicketContext, showDetails, dateTime } = require('./helpers');
+
+// data: { ticketId }
+module.exports = {
+  load: async (data) => {
+    const ctx = await loadTicketContext(data.ticketId);
+    const change = ctx.ticket.scheduleChange || {};
+
+    return {
+      ...ctx,
+      cancelled: change.kind === 'cancelled',
+      previousStartTime: change.previousStartTime,
+      respondBy: change.respondBy
+    };
+  },
+
+  vi: (ctx) => ({
+    subject: ctx.cancelled ? `Suất chiếu đã bị hủy: ${ctx.movie}` : `Suất chiếu đã thay đổi: ${ctx.movie}`,
+    text: [
+      `Xin chào ${ctx.name},`,
+      ctx.cancelled
+        ? `Rất tiếc, suất chiếu lúc ${dateTime(ctx.previousStartTime, 'vi')} đã bị hủy.`
+        : `Suất chiếu lúc ${dateTime(ctx.previousStartTime, 'vi')} đã được dời. Thông tin mới:`,
+      showDetails(ctx, 'vi'),
+      ctx.cancelled
+        ? `Bạn có thể hoàn tiền toàn bộ hoặc đổi sang suất chiếu khác của phim này. Nếu chưa chọn trước ${dateTime(ctx.respondBy, 'vi')}, chúng tôi sẽ tự động hoàn tiền.`
+        : 'Vé của bạn vẫn có hiệu lực cho suất chiếu mới. Nếu giờ mới không phù hợp, bạn có thể đổi sang suất khác hoặc hoàn tiền toàn bộ trước giờ chiếu.',
+      `Quản lý vé: ${ctx.ticketUrl}`
+    ].join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: ctx.cancelled ? `Showtime cancelled: ${ctx.movie}` : `Showtime changed: ${ctx.movie}`,
+    text: [
+      `Hi ${ctx.name},`,
+      ctx.cancelled
+        ? `We are sorry, the show at ${dateTime(ctx.previousStartTime, 'en')} has been cancelled.`
+        : `The show at ${dateTime(ctx.previousStartTime, 'en')} has been rescheduled. The new details are:`,
+      showDetails(ctx, 'en'),
+      ctx.cancelled
+        ? `You can get a full refund or exchange your ticket for another showtime of this movie. If you have not chosen by ${dateTime(ctx.respondBy, 'en')}, we will refund you automatically.`
+        : 'Your ticket is still valid for the new showtime. If it does not suit you, you can exchange it for another showtime or get a full refund before the show starts.',
+      `Manage your ticket: ${ctx.ticketUrl}`
+    ].join('\n\n')
+  })
+};
@@ -0,0 +1,26 @@
+const { loadTicketContext, showDetails } = require('./helpers');
+
+// data: { ticketId }
+module.exports = {
+  load: (data) => loadTicketContext(data.ticketId),
+
+  vi: (ctx) => ({
+    subject: `Nhắc lịch: ${ctx.movie} sắp chiếu`,
+    text: [
+      `Xin chào ${ctx.name},`,
+      'Suất chiếu của bạn sắp bắt đầu.',
+      showDetails(ctx, 'vi'),
+      `Vui lòng đến sớm vài phút và xuất trình mã QR tại cửa soát vé. Xem vé: ${ctx.ticketUrl}`
+    ].join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: `Reminder: ${ctx.movie} starts soon`,
+    text: [
+      `Hi ${ctx.name},`,
+      'Your show is coming up.',
+      showDetails(ctx, 'en'),
+      `Please arrive a few minutes early and show your QR code at the entrance. View your ticket: ${ctx.ticketUrl}`
+    ].join('\n\n')
+  })
+};
@@ -0,0 +1,28 @@
+const { loadTicketContext, showDetails } = require('./helpers');
+
+// data: { ticketId }
+module.exports = {
+  load: (data) => loadTicketContext(data.ticketId),
+
+  vi: (ctx) => ({
+    subject: `Vé đã bị hủy: ${ctx.movie}`,
+    text: [
+      `Xin chào ${ctx.name},`,
+      'Vé sau đã được hủy.',
+      showDetails(ctx, 'vi'),
+      ctx.ticket.cancellationReason && `Lý do: ${ctx.ticket.cancellationReason}`,
+      'Nếu bạn không yêu cầu hủy vé, vui lòng liên hệ với chúng tôi.'
+    ].filter(Boolean).join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: `Ticket cancelled: ${ctx.movie}`,
+    text: [
+      `Hi ${ctx.name},`,
+      'The following ticket has been cancelled.',
+      showDetails(ctx, 'en'),
+      ctx.ticket.cancellationReason && `Reason: ${ctx.ticket.cancellationReason}`,
+      'If you did not ask for this, please get in touch with us.'
+    ].filter(Boolean).join('\n\n')
+  })
+};
@@ -0,0 +1,32 @@
+const { appUrl } = require('./helpers');
+const { emailVerificationHours } = require('../../../config/auth');
+
+// data: { name, token }
+module.exports = {
+  load: async (data) => ({
+    ...data,
+    verifyUrl: `${appUrl}/verify-email?token=${data.token}`
+  }),
+
+  sensitive: ['token'],
+
+  vi: (ctx) => ({
+    subject: 'Xác nhận địa chỉ email của bạn',
+    text: [
+      `Xin chào ${ctx.name},`,
+      `Nhấn vào liên kết sau để xác nhận email. Liên kết có hiệu lực trong ${emailVerificationHours} giờ.`,
+      ctx.verifyUrl,
+      'Nếu bạn không tạo tài khoản, hãy bỏ qua email này.'
+    ].join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${ctx.name},`,
+      `Open the link below to confirm your email. It works for ${emailVerificationHours} hours.`,
+      ctx.verifyUrl,
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n\n')
+  })
+};
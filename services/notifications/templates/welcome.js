@@ -0,0 +1,31 @@
+const { appUrl } = require('./helpers');
+
+// data: { name, token } where `token` verifies the email address
+module.exports = {
+  load: async (data) => ({
+    ...data,
+    verifyUrl: data.token && `${appUrl}/verify-email?token=${data.token}`
+  }),
+
+  sensitive: ['token'],
+
+  vi: (ctx) => ({
+    subject: 'Chào mừng bạn đến với Cinema Tickets',
+    text: [
+      `Xin chào ${ctx.name},`,
+      'Tài khoản của bạn đã được tạo. Giờ bạn có thể đặt vé, chọn ghế và mua combo bắp nước trực tuyến.',
+      ctx.verifyUrl && `Vui lòng xác nhận địa chỉ email trước khi đặt vé: ${ctx.verifyUrl}`,
+      `Bắt đầu tại ${appUrl}`
+    ].filter(Boolean).join('\n\n')
+  }),
+
+  en: (ctx) => ({
+    subject: 'Welcome to Cinema Tickets',
+    text: [
+      `Hi ${ctx.name},`,
+      'Your account is ready. You can now book tickets, pick your seats and add snack combos online.',
+      ctx.verifyUrl && `Please confirm your email address before booking: ${ctx.verifyUrl}`,
+      `Get started at ${appUrl}`
+    ].filter(Boolean).join('\n\n')
+  })
+};
@@ -0,0 +1,14 @@
+// Print emails to the server log instead of sending them
+const send = async (message) => {
+  const attachments = (message.attachments || []).map(file => file.filename).join(', ');
+
+  console.log([
+    `Email to ${message.to}: ${message.subject}`,
+    message.text,
+    attachments && `[attachments: ${attachments}]`
+  ].filter(Boolean).join('\n').grey);
+
+  return { messageId: `console-${Date.now()}` };
+};
+
+module.exports = { name: 'console', send };
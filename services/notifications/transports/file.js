@@ -0,0 +1,24 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { fileDir } = require('../../../config/notifications');
+
+// Write each email to EMAIL_FILE_DIR as JSON plus its attachments
+const send = async (message) => {
+  const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const attachments = message.attachments || [];
+
+  await fs.mkdir(fileDir, { recursive: true });
+
+  for (const file of attachments) {
+    await fs.writeFile(path.join(fileDir, `${messageId}-${file.filename}`), file.content);
+  }
+
+  await fs.writeFile(path.join(fileDir, `${messageId}.json`), JSON.stringify({
+    ...message,
+    attachments: attachments.map(file => `${messageId}-${file.filename}`)
+  }, null, 2));
+
+  return { messageId };
+};
+
+module.exports = { name: 'file', send };
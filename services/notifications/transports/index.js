@@ -0,0 +1,22 @@
+const config = require('../../../config/notifications');
+
+const transports = {
+  console: require('./console'),
+  file: require('./file'),
+  memory: require('./memory'),
+  smtp: require('./smtp')
+};
+
+/**
+ * A transport exposes `send({ from, to, subject, text, html, attachments })`
+ * and resolves with `{ messageId }`. Attachments are `{ filename, content }`.
+ */
+const getTransport = (name = config.transport) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown email transport "${name}"`);
+  }
+  return transport;
+};
+
+module.exports = { getTransport };
@@ -0,0 +1,14 @@
+// Keep emails in memory so tests can read them back from `sent`
+const sent = [];
+
+const send = async (message) => {
+  const messageId = `memory-${sent.length + 1}`;
+  sent.push({ messageId, ...message });
+  return { messageId };
+};
+
+const clear = () => {
+  sent.length = 0;
+};
+
+module.exports = { name: 'memory', send, sent, clear };
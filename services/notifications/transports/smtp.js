@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+const { smtp } = require('../../../config/notifications');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!smtp.host) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+  }
+
+  return transporter;
+};
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+};
+
+module.exports = { name: 'smtp', send };
@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const OAuthState = require('../../models/OAuthState');
+const config = require('../../config/oauth');
+
+const oauthError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Providers that can be used here: configured ones, plus the mock when enabled
+const enabledProviders = () => Object.keys(config.providers).filter(name =>
+  name === 'mock' ? config.mockEnabled : Boolean(config.providers[name].clientId && config.providers[name].clientSecret)
+);
+
+const getProvider = (name) => {
+  if (!enabledProviders().includes(name)) {
+    throw oauthError(`Login with ${name} is not available`, 404);
+  }
+  return { name, ...config.providers[name] };
+};
+
+const request = async (url, options, providerName) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(config.requestTimeoutMs) });
+  } catch (err) {
+    throw oauthError(`Could not reach ${providerName}: ${err.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || (body.error && (body.error.message || body.error)) || `HTTP ${response.status}`;
+    throw oauthError(`${providerName} rejected the login: ${reason}`, 401);
+  }
+
+  return body;
+};
+
+/**
+ * Start a login (or, with `userId`, the linking of another provider to that
+ * user) and return the provider URL to send the browser to.
+ */
+const startAuthorization = async ({ provider: providerName, userId, deviceName }) => {
+  const provider = getProvider(providerName);
+
+  const state = randomToken();
+  const codeVerifier = randomToken();
+  const nonce = provider.type === 'oidc' ? randomToken() : undefined;
+
+  const entry = await OAuthState.create({
+    state,
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    userId,
+    deviceName,
+    expiresAt: new Date(Date.now() + config.stateTtlMinutes * 60 * 1000)
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: config.redirectUri,
+    scope: provider.scope,
+    state,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  });
+  if (nonce) params.set('nonce', nonce);
+
+  return { authorizationUrl: `${provider.authorizationUrl}?${params}`, state, expiresAt: entry.expiresAt };
+};
+
+// The ID token came straight from the token endpoint over TLS, so its claims
+// are checked but its signature is not (OIDC Core 3.1.3.7)
+const idTokenClaims = (provider, idToken, nonce) => {
+  const claims = jwt.decode(idToken);
+  if (!claims) {
+    throw oauthError(`${provider.name} returned an unreadable ID token`, 401);
+  }
+
+  const audiences = [].concat(claims.aud);
+  if (!provider.issuers.includes(claims.iss) || !audiences.includes(provider.clientId)) {
+    throw oauthError(`${provider.name} ID token was issued for someone else`, 401);
+  }
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+    throw oauthError(`${provider.name} ID token has expired`, 401);
+  }
+  if (claims.nonce !== nonce) {
+    throw oauthError(`${provider.name} ID token does not match this login`, 401);
+  }
+
+  return claims;
+};
+
+// Trade the authorization code for the user's profile:
+// { subject, email, emailVerified, name, picture }
+const fetchProfile = async (provider, code, entry) => {
+  const tokens = await request(provider.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: entry.codeVerifier
+    })
+  }, provider.name);
+
+  let claims = {};
+  if (provider.type === 'oidc') {
+    if (!tokens.id_token) {
+      throw oauthError(`${provider.name} did not return an ID token`, 401);
+    }
+    claims = idTokenClaims(provider, tokens.id_token, entry.nonce);
+  }
+
+  if (!claims.email) {
+    const info = await request(provider.userInfoUrl, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    }, provider.name);
+
+    if (claims.sub && info.sub && info.sub !== claims.sub) {
+      throw oauthError(`${provider.name} returned a profile for someone else`, 401);
+    }
+    claims = { ...info, ...claims, email: info.email };
+  }
+
+  const subject = claims.sub || claims.id;
+  if (!subject) {
+    throw oauthError(`${provider.name} did not identify the user`, 401);
+  }
+
+  return {
+    subject: String(subject),
+    email: claims.email ? String(claims.email).toLowerCase() : undefined,
+    emailVerified: provider.trustEmail !== false &&
+      (provider.emailVerified || claims.email_verified === true || claims.email_verified === 'true'),
+    name: claims.name,
+    picture: typeof claims.picture === 'string' ? claims.picture : undefined
+  };
+};
+
+const findIdentity = (user, provider) => user.identities.find(identity => identity.provider === provider);
+
+const addIdentity = (user, provider, profile) => {
+  user.identities.push({ provider, subject: profile.subject, email: profile.email, lastLoginAt: new Date() });
+
+  // The provider vouches for the address the account was matched on
+  if (profile.emailVerified && profile.email === user.email && !user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+};
+
+/**
+ * Finish a social login with the `code` and `state` the provider sent back.
+ * Returns `{ user, created, linked, mode, deviceName }`: an existing link logs
+ * in, a verified email matching a verified account links to it, and anyone
+ * else gets a new account. In linking mode the provider is added to the
+ * logged-in user.
+ */
+const completeAuthorization = async ({ code, state }) => {
+  // Each state can be used once
+  const entry = await OAuthState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+  if (!entry) {
+    throw oauthError('Login session has expired, please try again');
+  }
+
+  const provider = getProvider(entry.provider);
+  const profile = await fetchProfile(provider, code, entry);
+  const mode = entry.userId ? 'link' : 'login';
+  const result = { mode, deviceName: entry.deviceName, created: false, linked: false };
+
+  const owner = await User.findOne({ identities: { $elemMatch: { provider: provider.name, subject: profile.subject } } });
+
+  if (mode === 'link') {
+    if (owner && !owner._id.equals(entry.userId)) {
+      throw oauthError(`This ${provider.name} account is already linked to another user`, 409);
+    }
+
+    const user = owner || await User.findById(entry.userId);
+    if (!user) {
+      throw oauthError('User not found', 404);
+    }
+
+    if (!owner) {
+      if (findIdentity(user, provider.name)) {
+        throw oauthError(`A different ${provider.name} account is already linked; unlink it first`, 409);
+      }
+      addIdentity(user, provider.name, profile);
+      await user.save();
+      result.linked = true;
+    }
+
+    return { ...result, user };
+  }
+
+  if (owner) {
+    findIdentity(owner, provider.name).lastLoginAt = new Date();
+    await owner.save();
+    return { ...result, user: owner };
+  }
+
+  if (!profile.email) {
+    throw oauthError(`${provider.name} did not share an email address; please sign up with email instead`);
+  }
+
+  const existing = await User.findOne({ email: profile.email });
+  if (existing) {
+    // Whoever registered an unverified address may not own it, and would keep
+    // their password on the linked account
+    if (!profile.emailVerified || !existing.emailVerified) {
+      throw oauthError(`An account already uses ${profile.email}. Log in with your password and link ${provider.name} from your profile.`, 409);
+    }
+    if (findIdentity(existing, provider.name)) {
+      throw oauthError(`A different ${provider.name} account is already linked to ${profile.email}`, 409);
+    }
+
+    addIdentity(existing, provider.name, profile);
+    await existing.save();
+    return { ...result, linked: true, user: existing };
+  }
+
+  const user = new User({
+    name: profile.name || profile.email.split('@')[0],
+    email: profile.email,
+    avatar: profile.picture,
+    emailVerified: profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : undefined
+  });
+  addIdentity(user, provider.name, profile);
+  await user.save();
+
+  return { ...result, created: true, linked: true, user };
+};
+
+/**
+ * Remove a linked provider. The user must keep some way to log in: a
+ * password, a verified phone or another provider.
+ */
+const unlinkIdentity = async (userId, providerName) => {
+  const user = await User.findById(userId).select('+password');
+  if (!findIdentity(user, providerName)) {
+    throw oauthError(`No ${providerName} account is linked`, 404);
+  }
+
+  const others = user.identities.filter(identity => identity.provider !== providerName);
+  if (others.length === 0 && !user.password && !user.phoneVerified) {
+    throw oauthError('Set a password before unlinking your only login method');
+  }
+
+  user.identities = others;
+  await user.save();
+
+  return user;
+};
+
+module.exports = {
+  enabledProviders,
+  startAuthorization,
+  completeAuthorization,
+  unlinkIdentity
+};
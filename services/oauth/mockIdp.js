@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../config/oauth');
+
+// A tiny OpenID provider for development and automated flows. It asks for no
+// password: whoever is named in `login_hint` is signed in. Codes and access
+// tokens live in memory.
+const provider = config.providers.mock;
+const codes = new Map();
+const accessTokens = new Map();
+
+const CODE_TTL_MS = 60 * 1000;
+
+const idpError = (error, description, statusCode = 400) => {
+  const err = new Error(description);
+  err.statusCode = statusCode;
+  err.oauthError = error;
+  return err;
+};
+
+// Stable subject per email, like a real provider's user id
+const subjectFor = (email) => `mock-${crypto.createHash('sha256').update(email).digest('hex').slice(0, 16)}`;
+
+/**
+ * Handle the authorization request and return the URL to send the browser
+ * back to. Query: the usual OAuth parameters plus `login_hint` (email),
+ * `name` and `email_verified` to shape the signed-in user.
+ */
+const authorize = (query) => {
+  if (query.client_id !== provider.clientId) {
+    throw idpError('unauthorized_client', 'Unknown client_id');
+  }
+  if (query.response_type !== 'code' || !query.redirect_uri) {
+    throw idpError('invalid_request', 'response_type=code and redirect_uri are required');
+  }
+
+  const email = String(query.login_hint || 'mock.user@example.com').toLowerCase();
+  const code = crypto.randomBytes(16).toString('base64url');
+
+  codes.set(code, {
+    clientId: query.client_id,
+    redirectUri: query.redirect_uri,
+    codeChallenge: query.code_challenge,
+    nonce: query.nonce,
+    user: {
+      sub: subjectFor(email),
+      email,
+      email_verified: query.email_verified !== 'false',
+      name: query.name || email.split('@')[0]
+    },
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const redirect = new URL(query.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (query.state) redirect.searchParams.set('state', query.state);
+
+  return redirect.toString();
+};
+
+// Token endpoint: check the client, redirect URI and PKCE verifier
+const exchangeCode = (body) => {
+  const grant = codes.get(body.code);
+  codes.delete(body.code);
+
+  if (body.client_id !== provider.clientId || body.client_secret !== provider.clientSecret) {
+    throw idpError('invalid_client', 'Client authentication failed', 401);
+  }
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== body.redirect_uri) {
+    throw idpError('invalid_grant', 'Code is invalid or has expired');
+  }
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(String(body.code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      throw idpError('invalid_grant', 'PKCE verification failed');
+    }
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('base64url');
+  accessTokens.set(accessToken, grant.user);
+
+  const idToken = jwt.sign(
+    { ...grant.user, nonce: grant.nonce },
+    provider.clientSecret,
+    { issuer: provider.issuers[0], audience: provider.clientId, expiresIn: '5m' }
+  );
+
+  return { access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken };
+};
+
+const userInfo = (authorization) => {
+  const user = accessTokens.get(String(authorization || '').replace(/^Bearer /, ''));
+  if (!user) {
+    throw idpError('invalid_token', 'Access token is invalid', 401);
+  }
+  return user;
+};
+
+module.exports = {
+  authorize,
+  exchangeCode,
+  userInfo
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const OtpSendLimit = require('../models/OtpSendLimit');
+const { sendSms } = require('./sms');
+const { safeEqual } = require('./payments/utils');
+const { otp } = require('../config/sms');
+
+const otpError = (message, statusCode = 400, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+};
+
+// Phone numbers are stored as bare digits
+const normalizePhone = (phone) => String(phone || '').replace(/[\s().+-]/g, '');
+
+const hashCode = (otpId, code) => {
+  if (!otp.secret) {
+    throw otpError('OTP_SECRET is not configured', 500);
+  }
+  return crypto.createHmac('sha256', otp.secret).update(`${otpId}:${code}`).digest('hex');
+};
+
+const randomCode = () => crypto.randomInt(0, Math.pow(10, otp.length)).toString().padStart(otp.length, '0');
+
+const MESSAGES = {
+  vi: (code) => `Ma xac thuc Cinema Tickets cua ban la ${code}. Ma het han sau ${otp.ttlMinutes} phut. Khong chia se ma nay voi bat ky ai.`,
+  en: (code) => `Your Cinema Tickets code is ${code}. It expires in ${otp.ttlMinutes} minutes. Do not share it with anyone.`
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Count one send against `key`, or throw 429 with `retryAfter` while the last
+ * send is younger than `resendSeconds` or `max` were sent this hour. The
+ * check and the count are one update: when the filter rules the existing
+ * counter out, the upsert collides with it on the unique key instead.
+ */
+const takeSendSlot = async (key, { max, resendSeconds = 0, message }, now) => {
+  const hourAgo = new Date(now.getTime() - HOUR_MS);
+  const newWindow = { $lte: ['$windowStart', hourAgo] };
+
+  try {
+    await OtpSendLimit.findOneAndUpdate(
+      {
+        key,
+        $or: [
+          { windowStart: { $lte: hourAgo } },
+          { count: { $lt: max }, lastSentAt: { $lte: new Date(now.getTime() - resendSeconds * 1000) } }
+        ]
+      },
+      [{
+        $set: {
+          windowStart: { $cond: [newWindow, now, '$windowStart'] },
+          count: { $cond: [newWindow, 1, { $add: ['$count', 1] }] },
+          lastSentAt: now
+        }
+      }],
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    const limit = await OtpSendLimit.findOne({ key });
+    const resendWait = limit.lastSentAt.getTime() + resendSeconds * 1000 - now.getTime();
+    if (resendWait > 0 && limit.count < max) {
+      const wait = Math.ceil(resendWait / 1000);
+      throw otpError(`Please wait ${wait} seconds before requesting another code`, 429, { retryAfter: wait });
+    }
+
+    const wait = Math.max(1, Math.ceil((limit.windowStart.getTime() + HOUR_MS - now.getTime()) / 1000));
+    throw otpError(message, 429, { retryAfter: wait });
+  }
+};
+
+// Per number, plus per account and per IP address so one requester cannot
+// text a long list of numbers
+const checkSendLimits = async ({ phone, userId, ip }, now) => {
+  await takeSendSlot(`phone:${phone}`, {
+    max: otp.maxPerHour,
+    resendSeconds: otp.resendSeconds,
+    message: 'Too many codes requested for this number, please try again later'
+  }, now);
+
+  if (userId) {
+    await takeSendSlot(`user:${userId}`, {
+      max: otp.maxPerUserPerHour,
+      message: 'Too many codes requested from this account, please try again later'
+    }, now);
+  }
+
+  if (ip) {
+    await takeSendSlot(`ip:${ip}`, {
+      max: otp.maxPerIpPerHour,
+      message: 'Too many codes requested, please try again later'
+    }, now);
+  }
+};
+
+/**
+ * Text a new code for `purpose` to `phone`, on behalf of `user`. Earlier
+ * unused codes for the same purpose stop working. Throws 429 with a
+ * `retryAfter` (seconds) when the number is rate limited, or when
+ * `requestedBy` (the account asking, if any) or `ip` used up its quota.
+ */
+const issueOtp = async ({ phone, purpose, user, requestedBy, ip, now = new Date() }) => {
+  const to = normalizePhone(phone);
+  await checkSendLimits({ phone: to, userId: requestedBy && requestedBy._id, ip }, now);
+
+  await OtpCode.updateMany(
+    { phone: to, purpose, consumedAt: null },
+    { $set: { consumedAt: now } }
+  );
+
+  const code = randomCode();
+  const entry = new OtpCode({
+    phone: to,
+    purpose,
+    userId: user._id,
+    expiresAt: new Date(now.getTime() + otp.ttlMinutes * 60 * 1000)
+  });
+  entry.codeHash = hashCode(entry._id, code);
+  await entry.save();
+
+  const message = MESSAGES[user.language] || MESSAGES.en;
+  await sendSms(to, message(code));
+
+  return { phone: to, expiresAt: entry.expiresAt };
+};
+
+/**
+ * Check a code and use it up. Returns the OtpCode on success; wrong,
+ * expired and exhausted codes throw with a message for the user.
+ */
+const verifyOtp = async ({ phone, purpose, code, userId, now = new Date() }) => {
+  const query = { phone: normalizePhone(phone), purpose, consumedAt: null, expiresAt: { $gt: now } };
+  if (userId) query.userId = userId;
+
+  // Count the attempt before comparing so parallel guesses share the budget
+  const entry = await OtpCode.findOneAndUpdate(
+    { ...query, attempts: { $lt: otp.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+
+  if (!entry) {
+    const exhausted = await OtpCode.exists({ ...query, attempts: { $gte: otp.maxAttempts } });
+    throw exhausted
+      ? otpError('Too many wrong codes, please request a new one', 429)
+      : otpError('Code is invalid or has expired, please request a new one');
+  }
+
+  if (!safeEqual(entry.codeHash, hashCode(entry._id, String(code).trim()))) {
+    throw otpError('Incorrect code', 400, { attemptsLeft: otp.maxAttempts - entry.attempts });
+  }
+
+  const consumed = await OtpCode.findOneAndUpdate(
+    { _id: entry._id, consumedAt: null },
+    { $set: { consumedAt: now } },
+    { new: true }
+  );
+
+  if (!consumed) {
+    throw otpError('Code has already been used, please request a new one');
+  }
+
+  return consumed;
+};
+
+module.exports = {
+  normalizePhone,
+  issueOtp,
+  verifyOtp
+};
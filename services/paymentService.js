@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Ticket = require('../models/Ticket');
+const config = require('../config/payments');
+const { getGateway, getGatewayByName, newOrderId } = require('./payments');
+const { queueEmail } = require('./notifications');
+
+/**
+ * Open a checkout at the provider for a pending ticket. An unexpired
+ * checkout for the same method and total is reused so retries don't create
+ * orders; once combos or vouchers change the total, a new one is opened.
+ */
+const createCheckout = async ({ ticket, method, ipAddress, userAgent }) => {
+  const existing = await Payment.findOne({
+    ticketId: ticket._id,
+    method,
+    amount: ticket.totalAmount,
+    status: 'pending',
+    'checkout.expiresAt': { $gt: new Date() }
+  });
+  if (existing) return existing;
+
+  const gateway = getGateway(method);
+
+  // The checkout must not outlive the seats it pays for
+  const expiresAt = new Date(Math.min(
+    Date.now() + config.orderTtlMinutes * 60000,
+    ticket.pendingExpiresAt ? ticket.pendingExpiresAt.getTime() : Infinity
+  ));
+
+  const order = await gateway.createOrder({
+    orderId: newOrderId(),
+    amount: ticket.totalAmount,
+    description: `Cinema ticket ${ticket._id}`,
+    returnUrl: config.returnUrl,
+    notifyUrl: `${config.notifyBaseUrl}/${gateway.name}`,
+    expiresAt,
+    userId: ticket.userId,
+    ipAddress,
+    items: ticket.seats.map(seat => ({ seat: seat.code, type: seat.type, price: seat.price }))
+  });
+
+  return Payment.create({
+    ticketId: ticket._id,
+    userId: ticket.userId,
+    amount: ticket.totalAmount,
+    method,
+    gateway: gateway.name,
+    transactionId: order.orderId,
+    paymentDetails: { provider: gateway.name },
+    checkout: {
+      payUrl: order.payUrl,
+      qrCode: order.qrCode,
+      deeplink: order.deeplink,
+      expiresAt
+    },
+    ipAddress,
+    userAgent
+  });
+};
+
+/**
+ * A payment that settles after its ticket expired or was cancelled buys
+ * nothing: flag it and give the money back. Payments already flagged when
+ * they settled are refunded the same way. A refund the gateway refuses
+ * leaves the flag for staff to follow up.
+ */
+const refundUnfulfilled = async (payment) => {
+  if (!payment.unfulfilled.detectedAt) {
+    const ticket = await Ticket.findById(payment.ticketId).select('status');
+    if (ticket && ['paid', 'checked_in'].includes(ticket.status)) {
+      return payment;
+    }
+
+    const ticketStatus = ticket ? ticket.status : 'missing';
+    payment.unfulfilled = { detectedAt: new Date(), ticketStatus, reason: `Ticket was ${ticketStatus} when the payment arrived` };
+    await payment.save();
+  }
+
+  try {
+    return await Payment.processRefund(payment._id, undefined, payment.unfulfilled.reason);
+  } catch (err) {
+    console.error(`Could not refund unfulfilled payment ${payment._id}: ${err.message}`);
+    return payment;
+  }
+};
+
+/**
+ * Record a provider's verdict on a pending payment. Settled payments are
+ * never overwritten, and a success for the wrong amount is treated as failed.
+ * A success for a checkout whose ticket total has since changed does not pay
+ * the ticket and is refunded. Saving drives the Payment pre-save hook that
+ * updates the ticket.
+ */
+const applyGatewayResult = async (payment, result, session = null) => {
+  if (payment.status !== 'pending' || result.status === 'pending') {
+    return payment;
+  }
+
+  const amountMatches = result.amount === undefined || Number(result.amount) === payment.amount;
+
+  payment.status = result.status === 'success' && amountMatches ? 'success' : 'failed';
+  payment.providerTransactionId = result.providerTransactionId || payment.providerTransactionId;
+  payment.paymentDetails.transactionTime = new Date();
+  payment.paymentDetails.responseCode = result.responseCode;
+  payment.paymentDetails.responseMessage = amountMatches
+    ? result.responseMessage
+    : `Amount mismatch: expected ${payment.amount}, provider reported ${result.amount}`;
+
+  if (payment.status === 'success') {
+    payment.paidAt = new Date();
+
+    const ticket = await Ticket.findById(payment.ticketId).select('status totalAmount').session(session);
+    if (ticket && ticket.totalAmount !== payment.amount) {
+      payment.unfulfilled = {
+        detectedAt: payment.paidAt,
+        ticketStatus: ticket.status,
+        reason: `Paid ${payment.amount} but the ticket now costs ${ticket.totalAmount}`
+      };
+    }
+  }
+
+  await payment.save({ session });
+
+  if (payment.status === 'success') {
+    return refundUnfulfilled(payment);
+  }
+
+  if (payment.status === 'failed') {
+    queueEmail({
+      template: 'payment_failed',
+      user: payment.userId,
+      data: { paymentId: payment._id },
+      dedupeKey: `payment_failed:${payment._id}`
+    });
+  }
+
+  return payment;
+};
+
+// Ask the provider where a pending payment stands and record the answer
+const syncPaymentStatus = async (payment) => {
+  if (payment.status !== 'pending' || !payment.gateway) {
+    return payment;
+  }
+
+  const result = await getGatewayByName(payment.gateway).queryStatus(payment.transactionId);
+  return applyGatewayResult(payment, result);
+};
+
+/**
+ * Handle an IPN/webhook from a provider. Notifications are idempotent on the
+ * payment's transactionId: repeats for a settled payment change nothing.
+ *
+ * Returns `{ outcome, payment, duplicate }` where `outcome` is what to
+ * acknowledge to the provider (see the gateway `acknowledge` method).
+ */
+const handleNotification = async (gatewayName, payload) => {
+  const gateway = getGatewayByName(gatewayName);
+
+  if (!gateway.verifySignature(payload)) {
+    return { outcome: 'invalid' };
+  }
+
+  const notification = gateway.parseNotification(payload);
+  const payment = await Payment.findOne({ transactionId: notification.orderId, gateway: gateway.name });
+
+  // Nothing we can settle; acknowledge so the provider stops retrying
+  if (!payment) {
+    console.warn(`Ignoring ${gateway.name} notification for unknown order ${notification.orderId}`);
+    return { outcome: 'ok', payment: null };
+  }
+
+  if (payment.status !== 'pending') {
+    return { outcome: 'ok', payment, duplicate: true };
+  }
+
+  let settled;
+  try {
+    payment.paymentDetails.notifiedAt = new Date();
+    settled = await applyGatewayResult(payment, notification);
+  } catch (err) {
+    // Another delivery of the same notification settled it first
+    if (err instanceof mongoose.Error.VersionError) {
+      return { outcome: 'ok', payment: await Payment.findById(payment._id), duplicate: true };
+    }
+    throw err;
+  }
+
+  return { outcome: 'ok', payment: settled, duplicate: false };
+};
+
+module.exports = {
+  createCheckout,
+  applyGatewayResult,
+  syncPaymentStatus,
+  handleNotification
+};
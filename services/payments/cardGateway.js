@@ -0,0 +1,159 @@
+const config = require('../../config/payments');
+const { gatewayError, hmacSha256, safeEqual, requireSettings, postForm } = require('./utils');
+
+const settings = config.card;
+
+// Card data never touches our API: customers pay on the acquirer's hosted
+// page and come back with signed `vpc_` parameters.
+const secureHash = (params) => {
+  const raw = Object.keys(params)
+    .filter(key => (key.startsWith('vpc_') || key.startsWith('user_')) && key !== 'vpc_SecureHash' && key !== 'vpc_SecureHashType')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+
+  return hmacSha256(Buffer.from(settings.hashKey, 'hex'), raw).toUpperCase();
+};
+
+// Amounts are sent in minor units (x100)
+const toMinorUnits = amount => Math.round(amount * 100);
+
+const parseQueryString = text => Object.fromEntries(new URLSearchParams(text));
+
+const credentials = () => {
+  requireSettings('Card', settings, ['merchantId', 'accessCode', 'hashKey']);
+  return {
+    vpc_Version: '2',
+    vpc_Merchant: settings.merchantId,
+    vpc_AccessCode: settings.accessCode
+  };
+};
+
+const signedRequest = (path, fields) => {
+  requireSettings('Card', settings, ['queryUser', 'queryPassword']);
+
+  const params = {
+    ...credentials(),
+    vpc_User: settings.queryUser,
+    vpc_Password: settings.queryPassword,
+    ...fields
+  };
+  params.vpc_SecureHash = secureHash(params);
+
+  return postForm(`${settings.endpoint}${path}`, params, parseQueryString);
+};
+
+const createOrder = async ({ orderId, amount, description, returnUrl, ipAddress }) => {
+  const params = {
+    ...credentials(),
+    vpc_Command: 'pay',
+    vpc_Currency: 'VND',
+    vpc_Locale: 'vn',
+    vpc_MerchTxnRef: orderId,
+    vpc_OrderInfo: orderId.slice(0, 32),
+    vpc_Amount: toMinorUnits(amount),
+    vpc_ReturnURL: returnUrl,
+    vpc_TicketNo: ipAddress || '127.0.0.1',
+    AgainLink: returnUrl,
+    Title: description
+  };
+  params.vpc_SecureHash = secureHash(params);
+
+  return {
+    orderId,
+    payUrl: `${settings.endpoint}/paygate/vpcpay.op?${new URLSearchParams(params).toString()}`,
+    qrCode: null,
+    deeplink: null,
+    raw: {}
+  };
+};
+
+const verifySignature = (payload) =>
+  Boolean(settings.hashKey) && safeEqual(secureHash(payload), payload.vpc_SecureHash);
+
+const parseNotification = (payload) => ({
+  orderId: payload.vpc_MerchTxnRef,
+  providerTransactionId: payload.vpc_TransactionNo,
+  amount: Number(payload.vpc_Amount) / 100,
+  status: payload.vpc_TxnResponseCode === '0' ? 'success' : 'failed',
+  responseCode: payload.vpc_TxnResponseCode,
+  responseMessage: payload.vpc_Message
+});
+
+// The acquirer reads a plain text confirmation back
+const acknowledge = (outcome) => ({
+  status: 200,
+  body: outcome === 'ok' ? 'responsecode=1&desc=confirm-success' : 'responsecode=0&desc=confirm-fail'
+});
+
+const queryStatus = async (orderId) => {
+  const response = await signedRequest('/msp/api/v1/vpc/invoices/queries', {
+    vpc_Command: 'queryDR',
+    vpc_MerchTxnRef: orderId
+  });
+
+  let status = 'pending';
+  if (response.vpc_DRExists === 'Y') {
+    status = response.vpc_TxnResponseCode === '0' ? 'success' : 'failed';
+  }
+
+  return {
+    status,
+    providerTransactionId: response.vpc_TransactionNo,
+    amount: response.vpc_Amount ? Number(response.vpc_Amount) / 100 : undefined,
+    responseCode: response.vpc_TxnResponseCode,
+    responseMessage: response.vpc_Message,
+    raw: response
+  };
+};
+
+// Refunds are looked up like payments, by their own merchant reference
+const queryRefund = async ({ refundId }) => {
+  const response = await signedRequest('/msp/api/v1/vpc/invoices/queries', {
+    vpc_Command: 'queryDR',
+    vpc_MerchTxnRef: refundId
+  });
+
+  return {
+    status: response.vpc_DRExists === 'Y' && response.vpc_TxnResponseCode === '0' ? 'success' : 'failed',
+    refundId,
+    providerRefundId: response.vpc_TransactionNo,
+    responseCode: response.vpc_TxnResponseCode,
+    responseMessage: response.vpc_Message,
+    raw: response
+  };
+};
+
+const refund = async ({ orderId, amount, refundId }) => {
+  const response = await signedRequest('/msp/api/v1/vpc/refunds', {
+    vpc_Command: 'refund',
+    vpc_MerchTxnRef: refundId,
+    vpc_OrgMerchTxnRef: orderId,
+    vpc_Amount: toMinorUnits(amount),
+    vpc_Operator: settings.queryUser
+  });
+
+  if (!response.vpc_TxnResponseCode) {
+    throw gatewayError('Card gateway returned an empty refund response');
+  }
+
+  return {
+    status: response.vpc_TxnResponseCode === '0' ? 'success' : 'failed',
+    refundId,
+    providerRefundId: response.vpc_TransactionNo,
+    responseCode: response.vpc_TxnResponseCode,
+    responseMessage: response.vpc_Message,
+    raw: response
+  };
+};
+
+module.exports = {
+  name: 'card',
+  createOrder,
+  verifySignature,
+  parseNotification,
+  acknowledge,
+  queryStatus,
+  refund,
+  queryRefund
+};
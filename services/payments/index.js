@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const config = require('../../config/payments');
+const { gatewayError } = require('./utils');
+
+/**
+ * Every gateway adapter exposes the same interface:
+ *
+ * - `name`
+ * - `createOrder({ orderId, amount, description, returnUrl, notifyUrl, userId, ipAddress, items })`
+ *   -> `{ orderId, payUrl, qrCode, deeplink, raw }`. The returned `orderId`
+ *   is the reference the provider knows the order by and may differ from the
+ *   one passed in.
+ * - `verifySignature(payload)` -> boolean, for redirects and IPN callbacks
+ * - `parseNotification(payload)` -> `{ orderId, providerTransactionId, amount, status, responseCode, responseMessage }`
+ *   for a payload that passed `verifySignature`
+ * - `acknowledge(outcome)` -> `{ status, body }`, the HTTP reply the provider
+ *   expects for an IPN that was handled (`ok`), rejected (`invalid`) or
+ *   should be sent again (`retry`)
+ * - `queryStatus(orderId)` -> `{ status, providerTransactionId, amount, responseCode, responseMessage, raw }`
+ * - `refund({ orderId, providerTransactionId, amount, reason, refundId })`
+ *   -> `{ status, refundId, providerRefundId, responseCode, responseMessage, raw }`
+ * - `queryRefund({ refundId, requestedAt })` -> the same shape as `refund`,
+ *   for a refund sent earlier; one the provider never received is `failed`
+ *
+ * Statuses are normalised to Payment statuses: pending, success or failed.
+ */
+const gateways = {
+  momo: require('./momoGateway'),
+  zalopay: require('./zaloPayGateway'),
+  card: require('./cardGateway'),
+  mock: require('./mockGateway')
+};
+
+// Gateway for a payment method; cash is settled at the counter
+const getGateway = (method) => {
+  if (method === 'cash') {
+    throw gatewayError('Cash payments are taken at the cinema counter', 400);
+  }
+
+  const gateway = config.mode === 'mock' ? gateways.mock : gateways[method];
+  if (!gateway) {
+    throw gatewayError(`Unsupported payment method: ${method}`, 400);
+  }
+
+  return gateway;
+};
+
+// Gateway a stored payment was created with, regardless of the current mode
+const getGatewayByName = (name) => {
+  const gateway = gateways[name];
+  if (!gateway) {
+    throw gatewayError(`Unknown payment gateway: ${name}`, 500);
+  }
+
+  return gateway;
+};
+
+// Order reference sent to providers; alphanumeric so every provider accepts it
+const newOrderId = () => `PAY${Date.now()}${crypto.randomInt(1000, 10000)}`;
+
+const newRefundId = () => `REF${Date.now()}${crypto.randomInt(1000, 10000)}`;
+
+module.exports = {
+  getGateway,
+  getGatewayByName,
+  newOrderId,
+  newRefundId
+};
@@ -0,0 +1,118 @@
+const config = require('../../config/payments');
+const { gatewayError, hmacSha256, safeEqual } = require('./utils');
+
+// Orders live in memory: restarting the API forgets them, which is fine for
+// local development and automated flows.
+const orders = new Map();
+const refunds = new Map();
+
+const SIGNED_FIELDS = ['amount', 'orderId', 'status', 'transId'];
+
+const sign = fields =>
+  hmacSha256(config.mock.secretKey, SIGNED_FIELDS.map(key => `${key}=${fields[key] ?? ''}`).join('&'));
+
+const createOrder = async ({ orderId, amount }) => {
+  orders.set(orderId, { orderId, amount, status: 'pending', createdAt: new Date() });
+
+  return {
+    orderId,
+    payUrl: `${config.apiBaseUrl}/api/v1/payments/mock/${orderId}`,
+    qrCode: `MOCKPAY|${orderId}|${amount}`,
+    deeplink: null,
+    raw: {}
+  };
+};
+
+const verifySignature = (payload) =>
+  safeEqual(sign(payload), payload.signature);
+
+const parseNotification = (payload) => ({
+  orderId: payload.orderId,
+  providerTransactionId: payload.transId,
+  amount: Number(payload.amount),
+  status: payload.status,
+  responseCode: '0',
+  responseMessage: `Mock order ${payload.status}`
+});
+
+const acknowledge = (outcome) => {
+  if (outcome === 'ok') return { status: 200, body: { success: true } };
+  return { status: outcome === 'invalid' ? 400 : 500, body: { success: false } };
+};
+
+/**
+ * Play the customer: settle an order as `success` or `failed` and return the
+ * signed notification the provider would send.
+ */
+const completeOrder = (orderId, status = 'success') => {
+  const order = orders.get(orderId);
+  if (!order) {
+    throw gatewayError('Mock order not found', 404);
+  }
+
+  if (order.status === 'pending') {
+    order.status = status;
+    order.transId = `MOCK${Date.now()}`;
+  }
+
+  const notification = {
+    orderId,
+    transId: order.transId,
+    amount: order.amount,
+    status: order.status
+  };
+
+  return { ...notification, signature: sign(notification) };
+};
+
+const queryStatus = async (orderId) => {
+  const order = orders.get(orderId);
+
+  return {
+    status: order ? order.status : 'pending',
+    providerTransactionId: order ? order.transId : undefined,
+    amount: order ? order.amount : undefined,
+    responseCode: order ? '0' : '404',
+    responseMessage: order ? `Mock order ${order.status}` : 'Mock order not found',
+    raw: order || {}
+  };
+};
+
+const refund = async ({ orderId, amount, refundId }) => {
+  const order = orders.get(orderId);
+  if (order) {
+    order.refunded = (order.refunded || 0) + amount;
+  }
+
+  const result = {
+    status: 'success',
+    refundId,
+    providerRefundId: `MOCKREF${Date.now()}`,
+    responseCode: '0',
+    responseMessage: 'Mock refund accepted',
+    raw: {}
+  };
+  refunds.set(refundId, result);
+
+  return result;
+};
+
+const queryRefund = async ({ refundId }) => refunds.get(refundId) || {
+  status: 'failed',
+  refundId,
+  responseCode: '404',
+  responseMessage: 'Mock refund not found',
+  raw: {}
+};
+
+module.exports = {
+  name: 'mock',
+  createOrder,
+  verifySignature,
+  parseNotification,
+  acknowledge,
+  completeOrder,
+  queryStatus,
+  refund,
+  queryRefund
+};
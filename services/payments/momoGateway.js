@@ -0,0 +1,138 @@
+const config = require('../../config/payments');
+const { gatewayError, hmacSha256, safeEqual, requireSettings, postJson, secondsUntil } = require('./utils');
+
+const settings = config.momo;
+
+// Fields signed by MoMo for each message, in the order MoMo expects
+const SIGNED_FIELDS = {
+  create: ['accessKey', 'amount', 'extraData', 'ipnUrl', 'orderId', 'orderInfo', 'partnerCode', 'redirectUrl', 'requestId', 'requestType'],
+  notify: ['accessKey', 'amount', 'extraData', 'message', 'orderId', 'orderInfo', 'orderType', 'partnerCode', 'payType', 'requestId', 'responseTime', 'resultCode', 'transId'],
+  query: ['accessKey', 'orderId', 'partnerCode', 'requestId'],
+  refund: ['accessKey', 'amount', 'description', 'orderId', 'partnerCode', 'requestId', 'transId']
+};
+
+// MoMo result codes that mean the customer has not finished paying yet
+const PENDING_CODES = [1000, 7000, 7002, 9000];
+
+const sign = (message, fields) => {
+  const values = { ...fields, accessKey: settings.accessKey };
+  const raw = SIGNED_FIELDS[message].map(key => `${key}=${values[key] ?? ''}`).join('&');
+  return hmacSha256(settings.secretKey, raw);
+};
+
+const toStatus = (resultCode) => {
+  if (resultCode === 0) return 'success';
+  if (PENDING_CODES.includes(resultCode)) return 'pending';
+  return 'failed';
+};
+
+const request = async (path, fields, message) => {
+  requireSettings('MoMo', settings, ['partnerCode', 'accessKey', 'secretKey']);
+
+  const body = {
+    partnerCode: settings.partnerCode,
+    lang: 'vi',
+    ...fields
+  };
+  body.signature = sign(message, body);
+
+  return postJson(`${settings.endpoint}${path}`, body);
+};
+
+const createOrder = async ({ orderId, amount, description, returnUrl, notifyUrl, expiresAt, extraData = '' }) => {
+  const response = await request('/v2/gateway/api/create', {
+    requestId: orderId,
+    orderId,
+    amount,
+    orderInfo: description,
+    redirectUrl: returnUrl,
+    ipnUrl: notifyUrl,
+    requestType: 'captureWallet',
+    extraData,
+    // In minutes
+    orderExpireTime: Math.max(1, Math.floor(secondsUntil(expiresAt) / 60))
+  }, 'create');
+
+  if (response.resultCode !== 0) {
+    throw gatewayError(`MoMo rejected the order: ${response.message}`, 502, { responseCode: String(response.resultCode) });
+  }
+
+  return {
+    orderId,
+    payUrl: response.payUrl,
+    qrCode: response.qrCodeUrl,
+    deeplink: response.deeplink,
+    raw: response
+  };
+};
+
+const verifySignature = (payload) =>
+  Boolean(settings.secretKey) && safeEqual(sign('notify', payload), payload.signature);
+
+const parseNotification = (payload) => ({
+  orderId: payload.orderId,
+  providerTransactionId: payload.transId ? String(payload.transId) : undefined,
+  amount: Number(payload.amount),
+  status: toStatus(Number(payload.resultCode)),
+  responseCode: String(payload.resultCode),
+  responseMessage: payload.message
+});
+
+// MoMo expects 204 No Content once an IPN has been handled
+const acknowledge = (outcome) => {
+  if (outcome === 'ok') return { status: 204 };
+  if (outcome === 'invalid') return { status: 400, body: { message: 'Invalid signature' } };
+  return { status: 500, body: { message: 'Please retry' } };
+};
+
+const queryStatus = async (orderId) => {
+  const response = await request('/v2/gateway/api/query', {
+    requestId: `${orderId}-Q${Date.now()}`,
+    orderId
+  }, 'query');
+
+  return {
+    status: toStatus(response.resultCode),
+    providerTransactionId: response.transId ? String(response.transId) : undefined,
+    amount: response.amount,
+    responseCode: String(response.resultCode),
+    responseMessage: response.message,
+    raw: response
+  };
+};
+
+// Refunds are orders of their own at MoMo; an unknown one comes back failed
+const queryRefund = async ({ refundId }) => {
+  const { providerTransactionId, ...result } = await queryStatus(refundId);
+  return { ...result, refundId, providerRefundId: providerTransactionId };
+};
+
+const refund = async ({ providerTransactionId, amount, reason, refundId }) => {
+  const response = await request('/v2/gateway/api/refund', {
+    requestId: refundId,
+    orderId: refundId,
+    amount,
+    transId: providerTransactionId,
+    description: reason || ''
+  }, 'refund');
+
+  return {
+    status: response.resultCode === 0 ? 'success' : 'failed',
+    refundId,
+    providerRefundId: response.transId ? String(response.transId) : undefined,
+    responseCode: String(response.resultCode),
+    responseMessage: response.message,
+    raw: response
+  };
+};
+
+module.exports = {
+  name: 'momo',
+  createOrder,
+  verifySignature,
+  parseNotification,
+  acknowledge,
+  queryStatus,
+  refund,
+  queryRefund
+};
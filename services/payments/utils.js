@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const config = require('../../config/payments');
+
+const gatewayError = (message, statusCode = 502, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+};
+
+const hmacSha256 = (key, data, encoding = 'hex') =>
+  crypto.createHmac('sha256', key).update(data).digest(encoding);
+
+// Constant-time comparison for signatures received from providers
+const safeEqual = (expected, received) => {
+  if (typeof expected !== 'string' || typeof received !== 'string') return false;
+
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Fail fast when a live gateway is used without its credentials
+const requireSettings = (name, settings, keys) => {
+  const missing = keys.filter(key => !settings[key]);
+  if (missing.length > 0) {
+    throw gatewayError(`${name} gateway is not configured (missing ${missing.join(', ')})`, 503);
+  }
+};
+
+// POST to a provider and return the raw response text
+const post = async (url, body, contentType) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body,
+      signal: AbortSignal.timeout(config.requestTimeoutMs)
+    });
+  } catch (err) {
+    throw gatewayError(`Payment provider unreachable: ${err.message}`);
+  }
+
+  return { status: response.status, text: await response.text() };
+};
+
+const postJson = async (url, body) => {
+  const { status, text } = await post(url, JSON.stringify(body), 'application/json');
+
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw gatewayError(`Unexpected response from payment provider (HTTP ${status})`);
+  }
+};
+
+// Form-encoded request; `parse` turns the response text into an object
+const postForm = async (url, fields, parse = JSON.parse) => {
+  const { status, text } = await post(url, new URLSearchParams(fields).toString(), 'application/x-www-form-urlencoded');
+
+  try {
+    return parse(text);
+  } catch (err) {
+    throw gatewayError(`Unexpected response from payment provider (HTTP ${status})`);
+  }
+};
+
+// Whole seconds left until `expiresAt`, at least one
+const secondsUntil = (expiresAt) => Math.max(1, Math.floor((new Date(expiresAt) - Date.now()) / 1000));
+
+module.exports = {
+  gatewayError,
+  hmacSha256,
+  safeEqual,
+  requireSettings,
+  postJson,
+  postForm,
+  secondsUntil
+};
@@ -0,0 +1,159 @@
+const config = require('../../config/payments');
+const { gatewayError, hmacSha256, safeEqual, requireSettings, postForm, secondsUntil } = require('./utils');
+
+const settings = config.zalopay;
+
+// ZaloPay return codes: 1 = success, 2 = failed, 3 = still processing
+const toStatus = (returnCode) => {
+  if (returnCode === 1) return 'success';
+  if (returnCode === 3) return 'pending';
+  return 'failed';
+};
+
+// ZaloPay ids start with the transaction date in Vietnam time (yymmdd)
+const vnDatePrefix = (at = new Date()) => {
+  const vnNow = new Date(at.getTime() + 7 * 60 * 60 * 1000);
+  return vnNow.toISOString().slice(2, 10).replace(/-/g, '');
+};
+
+const request = (path, fields) => {
+  requireSettings('ZaloPay', settings, ['appId', 'key1', 'key2']);
+  return postForm(`${settings.endpoint}${path}`, fields);
+};
+
+const createOrder = async ({ orderId, amount, description, returnUrl, notifyUrl, expiresAt, userId, items = [] }) => {
+  const fields = {
+    app_id: settings.appId,
+    app_trans_id: `${vnDatePrefix()}_${orderId}`,
+    app_user: userId ? String(userId) : 'guest',
+    app_time: Date.now(),
+    amount,
+    item: JSON.stringify(items),
+    embed_data: JSON.stringify({ redirecturl: returnUrl }),
+    description,
+    bank_code: '',
+    callback_url: notifyUrl,
+    expire_duration_seconds: secondsUntil(expiresAt)
+  };
+
+  fields.mac = hmacSha256(
+    settings.key1,
+    [fields.app_id, fields.app_trans_id, fields.app_user, fields.amount, fields.app_time, fields.embed_data, fields.item].join('|')
+  );
+
+  const response = await request('/v2/create', fields);
+
+  if (response.return_code !== 1) {
+    throw gatewayError(`ZaloPay rejected the order: ${response.return_message}`, 502, {
+      responseCode: String(response.sub_return_code || response.return_code)
+    });
+  }
+
+  return {
+    orderId: fields.app_trans_id,
+    payUrl: response.order_url,
+    qrCode: response.qr_code,
+    deeplink: response.order_url,
+    raw: response
+  };
+};
+
+// Callbacks carry `data` (a JSON string) signed with key2
+const verifySignature = (payload) =>
+  Boolean(settings.key2) && typeof payload.data === 'string' && safeEqual(hmacSha256(settings.key2, payload.data), payload.mac);
+
+// ZaloPay only calls back for successful payments
+const parseNotification = (payload) => {
+  const data = JSON.parse(payload.data);
+
+  return {
+    orderId: data.app_trans_id,
+    providerTransactionId: data.zp_trans_id ? String(data.zp_trans_id) : undefined,
+    amount: Number(data.amount),
+    status: 'success',
+    responseCode: '1',
+    responseMessage: 'Paid via ZaloPay callback'
+  };
+};
+
+// return_code 0 makes ZaloPay retry the callback (up to 3 times)
+const acknowledge = (outcome) => {
+  if (outcome === 'ok') return { status: 200, body: { return_code: 1, return_message: 'success' } };
+  if (outcome === 'invalid') return { status: 200, body: { return_code: -1, return_message: 'mac not equal' } };
+  return { status: 200, body: { return_code: 0, return_message: 'retry' } };
+};
+
+const queryStatus = async (orderId) => {
+  const response = await request('/v2/query', {
+    app_id: settings.appId,
+    app_trans_id: orderId,
+    mac: hmacSha256(settings.key1, [settings.appId, orderId, settings.key1].join('|'))
+  });
+
+  return {
+    status: toStatus(response.return_code),
+    providerTransactionId: response.zp_trans_id ? String(response.zp_trans_id) : undefined,
+    amount: response.amount,
+    responseCode: String(response.sub_return_code || response.return_code),
+    responseMessage: response.return_message,
+    raw: response
+  };
+};
+
+const refundReference = (refundId, requestedAt) => `${vnDatePrefix(requestedAt)}_${settings.appId}_${refundId}`;
+
+const refund = async ({ providerTransactionId, amount, reason, refundId }) => {
+  const timestamp = Date.now();
+  const description = reason || 'Refund';
+  const mRefundId = refundReference(refundId);
+
+  const response = await request('/v2/refund', {
+    m_refund_id: mRefundId,
+    app_id: settings.appId,
+    zp_trans_id: providerTransactionId,
+    amount,
+    timestamp,
+    description,
+    mac: hmacSha256(settings.key1, [settings.appId, providerTransactionId, amount, description, timestamp].join('|'))
+  });
+
+  return {
+    status: toStatus(response.return_code),
+    refundId: mRefundId,
+    providerRefundId: response.refund_id ? String(response.refund_id) : undefined,
+    responseCode: String(response.sub_return_code || response.return_code),
+    responseMessage: response.return_message,
+    raw: response
+  };
+};
+
+const queryRefund = async ({ refundId, requestedAt }) => {
+  const mRefundId = refundReference(refundId, requestedAt);
+  const timestamp = Date.now();
+
+  const response = await request('/v2/query_refund', {
+    app_id: settings.appId,
+    m_refund_id: mRefundId,
+    timestamp,
+    mac: hmacSha256(settings.key1, [settings.appId, mRefundId, timestamp].join('|'))
+  });
+
+  return {
+    status: toStatus(response.return_code),
+    refundId: mRefundId,
+    responseCode: String(response.sub_return_code || response.return_code),
+    responseMessage: response.return_message,
+    raw: response
+  };
+};
+
+module.exports = {
+  name: 'zalopay',
+  createOrder,
+  verifySignature,
+  parseNotification,
+  acknowledge,
+  queryStatus,
+  refund,
+  queryRefund
+};
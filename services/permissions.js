@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Cinema = require('../models/Cinema');
+const Room = require('../models/Room');
+const Schedule = require('../models/Schedule');
+const Ticket = require('../models/Ticket');
+const Payment = require('../models/Payment');
+const SeatHold = require('../models/SeatHold');
+const { ROLES } = require('../config/permissions');
+
+const grants = (assignment, permission) =>
+  Boolean(ROLES[assignment.role]) && ROLES[assignment.role].permissions.includes(permission);
+
+/**
+ * Whether `user` holds `permission` at `cinemaId`. Without a cinema only
+ * chain-wide assignments count. Admins hold every permission.
+ */
+const userCan = (user, permission, cinemaId) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  return (user.roleAssignments || []).some(assignment => grants(assignment, permission) &&
+    (!assignment.cinemaId || (cinemaId && String(assignment.cinemaId) === String(cinemaId))));
+};
+
+// Whether `user` holds `permission` at one cinema at least
+const userCanAnywhere = (user, permission) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  return (user.roleAssignments || []).some(assignment => grants(assignment, permission));
+};
+
+/**
+ * Whether `user` may hand out `role` at `cinemaId` (chain-wide without one):
+ * it takes role:manage there, and nobody can grant a permission they lack.
+ */
+const canAssignRole = (user, role, cinemaId) => Boolean(ROLES[role]) &&
+  userCan(user, 'role:manage', cinemaId) &&
+  ROLES[role].permissions.every(permission => userCan(user, permission, cinemaId));
+
+const permissionError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Throw 403/404 unless `actor` may give every `{ role, cinemaId }` in `roles`
+const checkRoleAssignments = async (actor, roles) => {
+  for (const { role, cinemaId } of roles) {
+    if (!canAssignRole(actor, role, cinemaId)) {
+      throw permissionError(cinemaId
+        ? `Not authorized to assign ${role} at this cinema`
+        : `Not authorized to assign ${role} for every cinema`, 403);
+    }
+    if (cinemaId && !(await Cinema.exists({ _id: cinemaId }))) {
+      throw permissionError('Cinema not found', 404);
+    }
+  }
+};
+
+// Cinemas where `user` holds `permission`, or null when it is held chain-wide
+const permittedCinemas = (user, permission) => {
+  if (userCan(user, permission)) return null;
+
+  return (user.roleAssignments || [])
+    .filter(assignment => grants(assignment, permission))
+    .map(assignment => assignment.cinemaId);
+};
+
+const findCinemaId = async (Model, id, path) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const doc = await Model.findById(id).select(path);
+  return doc ? doc[path] : null;
+};
+
+// The cinema a resource belongs to, or null when it does not exist
+const cinemaOf = {
+  cinema: async (id) => (mongoose.isValidObjectId(id) ? id : null),
+  room: (id) => findCinemaId(Room, id, 'cinemaId'),
+  schedule: (id) => findCinemaId(Schedule, id, 'cinemaId'),
+  ticket: async (id) => cinemaOf.schedule(await findCinemaId(Ticket, id, 'scheduleId')),
+  payment: async (id) => cinemaOf.ticket(await findCinemaId(Payment, id, 'ticketId')),
+  seatHold: async (id) => cinemaOf.schedule(await findCinemaId(SeatHold, id, 'scheduleId'))
+};
+
+/**
+ * A resource for the `can` middleware: `getId(req)` picks the id of a `kind`
+ * of resource out of the request. Leaving the id out skips the check, for
+ * optional body fields.
+ */
+const resource = (kind, getId) => async (req) => {
+  const id = getId(req);
+  if (id === undefined || id === null || id === '') return undefined;
+  return cinemaOf[kind](id);
+};
+
+// Accept the permission at any cinema; the handler narrows it down itself
+const anyCinema = async () => null;
+
+// Stands for the whole chain in `cinemaScope`
+const ALL_CINEMAS = 'all';
+
+/**
+ * Like `resource('cinema', getId)` for reports: leaving the id out asks for
+ * every cinema, so the permission must then be held chain-wide.
+ */
+const cinemaScope = (getId) => async (req) => {
+  const id = getId(req);
+  if (id === undefined || id === null || id === '') return ALL_CINEMAS;
+  return cinemaOf.cinema(id);
+};
+
+module.exports = {
+  userCan,
+  userCanAnywhere,
+  permittedCinemas,
+  canAssignRole,
+  checkRoleAssignments,
+  cinemaOf,
+  resource,
+  anyCinema,
+  cinemaScope,
+  ALL_CINEMAS
+};
@@ -0,0 +1,111 @@
+const defaultRules = require('../config/pricing');
+const { DEFAULT_TICKET_TYPE } = require('../config/ticketTypes');
+
+// "HH:mm" to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const roundTo = (amount, step) => (step ? Math.round(amount / step) * step : Math.round(amount));
+
+/**
+ * Price one seat for a showtime and explain how the price was reached.
+ *
+ * Returns `{ price, breakdown: { basePrice, adjustments: [{ rule, label, amount }] } }`.
+ * Adjustments are applied in this order: day of week, time of day, screen
+ * type, early bird, occupancy, ticket type. `ticketType` is one of the
+ * cinema's ticket type settings (see Cinema#getTicketTypes).
+ */
+const priceSeat = ({ schedule, room, seatType, ticketType, occupancyRate = 0, bookedAt = new Date(), rules = defaultRules }) => {
+  const basePrice = schedule.getSeatPrice(seatType);
+  const adjustments = [];
+
+  const percentOfBase = percent => Math.round(basePrice * percent / 100);
+
+  const startTime = new Date(schedule.startTime);
+  const day = startTime.getDay();
+  const minutes = startTime.getHours() * 60 + startTime.getMinutes();
+
+  rules.dayOfWeek
+    .filter(rule => rule.days.includes(day))
+    .forEach(rule => adjustments.push({ rule: rule.name, label: rule.label, amount: percentOfBase(rule.percent) }));
+
+  rules.timeOfDay
+    .filter(rule => minutes >= toMinutes(rule.from) && minutes < toMinutes(rule.to))
+    .forEach(rule => adjustments.push({ rule: rule.name, label: rule.label, amount: percentOfBase(rule.percent) }));
+
+  const screenRule = room && rules.screenType[room.screenType];
+  if (screenRule) {
+    adjustments.push({ rule: `screen-${room.screenType}`, label: screenRule.label, amount: screenRule.fixed });
+  }
+
+  const { earlyBirdDiscount, earlyBirdEndTime } = schedule.priceTable;
+  if (earlyBirdDiscount && earlyBirdEndTime && bookedAt < new Date(earlyBirdEndTime)) {
+    adjustments.push({ rule: 'early-bird', label: 'Early bird', amount: -percentOfBase(earlyBirdDiscount) });
+  }
+
+  const occupancyRule = [...rules.occupancy]
+    .sort((a, b) => b.threshold - a.threshold)
+    .find(rule => occupancyRate >= rule.threshold);
+  if (occupancyRule) {
+    adjustments.push({ rule: 'occupancy', label: occupancyRule.label, amount: percentOfBase(occupancyRule.percent) });
+  }
+
+  if (ticketType) {
+    const amount = percentOfBase(ticketType.percent || 0) + (ticketType.fixed || 0);
+    if (amount !== 0) {
+      adjustments.push({ rule: `ticket-${ticketType.code}`, label: ticketType.label, amount });
+    }
+  }
+
+  const total = adjustments.reduce((sum, adjustment) => sum + adjustment.amount, basePrice);
+
+  return {
+    price: Math.max(0, roundTo(total, rules.roundTo)),
+    breakdown: { basePrice, adjustments }
+  };
+};
+
+// Current price of every seat type in a room for a showtime, and of every
+// ticket type on sale for each of those seats
+const quoteSchedule = ({ schedule, room, ticketTypes = [], occupancyRate = 0, bookedAt = new Date(), rules = defaultRules }) => {
+  const types = [...new Set(room.seats.map(seat => seat.type))];
+
+  return types.map(seatType => ({
+    seatType,
+    ...priceSeat({ schedule, room, seatType, occupancyRate, bookedAt, rules }),
+    ticketTypes: ticketTypes.map(ticketType => ({
+      ticketType: ticketType.code,
+      label: ticketType.label,
+      price: priceSeat({ schedule, room, seatType, ticketType, occupancyRate, bookedAt, rules }).price
+    }))
+  }));
+};
+
+/**
+ * Match the ticket type requested for each seat (`{ A1: 'student' }`) against
+ * the types on sale. Seats without a request are sold as adult tickets.
+ *
+ * Returns `{ bySeat, unknown }`: a Map from seat code to ticket type setting,
+ * and a list of "<seat>: <type>" requests that cannot be honoured.
+ */
+const resolveTicketTypes = (ticketTypes, seatCodes, requested = {}) => {
+  const bySeat = new Map();
+  const unknown = [];
+
+  seatCodes.forEach(seatCode => {
+    const code = requested[seatCode] || DEFAULT_TICKET_TYPE;
+    const ticketType = ticketTypes.find(type => type.code === code);
+
+    if (ticketType) {
+      bySeat.set(seatCode, ticketType);
+    } else {
+      unknown.push(`${seatCode}: ${code}`);
+    }
+  });
+
+  return { bySeat, unknown };
+};
+
+module.exports = { priceSeat, quoteSchedule, resolveTicketTypes };
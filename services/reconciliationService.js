@@ -0,0 +1,298 @@
+const { startOfDay, endOfDay, parseISO, isValid } = require('date-fns');
+const Payment = require('../models/Payment');
+const Reconciliation = require('../models/Reconciliation');
+
+// Header names used by the providers' settlement exports
+const COLUMN_ALIASES = {
+  transactionId: ['transaction_id', 'transactionid', 'order_id', 'orderid', 'partner_ref', 'app_trans_id', 'merchant_ref', 'merchtxnref'],
+  providerTransactionId: ['trans_id', 'transid', 'zp_trans_id', 'provider_transaction_id', 'transactionno'],
+  amount: ['amount', 'settled_amount', 'total_amount'],
+  type: ['type', 'transaction_type', 'txn_type']
+};
+
+// Payment statuses that mean the customer's money reached us
+const SETTLED_STATUSES = ['success', 'refunded'];
+
+const httpError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Settlement days are calendar days in the server's time zone, so a bare
+// YYYY-MM-DD from an upload or a file name is read as local midnight
+const parseSettlementDate = (value) => {
+  const date = parseISO(value);
+  if (!isValid(date)) {
+    throw httpError(`Invalid settlement date "${value}"`, 400);
+  }
+  return startOfDay(date);
+};
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF or LF
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Turn a settlement CSV into rows of `{ rowNumber, transactionId,
+ * providerTransactionId, amount, type }`. Refunds are recognised by a
+ * "refund" type column or a negative amount.
+ */
+const parseSettlementCsv = (text) => {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    throw httpError('Settlement file is empty', 400);
+  }
+
+  const names = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/^vpc_/, ''));
+  const column = key => names.findIndex(name => COLUMN_ALIASES[key].includes(name));
+
+  const columns = {
+    transactionId: column('transactionId'),
+    providerTransactionId: column('providerTransactionId'),
+    amount: column('amount'),
+    type: column('type')
+  };
+
+  if (columns.transactionId === -1 || columns.amount === -1) {
+    throw httpError('Settlement file needs a transaction id column and an amount column', 400);
+  }
+
+  const errors = [];
+  const rows = [];
+
+  lines.forEach((cells, index) => {
+    const rowNumber = index + 2;
+    const cell = key => (columns[key] === -1 ? '' : (cells[columns[key]] || '').trim());
+
+    const transactionId = cell('transactionId');
+    const amount = Number(cell('amount').replace(/[,\s]/g, ''));
+
+    if (!transactionId || Number.isNaN(amount)) {
+      errors.push(`Row ${rowNumber}: missing transaction id or unreadable amount`);
+      return;
+    }
+
+    rows.push({
+      rowNumber,
+      transactionId,
+      providerTransactionId: cell('providerTransactionId') || undefined,
+      amount: Math.abs(amount),
+      type: /refund/i.test(cell('type')) || amount < 0 ? 'refund' : 'payment'
+    });
+  });
+
+  return { rows, errors };
+};
+
+const groupBy = (rows, key) => rows.reduce((groups, row) => {
+  if (!groups.has(row[key])) groups.set(row[key], []);
+  groups.get(row[key]).push(row);
+  return groups;
+}, new Map());
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Match settlement rows for one provider and day against our payments.
+ *
+ * Payments are matched on transactionId and then compared on amount and
+ * status. Payments we settled that day but the provider did not list are
+ * reported as missing_in_provider; rows we cannot find as missing_in_system.
+ * Refund rows are compared with the refunds we recorded that day, and those
+ * refunds are missing_in_provider when the file has no row for them.
+ */
+const reconcile = async ({ provider, date, rows }) => {
+  const from = startOfDay(date);
+  const to = endOfDay(date);
+
+  const paymentRows = rows.filter(row => row.type === 'payment');
+  const refundRows = rows.filter(row => row.type === 'refund');
+
+  const referenced = await Payment.find({
+    gateway: provider,
+    transactionId: { $in: [...new Set(rows.map(row => row.transactionId))] }
+  });
+  const settledThatDay = await Payment.find({
+    gateway: provider,
+    status: { $in: SETTLED_STATUSES },
+    paidAt: { $gte: from, $lte: to }
+  });
+  const refundedThatDay = await Payment.find({
+    gateway: provider,
+    refundDetails: {
+      $elemMatch: { status: { $ne: 'processing' }, processedAt: { $gte: from, $lte: to } }
+    }
+  });
+
+  // Refunds we recorded that day; ones still with the gateway are not final
+  const refundsThatDay = (payment) => payment.refundDetails
+    .filter(refund => refund.status !== 'processing' && refund.processedAt >= from && refund.processedAt <= to);
+
+  const payments = new Map([...referenced, ...settledThatDay, ...refundedThatDay].map(payment => [payment.transactionId, payment]));
+  const items = [];
+
+  const paymentGroups = groupBy(paymentRows, 'transactionId');
+  paymentGroups.forEach((group, transactionId) => {
+    const payment = payments.get(transactionId);
+    const item = {
+      transactionId,
+      paymentId: payment && payment._id,
+      expectedAmount: payment && payment.amount,
+      settledAmount: sum(group.map(row => row.amount)),
+      paymentStatus: payment && payment.status,
+      rowNumbers: group.map(row => row.rowNumber)
+    };
+
+    if (!payment) {
+      items.push({ ...item, type: 'missing_in_system', note: 'Settled by the provider but no matching payment' });
+    } else if (group.length > 1) {
+      items.push({ ...item, type: 'duplicate', note: `Settled ${group.length} times` });
+    } else if (!SETTLED_STATUSES.includes(payment.status)) {
+      items.push({ ...item, type: 'status_mismatch', note: `Settled by the provider but ${payment.status} here` });
+    } else if (item.settledAmount !== payment.amount) {
+      items.push({ ...item, type: 'amount_mismatch', note: `Off by ${item.settledAmount - payment.amount}` });
+    } else {
+      items.push({ ...item, type: 'matched' });
+    }
+  });
+
+  settledThatDay
+    .filter(payment => !paymentGroups.has(payment.transactionId))
+    .forEach(payment => items.push({
+      type: 'missing_in_provider',
+      transactionId: payment.transactionId,
+      paymentId: payment._id,
+      expectedAmount: payment.amount,
+      paymentStatus: payment.status,
+      note: 'Paid here but not in the settlement file'
+    }));
+
+  const refundGroups = groupBy(refundRows, 'transactionId');
+  refundGroups.forEach((group, transactionId) => {
+    const payment = payments.get(transactionId);
+    const settledAmount = sum(group.map(row => row.amount));
+    const rowNumbers = group.map(row => row.rowNumber);
+
+    if (!payment) {
+      items.push({ type: 'missing_in_system', transactionId, settledAmount, rowNumbers, note: 'Refund for an unknown payment' });
+      return;
+    }
+
+    const expectedAmount = sum(refundsThatDay(payment).map(refund => refund.amount));
+
+    items.push({
+      type: expectedAmount === settledAmount ? 'matched' : 'refund_mismatch',
+      transactionId,
+      paymentId: payment._id,
+      expectedAmount,
+      settledAmount,
+      paymentStatus: payment.status,
+      rowNumbers,
+      note: 'Refund'
+    });
+  });
+
+  refundedThatDay
+    .filter(payment => !refundGroups.has(payment.transactionId))
+    .forEach(payment => items.push({
+      type: 'missing_in_provider',
+      transactionId: payment.transactionId,
+      paymentId: payment._id,
+      expectedAmount: sum(refundsThatDay(payment).map(refund => refund.amount)),
+      paymentStatus: payment.status,
+      note: 'Refunded here but not in the settlement file'
+    }));
+
+  const issues = items.filter(item => item.type !== 'matched');
+  const issueCounts = {};
+  issues.forEach(item => {
+    issueCounts[item.type] = (issueCounts[item.type] || 0) + 1;
+  });
+
+  return {
+    items,
+    issueCounts,
+    summary: {
+      rows: rows.length,
+      payments: settledThatDay.length,
+      matched: items.length - issues.length,
+      issues: issues.length,
+      settledTotal: sum(paymentRows.map(row => row.amount)),
+      refundedTotal: sum(refundRows.map(row => row.amount)),
+      expectedTotal: sum(settledThatDay.map(payment => payment.amount))
+    }
+  };
+};
+
+/**
+ * Parse, reconcile and store a provider's settlement file for a day. An
+ * earlier report for the same provider and day is replaced.
+ */
+const importSettlement = async ({ provider, date, csv, fileName, importedBy, source = 'upload' }) => {
+  const { rows, errors } = parseSettlementCsv(csv);
+  const result = await reconcile({ provider, date, rows });
+  const settlementDate = startOfDay(date);
+
+  await Reconciliation.deleteOne({ provider, settlementDate });
+
+  const report = await Reconciliation.create({
+    provider,
+    settlementDate,
+    fileName,
+    source,
+    importedBy,
+    parseErrors: errors,
+    ...result
+  });
+
+  return report;
+};
+
+module.exports = {
+  parseSettlementDate,
+  parseCsv,
+  parseSettlementCsv,
+  reconcile,
+  importSettlement
+};
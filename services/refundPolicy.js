@@ -0,0 +1,107 @@
+const { validateSeatSelection } = require('./seatRules');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Work out what refunding some of a ticket's seats and combos is worth under
+ * a cinema's refund policy (see Cinema#getRefundPolicy).
+ *
+ * `seats` is a list of seat codes and `combos` a list of `{ comboId, qty }`;
+ * leaving both out, or listing every seat, refunds the whole ticket with its
+ * combos. The seats left after a partial refund must still follow the seat
+ * rules of `room`. With `overridePolicy` the items are refunded in full, with
+ * no fee and no cutoff.
+ *
+ * Returns `{ errors }`, or a quote:
+ * `{ wholeTicket, hoursBeforeShow, percent, seats, combos, gross, fee, amount }`.
+ */
+const quoteRefund = ({ ticket, schedule, room, policy, seats, combos, overridePolicy = false, now = new Date() }) => {
+  const errors = [];
+  // Combos are no use without a seat, so giving back every seat gives back everything
+  const wholeTicket = (!seats && !combos) ||
+    (Boolean(seats && seats.length) && ticket.seats.every(seat => seats.includes(seat.code)));
+  const hoursBeforeShow = (new Date(schedule.startTime) - now) / HOUR_MS;
+  const combosRefundable = overridePolicy || policy.combosRefundable;
+
+  // Spread any voucher discount over the items the customer paid for
+  const paidRatio = ticket.subtotal > 0 ? ticket.totalAmount / ticket.subtotal : 0;
+
+  const seatCodes = wholeTicket ? ticket.seats.map(seat => seat.code) : (seats || []);
+  const unknownSeats = seatCodes.filter(code => !ticket.seats.some(seat => seat.code === code));
+  if (unknownSeats.length > 0) {
+    errors.push(`Seat(s) not on this ticket: ${unknownSeats.join(', ')}`);
+  }
+
+  // Couple pairs and wheelchair/companion groups are refunded together
+  if (!wholeTicket && room) {
+    const keptSeats = ticket.seats.map(seat => seat.code).filter(code => !seatCodes.includes(code));
+    validateSeatSelection(room, keptSeats, { accessibleSeating: true })
+      .forEach(error => errors.push(`Seats left on the ticket: ${error}`));
+  }
+
+  const comboRequests = wholeTicket
+    ? ticket.combos.map(combo => ({ comboId: combo.comboId, qty: combo.qty }))
+    : (combos || []);
+
+  const comboItems = [];
+  comboRequests.forEach(request => {
+    const combo = ticket.combos.find(item => String(item.comboId) === String(request.comboId));
+    const qty = request.qty || (combo && combo.qty);
+
+    if (!combo || qty > combo.qty) {
+      errors.push(`Combo ${request.comboId} is not on this ticket in that quantity`);
+      return;
+    }
+
+    comboItems.push({ comboId: combo.comboId, name: combo.name, qty, paid: Math.round(combo.price * qty * paidRatio) });
+  });
+
+  if (!wholeTicket && comboItems.length > 0 && !combosRefundable) {
+    errors.push('Combos are non-refundable at this cinema');
+  }
+
+  let percent = 100;
+  if (!overridePolicy) {
+    const tier = policy.tiers.find(candidate => hoursBeforeShow >= candidate.minHoursBefore);
+    percent = tier ? tier.percent : 0;
+
+    if (percent === 0) {
+      const cutoff = Math.min(...policy.tiers.filter(candidate => candidate.percent > 0).map(candidate => candidate.minHoursBefore));
+      errors.push(Number.isFinite(cutoff)
+        ? `Refunds are only available until ${cutoff} hours before showtime`
+        : 'Tickets at this cinema are non-refundable');
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const seatItems = seatCodes.map(code => {
+    const seat = ticket.seats.find(item => item.code === code);
+    const paid = Math.round(seat.price * paidRatio);
+    return { code, paid, refund: Math.round(paid * percent / 100) };
+  });
+
+  comboItems.forEach(item => {
+    item.refund = combosRefundable ? Math.round(item.paid * percent / 100) : 0;
+  });
+
+  const gross = [...seatItems, ...comboItems].reduce((sum, item) => sum + item.refund, 0);
+  const fee = overridePolicy
+    ? 0
+    : Math.min(gross, Math.round(policy.fee.fixed + gross * policy.fee.percent / 100));
+
+  return {
+    wholeTicket,
+    hoursBeforeShow: Math.round(hoursBeforeShow * 10) / 10,
+    percent,
+    seats: seatItems,
+    combos: comboItems,
+    gross,
+    fee,
+    amount: gross - fee
+  };
+};
+
+module.exports = { quoteRefund };
@@ -0,0 +1,209 @@
+const Payment = require('../models/Payment');
+const Ticket = require('../models/Ticket');
+const Schedule = require('../models/Schedule');
+const Cinema = require('../models/Cinema');
+const Room = require('../models/Room');
+const defaultRefundPolicy = require('../config/refundPolicy');
+const { refundTimeoutMinutes } = require('../config/payments');
+const { getGatewayByName } = require('./payments');
+const { quoteRefund } = require('./refundPolicy');
+const { queueEmail } = require('./notifications');
+
+const httpError = (message, statusCode, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+};
+
+// Ticket, showtime, room and the cinema's refund policy behind a payment
+const loadRefundContext = async (payment) => {
+  const ticket = await Ticket.findById(payment.ticketId);
+  if (!ticket) {
+    throw httpError('Ticket not found', 404);
+  }
+
+  if (ticket.status !== 'paid') {
+    throw httpError(`Ticket is ${ticket.status} and cannot be refunded`, 400);
+  }
+
+  const schedule = await Schedule.findById(ticket.scheduleId);
+  if (!schedule) {
+    throw httpError('Schedule not found', 404);
+  }
+
+  const room = await Room.findById(ticket.roomId);
+  const cinema = await Cinema.findById(schedule.cinemaId);
+  const policy = cinema ? cinema.getRefundPolicy() : defaultRefundPolicy;
+
+  return { ticket, schedule, room, policy };
+};
+
+/**
+ * Price a refund without touching anything. The amount is capped at what is
+ * left on the payment.
+ */
+const previewRefund = async ({ payment, seats, combos, overridePolicy = false }) => {
+  const { ticket, schedule, room, policy } = await loadRefundContext(payment);
+
+  const quote = quoteRefund({ ticket, schedule, room, policy, seats, combos, overridePolicy });
+  if (quote.errors) {
+    throw httpError(quote.errors.join('; '), 400, { refundErrors: quote.errors });
+  }
+
+  return { ...quote, amount: Math.min(quote.amount, payment.refundableAmount), policy };
+};
+
+/**
+ * Refund a whole ticket or some of its seats and combos. Refunded seats are
+ * moved to `refundedSeats` so they go back on sale; refunding every seat
+ * refunds the combos too and closes the ticket and the payment as refunded.
+ */
+const refundTicket = async ({ payment, seats, combos, reason = '', processedBy, overridePolicy = false }) => {
+  const { ticket, schedule, room, policy } = await loadRefundContext(payment);
+
+  const quote = quoteRefund({ ticket, schedule, room, policy, seats, combos, overridePolicy });
+  if (quote.errors) {
+    throw httpError(quote.errors.join('; '), 400, { refundErrors: quote.errors });
+  }
+
+  const amount = Math.min(quote.amount, payment.refundableAmount);
+  if (amount <= 0) {
+    throw httpError('Nothing to refund for this selection', 400);
+  }
+
+  const refundedCodes = quote.seats.map(item => item.code);
+  const { wholeTicket } = quote;
+
+  // Claim the amount first so a concurrent refund cannot pay out the same
+  // money, then send it: a rejected refund leaves the ticket untouched
+  const { payment: reserved, refundId } = await payment.reserveRefund({
+    amount,
+    fee: quote.fee,
+    reason,
+    seats: wholeTicket ? [] : refundedCodes,
+    combos: wholeTicket ? [] : quote.combos.map(({ comboId, name, qty }) => ({ comboId, name, qty })),
+    processedBy
+  });
+
+  let result;
+  try {
+    result = await reserved.sendRefund(refundId);
+  } catch (err) {
+    await reserved.releaseRefund(refundId);
+    throw err;
+  }
+
+  if (wholeTicket) {
+    ticket.transitionTo('refunded', { by: processedBy, reason, source: 'refund', paymentId: payment._id });
+  } else {
+    ticket.refundedSeats.push(...ticket.seats.filter(seat => refundedCodes.includes(seat.code)).map(seat => seat.toObject()));
+    ticket.seats = ticket.seats.filter(seat => !refundedCodes.includes(seat.code));
+
+    quote.combos.forEach(item => {
+      const combo = ticket.combos.find(entry => String(entry.comboId) === String(item.comboId));
+      ticket.refundedCombos.push({ comboId: combo.comboId, name: combo.name, qty: item.qty, price: combo.price });
+      combo.qty -= item.qty;
+    });
+    ticket.combos = ticket.combos.filter(combo => combo.qty > 0);
+  }
+
+  // The money has moved, so the refund is recorded even if the ticket save fails
+  let ticketError;
+  await ticket.save().catch(err => {
+    ticketError = err;
+  });
+
+  await reserved.settleRefund(refundId, result, { final: wholeTicket });
+
+  if (ticketError) {
+    throw ticketError;
+  }
+
+  queueEmail({
+    template: 'refund_processed',
+    user: payment.userId,
+    data: { ticketId: ticket._id, amount, seats: refundedCodes, wholeTicket }
+  });
+
+  return { payment: reserved, ticket, quote: { ...quote, amount } };
+};
+
+/**
+ * Give back what a paid ticket's seat change made cheaper. `amount` is the
+ * list-price difference; any voucher discount is spread over it the same way
+ * as for refunds. Resolves to `{ payment, amount }`, with `amount` 0 when
+ * nothing was paid online.
+ */
+const refundSeatChange = async ({ ticket, amount, processedBy }) => {
+  const payment = await Payment.findOne({ ticketId: ticket._id, status: 'success' });
+  if (!payment) {
+    return { payment: null, amount: 0 };
+  }
+
+  const paidRatio = ticket.subtotal > 0 ? ticket.totalAmount / ticket.subtotal : 0;
+  const refundAmount = Math.min(Math.round(amount * paidRatio), payment.refundableAmount);
+  if (refundAmount <= 0) {
+    return { payment, amount: 0 };
+  }
+
+  const reason = 'Seat change to cheaper seats';
+  const { payment: reserved, refundId } = await payment.reserveRefund({ amount: refundAmount, reason, processedBy });
+
+  let result;
+  try {
+    result = await reserved.sendRefund(refundId);
+  } catch (err) {
+    await reserved.releaseRefund(refundId);
+    throw err;
+  }
+
+  await reserved.settleRefund(refundId, result);
+
+  return { payment: reserved, amount: refundAmount };
+};
+
+/**
+ * Finish refunds left `processing` by a crash between reserving and settling
+ * them, which would otherwise block every later refund on the payment. The
+ * provider is asked about each by its reference: money that went out is
+ * recorded, anything else is given back to the payment. The ticket side of
+ * a refund that went out is logged for staff to finish.
+ */
+const recoverStaleRefunds = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - refundTimeoutMinutes * 60000);
+  const payments = await Payment.find({
+    refundDetails: { $elemMatch: { status: 'processing', processedAt: { $lte: cutoff } } }
+  });
+
+  let recovered = 0;
+  for (const payment of payments) {
+    const refund = payment.refundDetails.find(entry => entry.status === 'processing');
+
+    try {
+      // Counter refunds never reached a provider, so nothing was paid out
+      const result = payment.gateway
+        ? await getGatewayByName(payment.gateway).queryRefund({ refundId: refund.referenceId, requestedAt: refund.processedAt })
+        : { status: 'failed' };
+
+      if (result.status === 'failed') {
+        await payment.releaseRefund(refund._id);
+      } else {
+        await payment.settleRefund(refund._id, result);
+        console.warn(`Refund ${refund._id} on payment ${payment._id} was sent but not recorded; check ticket ${payment.ticketId}`);
+      }
+      recovered += 1;
+    } catch (err) {
+      console.error(`Could not recover refund ${refund._id} on payment ${payment._id}: ${err.message}`);
+    }
+  }
+
+  return recovered;
+};
+
+module.exports = {
+  previewRefund,
+  refundTicket,
+  refundSeatChange,
+  recoverStaleRefunds
+};
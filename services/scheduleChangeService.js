@@ -0,0 +1,389 @@
+const EventEmitter = require('events');
+const Ticket = require('../models/Ticket');
+const Schedule = require('../models/Schedule');
+const Room = require('../models/Room');
+const Cinema = require('../models/Cinema');
+const Payment = require('../models/Payment');
+const SeatHold = require('../models/SeatHold');
+const ScheduleChange = require('../models/ScheduleChange');
+const { validateSeatSelection, checkOrphanSeats, orphanSeatMessage } = require('./seatRules');
+const { signTicketQr } = require('./ticketQr');
+const { publishSeatEvent } = require('./seatEvents');
+const { refundTicket } = require('./refundService');
+const { queueEmail } = require('./notifications');
+const { reminderHoursBefore, scheduleChangeResponseHours } = require('../config/notifications');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Changes left in `processing` this long were interrupted and are run again
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+// Emits `queued` so the worker picks a change up straight away
+const scheduleChangeEvents = new EventEmitter();
+
+const httpError = (message, statusCode, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+};
+
+/**
+ * Tell ticket holders that their showtime was cancelled (`kind: 'cancelled'`)
+ * or moved to another time or room (`kind: 'moved'`). Unpaid tickets of a
+ * cancelled show are cancelled outright; unpaid tickets of a moved show just
+ * follow it to the new room. Paid tickets get a `scheduleChange` the holder answers through
+ * the ticket endpoints. `change` is the queued ScheduleChange; tickets it
+ * already reached are skipped when it is retried. Returns how many holders
+ * were emailed.
+ */
+const notifyScheduleChange = async (schedule, change) => {
+  const { kind, previousStartTime, previousRoomId } = change;
+  const now = new Date();
+  const tickets = await Ticket.find({ scheduleId: schedule._id, status: { $in: ['pending', 'paid'] } });
+  let notified = 0;
+
+  for (const ticket of tickets) {
+    if (ticket.scheduleChange && String(ticket.scheduleChange.changeId) === String(change._id)) {
+      continue;
+    }
+
+    try {
+      if (kind === 'moved') {
+        // Admission details follow the show to its new room and end time
+        ticket.roomId = schedule.roomId;
+        ticket.qrCode = signTicketQr(ticket._id, schedule.endTime);
+      }
+
+      if (ticket.status === 'pending') {
+        if (kind === 'cancelled') {
+          // Emails the holder through the ticket_cancelled template
+          ticket.transitionTo('cancelled', { reason: 'Showtime cancelled', source: 'schedule-change', at: now });
+          notified++;
+        }
+        await ticket.save();
+        continue;
+      }
+
+      ticket.scheduleChange = {
+        kind,
+        previousStartTime: previousStartTime || schedule.startTime,
+        previousRoomId: previousRoomId || schedule.roomId,
+        changeId: change._id,
+        notifiedAt: now,
+        // A moved show can be kept, so holders have until it starts to decide
+        respondBy: kind === 'cancelled'
+          ? new Date(now.getTime() + scheduleChangeResponseHours * HOUR_MS)
+          : schedule.startTime,
+        resolution: 'pending'
+      };
+
+      if (kind === 'moved') {
+        ticket.reminderSentAt = undefined;
+      }
+
+      await ticket.save();
+
+      queueEmail({
+        template: 'schedule_changed',
+        user: ticket.userId,
+        data: { ticketId: ticket._id },
+        dedupeKey: `schedule_changed:${ticket._id}:${change._id}`
+      });
+      notified++;
+    } catch (err) {
+      console.error(`Error notifying ticket ${ticket._id} of schedule change:`, err.message);
+    }
+  }
+
+  return notified;
+};
+
+/**
+ * Queue the fan-out of a showtime change (see `notifyScheduleChange`) so the
+ * request that made the change does not wait for every ticket to be saved.
+ */
+const queueScheduleChange = async (schedule, { kind, previousStartTime, previousRoomId }) => {
+  const change = await ScheduleChange.create({ scheduleId: schedule._id, kind, previousStartTime, previousRoomId });
+  scheduleChangeEvents.emit('queued', change);
+  return change;
+};
+
+const runScheduleChange = async (change) => {
+  try {
+    const schedule = await Schedule.findById(change.scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    change.notifiedHolders = await notifyScheduleChange(schedule, change);
+    change.status = 'done';
+    change.processedAt = new Date();
+    change.lastError = undefined;
+  } catch (err) {
+    console.error(`Error processing schedule change ${change._id}:`, err.message);
+    change.lastError = err.message;
+    change.status = change.attempts >= MAX_ATTEMPTS ? 'failed' : 'queued';
+  }
+
+  await change.save();
+};
+
+let processing = false;
+
+/**
+ * Fan out queued showtime changes, oldest first. Returns how many were
+ * processed; calls made while a run is in progress return 0.
+ */
+const processScheduleChanges = async ({ limit = 20 } = {}) => {
+  if (processing) return 0;
+  processing = true;
+
+  let processed = 0;
+
+  try {
+    await ScheduleChange.updateMany(
+      { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+      { $set: { status: 'queued' } }
+    );
+
+    while (processed < limit) {
+      // Claim one change so concurrent workers never run the same one
+      const change = await ScheduleChange.findOneAndUpdate(
+        { status: 'queued' },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { sort: { createdAt: 1 }, new: true }
+      );
+      if (!change) break;
+
+      await runScheduleChange(change);
+      processed++;
+    }
+  } finally {
+    processing = false;
+  }
+
+  return processed;
+};
+
+// The ticket must have an open schedule change to answer
+const assertPendingChange = (ticket, now = new Date()) => {
+  const change = ticket.scheduleChange;
+  if (!change || change.resolution !== 'pending') {
+    throw httpError('This ticket has no showtime change to respond to', 400);
+  }
+
+  if (ticket.status !== 'paid') {
+    throw httpError(`Ticket is ${ticket.status}`, 400);
+  }
+
+  if (change.kind === 'moved' && change.respondBy && now >= change.respondBy) {
+    throw httpError('The moved showtime has already started', 400);
+  }
+};
+
+const resolveChange = (ticket, resolution) => {
+  ticket.scheduleChange.resolution = resolution;
+  ticket.scheduleChange.resolvedAt = new Date();
+};
+
+// Keep a ticket for the new time of a moved showtime
+const keepTicket = async (ticket) => {
+  assertPendingChange(ticket);
+
+  if (ticket.scheduleChange.kind !== 'moved') {
+    throw httpError('The showtime was cancelled; choose a refund or an exchange', 400);
+  }
+
+  resolveChange(ticket, 'kept');
+  await ticket.save();
+
+  return ticket;
+};
+
+/**
+ * Refund a ticket in full because its showtime changed, whatever the
+ * cinema's refund policy says. Tickets paid at the counter are cancelled and
+ * refunded there.
+ */
+const refundChangedTicket = async (ticket, { processedBy } = {}) => {
+  assertPendingChange(ticket);
+
+  const reason = ticket.scheduleChange.kind === 'cancelled' ? 'Showtime cancelled' : 'Showtime moved';
+  const payment = await Payment.findOne({ ticketId: ticket._id, status: 'success' });
+
+  if (payment) {
+    ({ ticket } = await refundTicket({ payment, reason, processedBy, overridePolicy: true }));
+  } else {
+    ticket.transitionTo('cancelled', { by: processedBy, reason, source: 'schedule-change' });
+  }
+
+  resolveChange(ticket, 'refunded');
+  await ticket.save();
+
+  return ticket;
+};
+
+/**
+ * Move a ticket to another upcoming showtime of the same movie. The new
+ * seats must be of the same types as the old ones so every seat keeps the
+ * price and ticket type already paid for.
+ */
+const exchangeTicket = async (ticket, { scheduleId, seatNumbers, accessibleSeating = false }) => {
+  assertPendingChange(ticket);
+
+  const current = await Schedule.findById(ticket.scheduleId);
+  const target = await Schedule.findById(scheduleId);
+
+  if (!target || target.status !== 'scheduled' || target.startTime <= new Date()) {
+    throw httpError('Pick an upcoming showtime to exchange to', 400);
+  }
+
+  if (String(target._id) === String(ticket.scheduleId)) {
+    throw httpError('The ticket is already for this showtime', 400);
+  }
+
+  if (!current || String(target.movieId) !== String(current.movieId)) {
+    throw httpError('Tickets can only be exchanged for a showtime of the same movie', 400);
+  }
+
+  const codes = [...new Set(seatNumbers.map(code => String(code).trim().toUpperCase()))];
+  if (codes.length !== ticket.seats.length) {
+    throw httpError(`Pick ${ticket.seats.length} seat(s) to replace the ones on this ticket`, 400);
+  }
+
+  const room = await Room.findById(target.roomId);
+  if (!room) {
+    throw httpError('Room not found', 400);
+  }
+
+  const seatsByCode = new Map(room.seats.map(seat => [seat.code, seat]));
+  const invalidSeats = codes.filter(code => !seatsByCode.has(code));
+  if (invalidSeats.length > 0) {
+    throw httpError(`Invalid seat(s): ${invalidSeats.join(', ')}`, 400, { details: { invalidSeats } });
+  }
+
+  const oldTypes = ticket.seats.map(seat => seat.type).sort().join();
+  const newTypes = codes.map(code => seatsByCode.get(code).type).sort().join();
+  if (oldTypes !== newTypes) {
+    throw httpError('New seats must be of the same types as the seats on this ticket', 400);
+  }
+
+  const seatErrors = validateSeatSelection(room, codes, { accessibleSeating });
+  if (seatErrors.length > 0) {
+    throw httpError(seatErrors.join('; '), 400, { details: { errors: seatErrors } });
+  }
+
+  const bookedSeats = await Ticket.getTakenSeats(target._id);
+  const heldSeats = await SeatHold.getHeldSeats(target._id, { excludeUserId: ticket.userId });
+  const takenSeats = codes.filter(code => bookedSeats.has(code) || heldSeats.has(code));
+  if (takenSeats.length > 0) {
+    throw httpError('Some seats are already taken', 400, { details: { takenSeats } });
+  }
+
+  const cinema = await Cinema.findById(target.cinemaId);
+  const orphanCheck = checkOrphanSeats(room, new Set([...bookedSeats, ...heldSeats]), codes, cinema ? cinema.seatSelection : undefined);
+  if (orphanCheck) {
+    throw httpError(orphanSeatMessage(orphanCheck), 400, {
+      details: { orphanSeats: orphanCheck.orphanSeats, suggestions: orphanCheck.suggestions }
+    });
+  }
+
+  // Hand each new seat the price of an old seat of the same type
+  const remaining = ticket.seats.map(seat => seat.toObject());
+  const seats = codes.map(code => {
+    const { type } = seatsByCode.get(code);
+    const [paid] = remaining.splice(remaining.findIndex(seat => seat.type === type), 1);
+    return { code, type, ticketType: paid.ticketType, price: paid.price, priceBreakdown: paid.priceBreakdown };
+  });
+
+  const previousSeats = ticket.seats.map(seat => seat.code);
+
+  ticket.scheduleId = target._id;
+  ticket.roomId = target.roomId;
+  ticket.seats = seats;
+  ticket.qrCode = signTicketQr(ticket._id, target.endTime);
+  ticket.reminderSentAt = undefined;
+  ticket.scheduleChange.exchangedFrom = current._id;
+  resolveChange(ticket, 'exchanged');
+
+  // The save publishes the new show's seats; the old show's are released here
+  ticket.$locals.loadedSeats = [];
+  await ticket.save();
+
+  publishSeatEvent(current._id, 'released', previousSeats);
+  await current.updateOccupancy();
+
+  return ticket;
+};
+
+// Queue reminders for paid tickets whose show starts within the reminder window
+const sendShowtimeReminders = async (now = new Date()) => {
+  const schedules = await Schedule.find({
+    status: 'scheduled',
+    startTime: { $gt: now, $lte: new Date(now.getTime() + reminderHoursBefore * HOUR_MS) }
+  }).select('startTime');
+
+  if (schedules.length === 0) return 0;
+
+  const startTimes = new Map(schedules.map(schedule => [String(schedule._id), schedule.startTime]));
+  const tickets = await Ticket.find({
+    scheduleId: { $in: schedules.map(schedule => schedule._id) },
+    status: 'paid',
+    reminderSentAt: null
+  }).select('userId scheduleId');
+
+  for (const ticket of tickets) {
+    const startTime = startTimes.get(String(ticket.scheduleId));
+    await queueEmail({
+      template: 'showtime_reminder',
+      user: ticket.userId,
+      data: { ticketId: ticket._id },
+      dedupeKey: `showtime_reminder:${ticket._id}:${startTime.getTime()}`
+    });
+  }
+
+  if (tickets.length > 0) {
+    await Ticket.updateMany(
+      { _id: { $in: tickets.map(ticket => ticket._id) } },
+      { $set: { reminderSentAt: now } }
+    );
+  }
+
+  return tickets.length;
+};
+
+// Refund holders of cancelled shows who did not answer in time
+const refundUnansweredCancellations = async (now = new Date()) => {
+  const tickets = await Ticket.find({
+    status: 'paid',
+    'scheduleChange.kind': 'cancelled',
+    'scheduleChange.resolution': 'pending',
+    'scheduleChange.respondBy': { $lte: now }
+  });
+
+  let refunded = 0;
+  for (const ticket of tickets) {
+    try {
+      await refundChangedTicket(ticket);
+      refunded++;
+    } catch (err) {
+      console.error(`Error refunding ticket ${ticket._id} of a cancelled show:`, err.message);
+    }
+  }
+
+  return refunded;
+};
+
+module.exports = {
+  scheduleChangeEvents,
+  notifyScheduleChange,
+  queueScheduleChange,
+  processScheduleChanges,
+  keepTicket,
+  refundChangedTicket,
+  exchangeTicket,
+  sendShowtimeReminders,
+  refundUnansweredCancellations
+};
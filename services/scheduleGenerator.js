@@ -0,0 +1,203 @@
+const Schedule = require('../models/Schedule');
+const Movie = require('../models/Movie');
+const Room = require('../models/Room');
+
+const MAX_RANGE_DAYS = 14;
+const OPENING_HOUR = 9; // Matches Schedule.getAvailableSlots
+const LAST_SHOW_HOUR = 23;
+
+// Two [start, end) intervals overlap
+const overlaps = (a, b) => a.startTime < b.endTime && a.endTime > b.startTime;
+
+// List every calendar day between two dates (inclusive)
+const eachDay = (startDate, endDate) => {
+  const days = [];
+  const current = new Date(startDate);
+  current.setHours(0, 0, 0, 0);
+
+  const last = new Date(endDate);
+  last.setHours(0, 0, 0, 0);
+
+  while (current <= last) {
+    days.push(new Date(current));
+    current.setDate(current.getDate() + 1);
+  }
+
+  return days;
+};
+
+// Spread `count` shows evenly over the programming day
+const targetTimes = (day, count) => {
+  const open = new Date(day);
+  open.setHours(OPENING_HOUR, 0, 0, 0);
+
+  const span = (LAST_SHOW_HOUR - OPENING_HOUR) * 60 * 60000;
+  const step = span / count;
+
+  return Array.from({ length: count }, (_, i) => new Date(open.getTime() + i * step));
+};
+
+/**
+ * Build a showtime plan for a cinema without writing anything.
+ *
+ * Each entry in `movies` is `{ movieId, showsPerDay, roomIds?, priceTable? }`.
+ * Rooms listed in `roomIds` are tried in order; otherwise every active room in
+ * the cinema is a candidate. Free slots come from `Schedule.getAvailableSlots`
+ * and are checked against the shows already planned in this run.
+ */
+const planShowtimes = async ({ cinemaId, startDate, endDate, movies, priceTable }) => {
+  const days = eachDay(startDate, endDate);
+
+  if (days.length === 0) {
+    const err = new Error('endDate must not be before startDate');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  if (days.length > MAX_RANGE_DAYS) {
+    const err = new Error(`Date range cannot be longer than ${MAX_RANGE_DAYS} days`);
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const rooms = await Room.find({ cinemaId, isActive: true }).sort({ name: 1 });
+  if (rooms.length === 0) {
+    const err = new Error('Cinema has no active rooms');
+    err.statusCode = 400;
+    throw err;
+  }
+  const roomsById = new Map(rooms.map(room => [room._id.toString(), room]));
+
+  const movieDocs = await Movie.find({ _id: { $in: movies.map(m => m.movieId) } });
+  const moviesById = new Map(movieDocs.map(movie => [movie._id.toString(), movie]));
+
+  const entries = movies.map(entry => {
+    const movie = moviesById.get(entry.movieId.toString());
+    if (!movie) {
+      const err = new Error(`Movie not found with id of ${entry.movieId}`);
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const candidateRooms = entry.roomIds && entry.roomIds.length > 0
+      ? entry.roomIds.map(id => roomsById.get(id.toString())).filter(Boolean)
+      : rooms;
+
+    if (candidateRooms.length === 0) {
+      const err = new Error(`None of the preferred rooms for "${movie.title}" belong to this cinema`);
+      err.statusCode = 400;
+      throw err;
+    }
+
+    const prices = entry.priceTable || priceTable;
+    if (!prices || prices.standard === undefined || prices.vip === undefined) {
+      const err = new Error(`No price table given for "${movie.title}"`);
+      err.statusCode = 400;
+      throw err;
+    }
+
+    return { movie, candidateRooms, showsPerDay: entry.showsPerDay, priceTable: prices };
+  });
+
+  const planned = [];
+  const unfilled = [];
+  const slotCache = new Map();
+
+  // Free slots for a room/day/duration, minus anything planned so far
+  const freeSlots = async (room, day, duration) => {
+    const key = `${room._id}|${day.toISOString()}|${duration}`;
+    if (!slotCache.has(key)) {
+      slotCache.set(key, await Schedule.getAvailableSlots(room._id, day, duration));
+    }
+
+    const roomPlan = planned.filter(p => p.roomId.equals(room._id));
+    return slotCache.get(key).filter(slot => !roomPlan.some(p => overlaps(slot, p)));
+  };
+
+  for (const day of days) {
+    // Interleave movies so the first entry does not take every prime slot
+    const queue = [];
+    entries.forEach(entry => {
+      targetTimes(day, entry.showsPerDay).forEach((target, index) => {
+        queue.push({ entry, target, index });
+      });
+    });
+    queue.sort((a, b) => a.index - b.index || a.target - b.target);
+
+    const scheduledCount = new Map();
+
+    for (const { entry, target } of queue) {
+      let best = null;
+
+      for (const room of entry.candidateRooms) {
+        const slots = await freeSlots(room, day, entry.movie.duration);
+
+        for (const slot of slots) {
+          const distance = Math.abs(slot.startTime - target);
+          if (!best || distance < best.distance) {
+            best = { room, slot, distance };
+          }
+        }
+      }
+
+      if (!best) continue;
+
+      planned.push({
+        movieId: entry.movie._id,
+        movieTitle: entry.movie.title,
+        cinemaId: best.room.cinemaId,
+        roomId: best.room._id,
+        roomName: best.room.name,
+        startTime: best.slot.startTime,
+        endTime: best.slot.endTime,
+        priceTable: entry.priceTable
+      });
+
+      const id = entry.movie._id.toString();
+      scheduledCount.set(id, (scheduledCount.get(id) || 0) + 1);
+    }
+
+    entries.forEach(entry => {
+      const count = scheduledCount.get(entry.movie._id.toString()) || 0;
+      if (count < entry.showsPerDay) {
+        unfilled.push({
+          movieId: entry.movie._id,
+          movieTitle: entry.movie.title,
+          date: day,
+          requested: entry.showsPerDay,
+          scheduled: count
+        });
+      }
+    });
+  }
+
+  planned.sort((a, b) => a.startTime - b.startTime || a.roomName.localeCompare(b.roomName));
+
+  return { schedules: planned, unfilled };
+};
+
+/**
+ * Persist a plan produced by `planShowtimes` inside the given session.
+ * The Schedule hooks recompute endTime and re-check overlaps for each show,
+ * so a clash with a schedule created since the preview aborts the whole batch.
+ */
+const commitPlan = async (plan, session) => {
+  const created = [];
+
+  for (const item of plan.schedules) {
+    const schedule = new Schedule({
+      movieId: item.movieId,
+      cinemaId: item.cinemaId,
+      roomId: item.roomId,
+      startTime: item.startTime,
+      priceTable: item.priceTable
+    });
+
+    await schedule.save({ session });
+    created.push(schedule);
+  }
+
+  return created;
+};
+
+module.exports = { planShowtimes, commitPlan };
@@ -0,0 +1,54 @@
+const EventEmitter = require('events');
+
+// In-process bus keyed by scheduleId. Every API instance only sees its own
+// writes, so run a single instance or fan out through a shared broker.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const SEAT_EVENTS = ['held', 'booked', 'released'];
+
+/**
+ * Broadcast a seat change to every stream watching the schedule.
+ * `type` is one of SEAT_EVENTS; empty seat lists are ignored.
+ */
+const publishSeatEvent = (scheduleId, type, seats, meta = {}) => {
+  if (!seats || seats.length === 0) return;
+
+  bus.emit(scheduleId.toString(), {
+    type,
+    scheduleId: scheduleId.toString(),
+    seats: [...seats],
+    at: new Date().toISOString(),
+    ...meta
+  });
+};
+
+/**
+ * Publish once the surrounding transaction commits; writes made outside a
+ * transaction publish immediately. Aborted transactions publish nothing.
+ */
+const publishAfterCommit = (session, publish) => {
+  if (session && session.inTransaction()) {
+    session.once('ended', ended => {
+      if (ended.transaction.isCommitted) publish();
+    });
+    return;
+  }
+
+  publish();
+};
+
+// Listen to a schedule's seat events; returns an unsubscribe function
+const subscribe = (scheduleId, listener) => {
+  const key = scheduleId.toString();
+  bus.on(key, listener);
+
+  return () => bus.off(key, listener);
+};
+
+module.exports = {
+  SEAT_EVENTS,
+  publishSeatEvent,
+  publishAfterCommit,
+  subscribe
+};
@@ -0,0 +1,158 @@
+const SeatHold = require('../models/SeatHold');
+const Schedule = require('../models/Schedule');
+const Room = require('../models/Room');
+const Ticket = require('../models/Ticket');
+const Cinema = require('../models/Cinema');
+const { validateSeatSelection, checkOrphanSeats, orphanSeatMessage } = require('./seatRules');
+
+const MAX_SEATS_PER_HOLD = 10;
+
+const httpError = (message, statusCode, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  Object.assign(err, extra);
+  return err;
+};
+
+// Recompute Schedule.isFull after seats were held or released
+const refreshOccupancy = async (scheduleId) => {
+  const schedule = await Schedule.findById(scheduleId);
+  if (schedule) {
+    await schedule.updateOccupancy();
+  }
+};
+
+/**
+ * Hold seats for a user until they book or the hold lapses.
+ * A user keeps at most one hold per schedule, so a new request replaces the
+ * previous one.
+ */
+const holdSeats = async ({ scheduleId, userId, seats, minutes = SeatHold.HOLD_MINUTES, accessibleSeating = false }) => {
+  const codes = [...new Set(seats.map(code => code.trim().toUpperCase()))];
+
+  if (codes.length > MAX_SEATS_PER_HOLD) {
+    throw httpError(`You can hold at most ${MAX_SEATS_PER_HOLD} seats at once`, 400);
+  }
+
+  const schedule = await Schedule.findById(scheduleId);
+  if (!schedule) {
+    throw httpError('Schedule not found', 404);
+  }
+
+  if (schedule.status !== 'scheduled' || schedule.startTime <= new Date()) {
+    throw httpError('Seats can only be held for upcoming showtimes', 400);
+  }
+
+  const room = await Room.findById(schedule.roomId);
+  if (!room) {
+    throw httpError('Room not found', 404);
+  }
+
+  const invalidSeats = codes.filter(code =>
+    !room.seats.some(seat => seat.code === code && seat.status === 'available')
+  );
+  if (invalidSeats.length > 0) {
+    throw httpError(`Invalid seat(s): ${invalidSeats.join(', ')}`, 400, { invalidSeats });
+  }
+
+  const seatErrors = validateSeatSelection(room, codes, { accessibleSeating });
+  if (seatErrors.length > 0) {
+    throw httpError(seatErrors.join('; '), 400, { seatErrors });
+  }
+
+  // Free anything that lapsed before checking availability
+  await SeatHold.expireStale(schedule._id);
+
+  const bookedSeats = await Ticket.getTakenSeats(schedule._id);
+  const heldSeats = await SeatHold.getHeldSeats(schedule._id, { excludeUserId: userId });
+  const takenSeats = codes.filter(code => bookedSeats.has(code) || heldSeats.has(code));
+
+  if (takenSeats.length > 0) {
+    throw httpError('Some seats are already taken', 409, { takenSeats });
+  }
+
+  const cinema = await Cinema.findById(schedule.cinemaId);
+  const occupied = new Set([...bookedSeats, ...heldSeats]);
+  const orphanCheck = checkOrphanSeats(room, occupied, codes, cinema ? cinema.seatSelection : undefined);
+  if (orphanCheck) {
+    throw httpError(orphanSeatMessage(orphanCheck), 400, orphanCheck);
+  }
+
+  // The new hold replaces the user's previous one for this showtime
+  const previousHolds = await SeatHold.find({ scheduleId: schedule._id, userId, status: 'active' });
+  for (const previous of previousHolds) {
+    await previous.release();
+  }
+
+  const duration = Math.min(minutes, SeatHold.MAX_HOLD_MINUTES);
+
+  let hold;
+  try {
+    hold = await SeatHold.create({
+      scheduleId: schedule._id,
+      userId,
+      seats: codes,
+      expiresAt: new Date(Date.now() + duration * 60000)
+    });
+  } catch (err) {
+    // Lost a race with another customer on the unique seat index
+    if (err.code === 11000) {
+      throw httpError('Some seats are already taken', 409, { takenSeats: codes });
+    }
+    throw err;
+  }
+
+  await refreshOccupancy(schedule._id);
+
+  return hold;
+};
+
+// Extend an active hold
+const extendHold = async (hold, minutes) => {
+  await hold.extend(minutes);
+  return hold;
+};
+
+// Release an active hold and give the seats back
+const releaseHold = async (hold) => {
+  await hold.release();
+  await refreshOccupancy(hold.scheduleId);
+  return hold;
+};
+
+/**
+ * Expire lapsed holds and unpaid pending tickets, then recompute occupancy
+ * for every schedule that got seats back.
+ */
+const sweepExpired = async () => {
+  const now = new Date();
+  const affected = new Set();
+
+  const holds = await SeatHold.expireStale();
+  holds.forEach(hold => affected.add(hold.scheduleId.toString()));
+
+  const tickets = await Ticket.find({
+    status: 'pending',
+    pendingExpiresAt: { $lte: now }
+  });
+
+  for (const ticket of tickets) {
+    ticket.transitionTo('expired', { reason: 'Payment window expired', source: 'sweeper', at: now });
+    await ticket.save();
+    affected.add(ticket.scheduleId.toString());
+  }
+
+  for (const scheduleId of affected) {
+    await refreshOccupancy(scheduleId);
+  }
+
+  return { expiredHolds: holds.length, expiredTickets: tickets.length };
+};
+
+module.exports = {
+  MAX_SEATS_PER_HOLD,
+  holdSeats,
+  extendHold,
+  releaseHold,
+  sweepExpired
+};
@@ -0,0 +1,149 @@
+const Joi = require('joi');
+const { SEAT_TYPES } = require('../config/seatTypes');
+
+const MAX_ROWS = 30;
+const MAX_COLUMNS = 40;
+const GAP = '_';
+
+// One-letter cell codes for compact rows, e.g. "VVVV_SSSS_CC"
+const CELL_CODES = {
+  S: 'standard',
+  V: 'vip',
+  C: 'couple',
+  W: 'wheelchair',
+  P: 'companion',
+  [GAP]: GAP
+};
+
+const seatTypeSchema = Joi.string().valid(...SEAT_TYPES);
+
+// A cell is a gap, a seat type shorthand, or a full seat definition
+const cellSchema = Joi.alternatives().try(
+  Joi.valid(null, GAP),
+  seatTypeSchema,
+  Joi.object({
+    type: seatTypeSchema,
+    number: Joi.number().integer().min(1),
+    status: Joi.string().valid('available', 'maintenance')
+  })
+);
+
+const rowSchema = Joi.object({
+  label: Joi.string().trim().uppercase().pattern(/^[A-Z]{1,2}$/),
+  type: seatTypeSchema.default('standard'),
+  seats: Joi.number().integer().min(1).max(MAX_COLUMNS),
+  cells: Joi.alternatives().try(
+    Joi.array().items(cellSchema).min(1).max(MAX_COLUMNS),
+    Joi.string().uppercase().pattern(new RegExp(`^[${Object.keys(CELL_CODES).join('')}]{1,${MAX_COLUMNS}}$`))
+  ),
+  aisle: Joi.boolean()
+})
+  .oxor('seats', 'cells')
+  .custom((row, helpers) => {
+    if (!row.aisle && !row.seats && !row.cells) {
+      return helpers.message('Each row needs "seats", "cells" or "aisle: true"');
+    }
+    return row;
+  });
+
+const layoutSchema = Joi.object({
+  rows: Joi.array().items(rowSchema).min(1).max(MAX_ROWS).required()
+});
+
+// A, B, ..., Z, AA, AB, ...
+const rowLabel = (index) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  return index < alphabet.length
+    ? alphabet[index]
+    : alphabet[Math.floor(index / alphabet.length) - 1] + alphabet[index % alphabet.length];
+};
+
+// Expand `seats: N` rows into explicit cells
+const rowCells = (row) => {
+  if (row.aisle) return [];
+  if (typeof row.cells === 'string') return row.cells.split('').map(code => CELL_CODES[code]);
+  if (row.cells) return row.cells;
+  return Array.from({ length: row.seats }, () => row.type);
+};
+
+/**
+ * Validate a layout document and expand it into Room seats.
+ *
+ * Returns `{ value, seats }` where `value` is the normalised layout, or
+ * `{ errors }` listing every problem found.
+ */
+const buildSeatsFromLayout = (layout) => {
+  const { error, value } = layoutSchema.validate(layout, { abortEarly: false });
+  if (error) {
+    return { errors: error.details.map(detail => detail.message) };
+  }
+
+  const errors = [];
+  const seats = [];
+  const codes = new Set();
+  let labelIndex = 0;
+
+  value.rows.forEach((row, rowIndex) => {
+    if (row.aisle) return;
+
+    const label = row.label || rowLabel(labelIndex);
+    labelIndex++;
+
+    let nextNumber = 1;
+    let coupleRun = [];
+
+    // Couple seats pair up left to right within an unbroken run
+    const closeCoupleRun = () => {
+      if (coupleRun.length % 2 !== 0) {
+        errors.push(`Row ${label}: couple seats must come in adjacent pairs`);
+      }
+      for (let i = 0; i + 1 < coupleRun.length; i += 2) {
+        coupleRun[i].pairCode = coupleRun[i + 1].code;
+        coupleRun[i + 1].pairCode = coupleRun[i].code;
+      }
+      coupleRun = [];
+    };
+
+    rowCells(row).forEach((cell, column) => {
+      if (cell === null || cell === GAP) {
+        closeCoupleRun();
+        return;
+      }
+
+      const definition = typeof cell === 'string' ? { type: cell } : cell;
+      const number = definition.number || nextNumber;
+      nextNumber = number + 1;
+
+      const seat = {
+        code: `${label}${number}`,
+        type: definition.type || row.type,
+        status: definition.status || 'available',
+        row: rowIndex,
+        column
+      };
+
+      if (codes.has(seat.code)) {
+        errors.push(`Duplicate seat code ${seat.code}`);
+      }
+      codes.add(seat.code);
+
+      if (seat.type === 'couple') {
+        coupleRun.push(seat);
+      } else {
+        closeCoupleRun();
+      }
+
+      seats.push(seat);
+    });
+
+    closeCoupleRun();
+  });
+
+  if (seats.length === 0) {
+    errors.push('Layout must contain at least one seat');
+  }
+
+  return errors.length > 0 ? { errors } : { value, seats };
+};
+
+module.exports = { MAX_ROWS, MAX_COLUMNS, buildSeatsFromLayout };
@@ -0,0 +1,218 @@
+/**
+ * Seat selection rules shared by seat holds, booking and seat changes.
+ *
+ * - Couple seats are sold as a pair: selecting one half requires the other.
+ * - Wheelchair spaces are only sold when the customer asks for accessible seating.
+ * - Each companion seat must come with a wheelchair space in the same selection.
+ */
+const validateSeatSelection = (room, seatCodes, { accessibleSeating = false } = {}) => {
+  const errors = [];
+  const selected = new Set(seatCodes);
+  const seatsByCode = new Map(room.seats.map(seat => [seat.code, seat]));
+
+  const seats = seatCodes.map(code => seatsByCode.get(code)).filter(Boolean);
+
+  const splitPairs = seats
+    .filter(seat => seat.type === 'couple' && seat.pairCode && !selected.has(seat.pairCode))
+    .map(seat => `${seat.code}+${seat.pairCode}`);
+  if (splitPairs.length > 0) {
+    errors.push(`Couple seats must be booked as a pair: ${splitPairs.join(', ')}`);
+  }
+
+  const wheelchairSeats = seats.filter(seat => seat.type === 'wheelchair');
+  const companionSeats = seats.filter(seat => seat.type === 'companion');
+
+  if (wheelchairSeats.length > 0 && !accessibleSeating) {
+    errors.push(`Wheelchair spaces are reserved for accessible bookings: ${wheelchairSeats.map(seat => seat.code).join(', ')}`);
+  }
+
+  if (companionSeats.length > wheelchairSeats.length) {
+    errors.push('Each companion seat must be booked together with a wheelchair space');
+  }
+
+  return errors;
+};
+
+// Physical seat runs per row: seats side by side with no aisle in between
+const seatRuns = (room) => {
+  const rows = new Map();
+
+  room.seats.forEach(seat => {
+    if (!rows.has(seat.row)) rows.set(seat.row, []);
+    rows.get(seat.row).push(seat);
+  });
+
+  const runs = [];
+  rows.forEach(seats => {
+    seats.sort((a, b) => a.column - b.column);
+
+    let run = [];
+    seats.forEach(seat => {
+      if (run.length > 0 && seat.column !== run[run.length - 1].column + 1) {
+        runs.push(run);
+        run = [];
+      }
+      run.push(seat);
+    });
+    if (run.length > 0) runs.push(run);
+  });
+
+  return runs;
+};
+
+// Split a run into stretches of consecutive seats matching `isFree`
+const freeStretches = (run, isFree) => {
+  const stretches = [];
+  let current = [];
+
+  run.forEach(seat => {
+    if (isFree(seat)) {
+      current.push(seat);
+    } else if (current.length > 0) {
+      stretches.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) stretches.push(current);
+
+  return stretches;
+};
+
+/**
+ * Seats the selection would leave stranded: free stretches of at most
+ * `gapSize` seats that were part of a longer free stretch before.
+ */
+const findOrphanSeats = (room, occupied, selected, gapSize = 1) => {
+  const selectedSet = new Set(selected);
+  const rowsTouched = new Set(room.seats.filter(seat => selectedSet.has(seat.code)).map(seat => seat.row));
+
+  const freeBefore = seat => seat.status === 'available' && !occupied.has(seat.code);
+  const freeAfter = seat => freeBefore(seat) && !selectedSet.has(seat.code);
+
+  const orphans = [];
+
+  seatRuns(room)
+    .filter(run => rowsTouched.has(run[0].row))
+    .forEach(run => {
+      const before = freeStretches(run, freeBefore);
+
+      freeStretches(run, freeAfter).forEach(stretch => {
+        if (stretch.length > gapSize) return;
+
+        const original = before.find(candidate => candidate.includes(stretch[0]));
+        if (original && original.length > stretch.length) {
+          stretch.forEach(seat => orphans.push(seat.code));
+        }
+      });
+    });
+
+  return orphans;
+};
+
+// Every contiguous block of `size` free seats that is a valid, orphan-free selection
+const candidateBlocks = (room, occupied, size, { types, gapSize = 1, accessibleSeating = true } = {}) => {
+  const isFree = seat => seat.status === 'available' && !occupied.has(seat.code);
+  const blocks = [];
+
+  seatRuns(room).forEach(run => {
+    freeStretches(run, isFree).forEach(stretch => {
+      for (let start = 0; start + size <= stretch.length; start++) {
+        const block = stretch.slice(start, start + size);
+        const codes = block.map(seat => seat.code);
+
+        if (types && block.some(seat => !types.includes(seat.type))) continue;
+        if (validateSeatSelection(room, codes, { accessibleSeating }).length > 0) continue;
+        if (findOrphanSeats(room, occupied, codes, gapSize).length > 0) continue;
+
+        blocks.push({ row: block[0].row, column: block[0].column, seats: block, codes });
+      }
+    });
+  });
+
+  return blocks;
+};
+
+/**
+ * Contiguous blocks of `size` free seats that leave no orphan seats behind,
+ * closest to `nearRow` first. Blocks only use the given seat types and never
+ * split a couple pair.
+ */
+const suggestSeatBlocks = (room, occupied, size, { types, nearRow = 0, gapSize = 1, limit = 3 } = {}) => {
+  const blocks = candidateBlocks(room, occupied, size, { types, gapSize });
+
+  blocks.sort((a, b) => Math.abs(a.row - nearRow) - Math.abs(b.row - nearRow) || a.row - b.row || a.column - b.column);
+
+  return blocks.slice(0, limit).map(block => block.codes);
+};
+
+/**
+ * Best blocks of `size` free seats for a party, ranked by how far the block
+ * centre is from the middle of the screen and from the ideal row (two thirds
+ * of the way back).
+ */
+const bestSeatBlocks = (room, occupied, size, { types, gapSize = 1, accessibleSeating = false, limit = 3 } = {}) => {
+  if (room.seats.length === 0) return [];
+
+  const rows = room.seats.map(seat => seat.row);
+  const columns = room.seats.map(seat => seat.column);
+  const centreColumn = (Math.min(...columns) + Math.max(...columns)) / 2;
+  const idealRow = Math.min(...rows) + (Math.max(...rows) - Math.min(...rows)) * 2 / 3;
+  const ROW_WEIGHT = 1.5;
+
+  // Fall back to blocks that strand seats when nothing else fits the party
+  let blocks = candidateBlocks(room, occupied, size, { types, gapSize, accessibleSeating });
+  if (blocks.length === 0 && gapSize > 0) {
+    blocks = candidateBlocks(room, occupied, size, { types, gapSize: 0, accessibleSeating });
+  }
+
+  const scored = blocks.map(block => {
+    const blockCentre = block.seats.reduce((sum, seat) => sum + seat.column, 0) / block.seats.length;
+    const score = Math.abs(blockCentre - centreColumn) + ROW_WEIGHT * Math.abs(block.row - idealRow);
+    return { ...block, score };
+  });
+
+  scored.sort((a, b) => a.score - b.score || a.row - b.row || a.column - b.column);
+
+  return scored.slice(0, limit).map(block => ({
+    seats: block.codes,
+    type: block.seats[0].type,
+    score: Math.round(block.score * 100) / 100
+  }));
+};
+
+/**
+ * Apply the cinema's no-orphan rule to a selection. Returns null when the
+ * selection is fine, or `{ orphanSeats, suggestions }` when it should be
+ * rejected. A selection is still allowed when no orphan-free block of the
+ * same size exists anywhere in the room.
+ */
+const checkOrphanSeats = (room, occupied, selected, rules = {}) => {
+  const { preventOrphanSeats = true, orphanGapSize = 1 } = rules;
+  if (!preventOrphanSeats) return null;
+
+  const orphanSeats = findOrphanSeats(room, occupied, selected, orphanGapSize);
+  if (orphanSeats.length === 0) return null;
+
+  const selectedSeats = room.seats.filter(seat => selected.includes(seat.code));
+  const suggestions = suggestSeatBlocks(room, occupied, selected.length, {
+    types: [...new Set(selectedSeats.map(seat => seat.type))],
+    nearRow: selectedSeats.length > 0 ? selectedSeats[0].row : 0,
+    gapSize: orphanGapSize
+  });
+
+  return suggestions.length > 0 ? { orphanSeats, suggestions } : null;
+};
+
+// Human readable rejection for checkOrphanSeats results
+const orphanSeatMessage = ({ orphanSeats, suggestions }) =>
+  `Your selection would leave single empty seat(s): ${orphanSeats.join(', ')}. ` +
+  `Try instead: ${suggestions.map(block => block.join(', ')).join(' or ')}`;
+
+module.exports = {
+  validateSeatSelection,
+  findOrphanSeats,
+  suggestSeatBlocks,
+  bestSeatBlocks,
+  checkOrphanSeats,
+  orphanSeatMessage
+};
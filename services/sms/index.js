@@ -0,0 +1,23 @@
+const config = require('../../config/sms');
+
+const providers = {
+  console: require('./providers/console'),
+  mock: require('./providers/mock')
+};
+
+/**
+ * A provider exposes `send({ from, to, text })` and resolves with
+ * `{ messageId }`. Gateways are added to `providers` under the name used in
+ * SMS_PROVIDER.
+ */
+const getSmsProvider = (name = config.provider) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}"`);
+  }
+  return provider;
+};
+
+const sendSms = (to, text) => getSmsProvider().send({ from: config.sender, to, text });
+
+module.exports = { getSmsProvider, sendSms };
@@ -0,0 +1,7 @@
+// Print text messages to the server log instead of sending them
+const send = async ({ to, text }) => {
+  console.log(`SMS to ${to}: ${text}`.grey);
+  return { messageId: `console-${Date.now()}` };
+};
+
+module.exports = { name: 'console', send };
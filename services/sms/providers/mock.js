@@ -0,0 +1,14 @@
+// Keep text messages in memory so tests can read codes back from `sent`
+const sent = [];
+
+const send = async (message) => {
+  const messageId = `mock-${sent.length + 1}`;
+  sent.push({ messageId, ...message });
+  return { messageId };
+};
+
+const clear = () => {
+  sent.length = 0;
+};
+
+module.exports = { name: 'mock', send, sent, clear };
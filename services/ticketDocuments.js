@@ -0,0 +1,285 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Ticket = require('../models/Ticket');
+const Payment = require('../models/Payment');
+const { DEFAULT_TICKET_TYPES } = require('../config/ticketTypes');
+const { seller, vatRate, timeZone, fonts } = require('../config/documents');
+
+const METHOD_LABELS = {
+  momo: 'MoMo e-wallet',
+  zalopay: 'ZaloPay e-wallet',
+  card: 'Bank card',
+  cash: 'Cash'
+};
+
+// The built-in Helvetica only covers Latin-1, so Vietnamese diacritics are
+// dropped unless a TrueType font is configured
+const printable = fonts.regular
+  ? (text) => String(text == null ? '' : text)
+  : (text) => String(text == null ? '' : text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+
+const money = (amount) => `${new Intl.NumberFormat('vi-VN').format(Math.round(amount))} VND`;
+
+const dateTime = (date) => new Intl.DateTimeFormat('vi-VN', {
+  timeZone,
+  hour: '2-digit',
+  minute: '2-digit',
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric'
+}).format(date);
+
+// Ticket and payment with everything printed on the documents
+const ticketPopulate = [
+  {
+    path: 'scheduleId',
+    populate: [
+      { path: 'movieId', select: 'title duration' },
+      { path: 'cinemaId' }
+    ]
+  },
+  { path: 'roomId', select: 'name' },
+  { path: 'userId', select: 'name email phone' }
+];
+
+const loadTicketDetails = (ticketId) => Ticket.findById(ticketId).populate(ticketPopulate);
+
+const loadPaymentDetails = (paymentId) => Payment.findById(paymentId)
+  .populate({ path: 'ticketId', populate: ticketPopulate });
+
+const createDocument = (options) => {
+  const doc = new PDFDocument({ margin: 40, ...options });
+
+  doc.registerFont('regular', fonts.regular || 'Helvetica');
+  doc.registerFont('bold', fonts.bold || 'Helvetica-Bold');
+  doc.font('regular');
+
+  return doc;
+};
+
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// A label on the left and a value aligned right on the same line
+const row = (doc, label, value, { bold = false, size = 10 } = {}) => {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const top = doc.y;
+
+  doc.font(bold ? 'bold' : 'regular').fontSize(size);
+  doc.text(printable(label), left, top, { width: width * 0.65 });
+  const labelBottom = doc.y;
+  doc.text(printable(value), left, top, { width, align: 'right' });
+
+  doc.x = left;
+  doc.y = Math.max(labelBottom, doc.y);
+};
+
+const rule = (doc) => {
+  const left = doc.page.margins.left;
+  doc.moveDown(0.4)
+    .moveTo(left, doc.y)
+    .lineTo(left + contentWidth(doc), doc.y)
+    .lineWidth(0.5)
+    .strokeColor('#999999')
+    .stroke()
+    .moveDown(0.4);
+};
+
+const heading = (doc, text, size = 12) => {
+  doc.font('bold').fontSize(size).text(printable(text), doc.page.margins.left, doc.y);
+  doc.font('regular').fontSize(10);
+};
+
+const ticketTypeLabels = (cinema) => {
+  const types = cinema && cinema.getTicketTypes ? cinema.getTicketTypes() : DEFAULT_TICKET_TYPES;
+  return new Map(types.map(type => [type.code, type.label]));
+};
+
+const seatLabel = (seat, labels) =>
+  `Seat ${seat.code} - ${seat.type} - ${labels.get(seat.ticketType) || seat.ticketType}`;
+
+// Prices include VAT; split a gross amount into net and tax
+const splitVat = (gross) => {
+  const net = Math.round(gross / (1 + vatRate));
+  return { net, vat: gross - net };
+};
+
+/**
+ * Render the e-ticket for a paid ticket loaded with `loadTicketDetails`:
+ * show details, seats, combos, the signed QR code and the price breakdown.
+ */
+const renderTicketPdf = async (ticket) => {
+  const schedule = ticket.scheduleId;
+  const movie = schedule.movieId || {};
+  const cinema = schedule.cinemaId || {};
+  const labels = ticketTypeLabels(schedule.cinemaId);
+
+  const doc = createDocument({
+    size: 'A5',
+    info: { Title: printable(`E-ticket ${movie.title || ''}`), Author: printable(seller.name) }
+  });
+
+  heading(doc, 'E-TICKET', 16);
+  doc.fontSize(9).fillColor('#555555').text(`Ticket ${ticket._id}`).fillColor('black');
+  rule(doc);
+
+  heading(doc, movie.title || 'Movie', 14);
+  doc.moveDown(0.3);
+  row(doc, 'Cinema', cinema.name || '');
+  if (cinema.address) {
+    doc.fontSize(9).fillColor('#555555').text(printable(cinema.address)).fillColor('black');
+  }
+  row(doc, 'Room', ticket.roomId ? ticket.roomId.name : '');
+  row(doc, 'Showtime', dateTime(schedule.startTime), { bold: true });
+  if (movie.duration) {
+    row(doc, 'Duration', `${movie.duration} min`);
+  }
+  row(doc, 'Seats', ticket.seats.map(seat => seat.code).join(', '), { bold: true });
+
+  if (ticket.qrCode) {
+    const qr = await QRCode.toBuffer(ticket.qrCode, { margin: 1, width: 300, errorCorrectionLevel: 'M' });
+    const size = 150;
+    doc.moveDown(0.8);
+    doc.image(qr, doc.page.margins.left + (contentWidth(doc) - size) / 2, doc.y, { width: size });
+    doc.y += size + 4;
+    doc.fontSize(8).fillColor('#555555')
+      .text('Show this code at the entrance', doc.page.margins.left, doc.y, { width: contentWidth(doc), align: 'center' })
+      .fillColor('black');
+  }
+
+  rule(doc);
+  heading(doc, 'Price breakdown', 11);
+  doc.moveDown(0.2);
+
+  ticket.seats.forEach(seat => {
+    row(doc, seatLabel(seat, labels), money(seat.price));
+  });
+  ticket.combos.forEach(combo => {
+    row(doc, `${combo.name} x ${combo.qty}`, money(combo.price * combo.qty));
+  });
+
+  rule(doc);
+  row(doc, 'Subtotal', money(ticket.subtotal));
+  if (ticket.discount > 0) {
+    row(doc, `Discount${ticket.voucher && ticket.voucher.code ? ` (voucher ${ticket.voucher.code})` : ''}`, `-${money(ticket.discount)}`);
+  }
+  row(doc, 'Total', money(ticket.totalAmount), { bold: true, size: 11 });
+
+  doc.moveDown(0.6);
+  doc.font('regular').fontSize(8).fillColor('#555555')
+    .text(printable(`Booked by ${ticket.userId ? ticket.userId.name : ''}. Prices include VAT.`));
+
+  return toBuffer(doc);
+};
+
+// Everything bought with the payment, including items refunded since
+const purchasedItems = (ticket, labels) => {
+  const seats = [...ticket.seats, ...ticket.refundedSeats].map(seat => ({
+    label: seatLabel(seat, labels),
+    qty: 1,
+    unitPrice: seat.price
+  }));
+
+  const combos = new Map();
+  [...ticket.combos, ...ticket.refundedCombos].forEach(combo => {
+    const key = String(combo.comboId || combo.name);
+    const item = combos.get(key) || { label: combo.name, qty: 0, unitPrice: combo.price };
+    item.qty += combo.qty;
+    combos.set(key, item);
+  });
+
+  return [...seats, ...combos.values()].map(item => ({ ...item, amount: item.unitPrice * item.qty }));
+};
+
+/**
+ * Render a VAT-style receipt for a settled payment loaded with
+ * `loadPaymentDetails`. Prices include VAT; the tax is shown separately and
+ * any refunds are listed under the paid total.
+ */
+const renderReceiptPdf = async (payment) => {
+  const ticket = payment.ticketId;
+  const schedule = ticket.scheduleId;
+  const movie = schedule.movieId || {};
+  const cinema = schedule.cinemaId || {};
+  const customer = ticket.userId || {};
+  const items = purchasedItems(ticket, ticketTypeLabels(schedule.cinemaId));
+
+  const itemsTotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const discount = Math.max(0, itemsTotal - payment.amount);
+  const { net, vat } = splitVat(payment.amount);
+
+  const doc = createDocument({
+    size: 'A4',
+    info: { Title: printable(`Receipt ${payment.transactionId}`), Author: printable(seller.name) }
+  });
+
+  heading(doc, seller.name, 14);
+  doc.fontSize(9);
+  if (seller.taxCode) doc.text(printable(`Tax code: ${seller.taxCode}`));
+  if (seller.address) doc.text(printable(seller.address));
+  if (seller.phone) doc.text(printable(`Phone: ${seller.phone}`));
+  rule(doc);
+
+  heading(doc, 'SALES RECEIPT', 16);
+  doc.moveDown(0.3);
+  row(doc, 'Receipt no.', `RC-${payment.transactionId}`);
+  row(doc, 'Date', dateTime(payment.paidAt || payment.createdAt));
+  row(doc, 'Customer', customer.name || '');
+  if (customer.email) row(doc, 'Email', customer.email);
+  row(doc, 'Payment method', METHOD_LABELS[payment.method] || payment.method);
+  if (payment.providerTransactionId) row(doc, 'Provider reference', payment.providerTransactionId);
+  rule(doc);
+
+  row(doc, `${movie.title || 'Movie'} - ${cinema.name || ''}`, dateTime(schedule.startTime), { bold: true });
+  doc.moveDown(0.3);
+
+  items.forEach(item => {
+    row(doc, `${item.label}  (${item.qty} x ${money(item.unitPrice)})`, money(item.amount));
+  });
+
+  rule(doc);
+  row(doc, 'Total before discount', money(itemsTotal));
+  if (discount > 0) {
+    row(doc, `Discount${ticket.voucher && ticket.voucher.code ? ` (voucher ${ticket.voucher.code})` : ''}`, `-${money(discount)}`);
+  }
+  row(doc, 'Amount before VAT', money(net));
+  row(doc, `VAT (${Math.round(vatRate * 100)}%)`, money(vat));
+  row(doc, 'Total paid (VAT included)', money(payment.amount), { bold: true, size: 11 });
+
+  const refunds = payment.refundDetails.filter(refund => refund.amount > 0);
+  if (refunds.length > 0) {
+    rule(doc);
+    heading(doc, 'Refunds', 11);
+    doc.moveDown(0.2);
+    refunds.forEach(refund => {
+      const detail = refund.seats.length > 0 ? ` - seats ${refund.seats.join(', ')}` : '';
+      row(doc, `${dateTime(refund.processedAt)}${detail}`, `-${money(refund.amount)}`);
+    });
+    row(doc, 'Net paid', money(payment.amount - (payment.refundedAmount || 0)), { bold: true });
+  }
+
+  doc.moveDown(1);
+  doc.font('regular').fontSize(8).fillColor('#555555')
+    .text('This receipt is issued electronically and is not a VAT invoice.');
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  loadTicketDetails,
+  loadPaymentDetails,
+  renderTicketPdf,
+  renderReceiptPdf
+};
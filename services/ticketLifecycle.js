@@ -0,0 +1,90 @@
+/**
+ * Ticket lifecycle:
+ *
+ *   pending --> paid --> checked_in
+ *      |         |
+ *      |         +--> cancelled / refunded
+ *      +--> cancelled / expired
+ *
+ * Every status change goes through `transitionTicket`, which checks the move
+ * is allowed, runs its guard, stamps the matching timestamp and appends an
+ * entry to `statusHistory`.
+ */
+const TICKET_STATUSES = ['pending', 'paid', 'checked_in', 'cancelled', 'refunded', 'expired'];
+
+// Statuses that give the seats back to the schedule
+const RELEASED_STATUSES = ['cancelled', 'refunded', 'expired'];
+
+const TRANSITIONS = {
+  pending: ['paid', 'cancelled', 'expired'],
+  paid: ['checked_in', 'cancelled', 'refunded'],
+  checked_in: [],
+  cancelled: [],
+  refunded: [],
+  expired: []
+};
+
+// Ticket field stamped when a status is entered
+const TIMESTAMPS = {
+  paid: 'paidAt',
+  checked_in: 'checkInTime',
+  cancelled: 'cancelledAt',
+  refunded: 'refundedAt',
+  expired: 'expiredAt'
+};
+
+// Guards return an error message when the move must not happen
+const GUARDS = {
+  paid: (ticket, { paymentId }) =>
+    !paymentId && 'Tickets can only be marked paid by a successful payment',
+  expired: (ticket, { at }) =>
+    ticket.pendingExpiresAt > at && 'The payment window has not closed yet',
+  checked_in: (ticket, { by }) =>
+    !by && 'Check-ins must be recorded by a staff member'
+};
+
+const transitionError = (message) => {
+  const err = new Error(message);
+  err.statusCode = 409;
+  return err;
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a ticket to `to`. Context: `by` (user id), `reason`, `source` (which
+ * code path asked), `paymentId` and `at`. The caller saves the ticket.
+ */
+const transitionTicket = (ticket, to, { by, reason, source, paymentId, at = new Date() } = {}) => {
+  const from = ticket.status;
+
+  if (!canTransition(from, to)) {
+    throw transitionError(`Ticket is ${from} and cannot become ${to}`);
+  }
+
+  const guardError = GUARDS[to] && GUARDS[to](ticket, { by, reason, source, paymentId, at });
+  if (guardError) {
+    throw transitionError(guardError);
+  }
+
+  ticket.status = to;
+  ticket[TIMESTAMPS[to]] = at;
+
+  if (to === 'cancelled' || to === 'refunded') {
+    ticket.cancelledBy = by;
+    ticket.cancellationReason = reason;
+  }
+
+  ticket.statusHistory.push({ from, to, at, by, reason, source, paymentId });
+  ticket.$locals.transitionedTo = to;
+
+  return ticket;
+};
+
+module.exports = {
+  TICKET_STATUSES,
+  RELEASED_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  transitionTicket
+};
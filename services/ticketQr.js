@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { qrSecret, manifestSecret } = require('../config/checkIn');
+const { safeEqual } = require('./payments/utils');
+
+// QR payload: CT1.<ticketId>.<expiry, unix seconds in base 36>.<HMAC-SHA256>
+const PREFIX = 'CT1';
+
+const qrError = (message, reason, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.reason = reason;
+  return err;
+};
+
+const sign = (body) => {
+  if (!qrSecret) {
+    throw qrError('TICKET_QR_SECRET is not configured', 'not_configured', 500);
+  }
+
+  return crypto.createHmac('sha256', qrSecret).update(body).digest('base64url');
+};
+
+const isSignedQr = (code) => typeof code === 'string' && code.startsWith(`${PREFIX}.`);
+
+// QR code for a ticket that stops scanning at `expiresAt`
+const signTicketQr = (ticketId, expiresAt) => {
+  const body = [PREFIX, ticketId, Math.floor(expiresAt.getTime() / 1000).toString(36)].join('.');
+  return `${body}.${sign(body)}`;
+};
+
+// Scanners match codes by hash, so a leaked manifest holds no usable codes
+const hashTicketQr = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Sign a serialised offline manifest
+const signManifest = (json) => {
+  const key = manifestSecret || sign('checkin-manifest');
+  return crypto.createHmac('sha256', key).update(json).digest('base64url');
+};
+
+/**
+ * Check a scanned code and return `{ ticketId, expiresAt }`. Forged, garbled
+ * and expired codes throw a 400 with a `reason` the scanner can show.
+ */
+const verifyTicketQr = (code, now = new Date()) => {
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 4 || parts[0] !== PREFIX) {
+    throw qrError('Not a ticket QR code', 'invalid_code');
+  }
+
+  const [, ticketId, expiry, signature] = parts;
+  if (!safeEqual(sign(parts.slice(0, 3).join('.')), signature)) {
+    throw qrError('QR code signature is invalid', 'invalid_code');
+  }
+
+  const expiresAt = new Date(parseInt(expiry, 36) * 1000);
+  if (expiresAt <= now) {
+    throw qrError('QR code has expired', 'expired_code');
+  }
+
+  return { ticketId, expiresAt };
+};
+
+module.exports = {
+  isSignedQr,
+  signTicketQr,
+  verifyTicketQr,
+  hashTicketQr,
+  signManifest
+};